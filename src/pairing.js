@@ -0,0 +1,68 @@
+// format of the peer IDs that PeerJS assigns to Ambianic Edge devices
+export const PEER_ID_PATTERN = /^([a-zA-Z0-9]{8})-([a-zA-Z0-9]{4})-([a-zA-Z0-9]{4})-([a-zA-Z0-9]{4})-([a-zA-Z0-9]{12})$/
+
+// marks QR codes made for pairing with Ambianic Edge devices
+const PAIRING_CODE_TYPE = 'ambianic-pairing'
+
+// newest pairing code format this client can read
+const PAIRING_CODE_VERSION = 1
+
+/**
+ * Pairing codes hand an edge device over to another client,
+ * usually as a QR code scanned with the phone camera.
+ *
+ * A pairing code is JSON text
+ *   { "type": "ambianic-pairing", "v": 1, "peer_id": "...", "public_key": "...", "name": "..." }
+ * where `public_key` is the key the edge device proves it holds when
+ * a client connects, see src/remote/peer-auth.js. It is not a secret and
+ * grants no access. The scanning client only pins it once the device
+ * proved it holds the key, so that a device that merely knows the peer ID
+ * cannot take part in the pairing.
+ * It is left out by clients that have no key pinned for the device yet.
+ * `name` is the display name of the device.
+*/
+
+/**
+ * @returns the pairing code text for a device
+ */
+export function encodePairingCode ({ peerID, publicKey, displayName }) {
+  const code = { type: PAIRING_CODE_TYPE, v: PAIRING_CODE_VERSION, peer_id: peerID }
+  if (publicKey) {
+    code.public_key = publicKey
+  }
+  if (displayName) {
+    code.name = displayName
+  }
+  return JSON.stringify(code)
+}
+
+/**
+ * Read a scanned pairing code.
+ *
+ * @returns `{ peerID, publicKey, displayName }`, where `publicKey`
+ *  and `displayName` may be undefined
+ * @throws an error suitable for display to the user if the text
+ *  is not a valid pairing code
+ */
+export function decodePairingCode (text) {
+  let code
+  try {
+    code = JSON.parse(text)
+  } catch (error) {
+    code = undefined
+  }
+  if (!code || code.type !== PAIRING_CODE_TYPE) {
+    throw Error('This is not an Ambianic pairing code.')
+  }
+  if (!(code.v <= PAIRING_CODE_VERSION)) {
+    throw Error('This pairing code is from a newer version of Ambianic. Please update the app.')
+  }
+  if (typeof code.peer_id !== 'string' || !PEER_ID_PATTERN.test(code.peer_id)) {
+    throw Error('This pairing code does not hold a valid device ID.')
+  }
+  return {
+    peerID: code.peer_id,
+    publicKey: typeof code.public_key === 'string' ? code.public_key : undefined,
+    displayName: typeof code.name === 'string' ? code.name : undefined
+  }
+}
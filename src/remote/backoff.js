@@ -0,0 +1,26 @@
+// delay in milliseconds before the first retry
+const BASE_DELAY = 1000
+
+// the delay doubles with every retry up to this many milliseconds
+const MAX_DELAY = 60000
+
+/**
+ * Jittered exponential backoff delay before a retry.
+ *
+ * The delay doubles with every attempt up to `maxDelay`.
+ * A random half of it is taken off ("equal jitter"), so that
+ * clients that lost their connections at the same moment
+ * do not all retry at the same moment.
+ *
+ * @param {number} attempt number of the retry, starting at 1
+ * @returns {number} delay in milliseconds
+ */
+export function backoffDelay (attempt, {
+  baseDelay = BASE_DELAY,
+  maxDelay = MAX_DELAY,
+  random = Math.random
+} = {}) {
+  const exponent = Math.max(attempt - 1, 0)
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, exponent))
+  return Math.round(delay / 2 + random() * delay / 2)
+}
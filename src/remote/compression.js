@@ -0,0 +1,94 @@
+import pako from 'pako'
+
+// content encodings supported for PeerFetch payloads
+// in order of preference
+export const ENCODINGS = ['gzip', 'deflate']
+
+/**
+ * Compress and decompress PeerFetch payloads.
+ *
+ * Uses the browser's CompressionStream and DecompressionStream
+ * where available and falls back to pako otherwise.
+ * Both produce the same formats: 'gzip' (RFC 1952)
+ * and 'deflate' (zlib, RFC 1950).
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Compression_Streams_API}
+*/
+
+/**
+ * Compress bytes with the given content encoding.
+ *
+ * @param {Uint8Array} data bytes to compress
+ * @param {string} encoding 'gzip' or 'deflate'
+ * @returns {Uint8Array} compressed bytes
+ */
+export async function compress (data, encoding) {
+  checkEncoding(encoding)
+  if (hasCompressionStreams()) {
+    return await transformBytes(data, new CompressionStream(encoding))
+  } else if (encoding === 'gzip') {
+    return pako.gzip(data)
+  } else {
+    return pako.deflate(data)
+  }
+}
+
+/**
+ * Decompress bytes with the given content encoding.
+ *
+ * @param {Uint8Array} data compressed bytes
+ * @param {string} encoding 'gzip' or 'deflate'
+ * @returns {Uint8Array} decompressed bytes
+ */
+export async function decompress (data, encoding) {
+  checkEncoding(encoding)
+  if (hasCompressionStreams()) {
+    return await transformBytes(data, new DecompressionStream(encoding))
+  } else if (encoding === 'gzip') {
+    return pako.ungzip(data)
+  } else {
+    return pako.inflate(data)
+  }
+}
+
+function checkEncoding (encoding) {
+  if (!ENCODINGS.includes(encoding)) {
+    throw Error(`Unsupported content encoding: ${encoding}`)
+  }
+}
+
+function hasCompressionStreams () {
+  return typeof CompressionStream !== 'undefined' &&
+    typeof DecompressionStream !== 'undefined' &&
+    typeof ReadableStream !== 'undefined'
+}
+
+/**
+ * Pipe bytes through a transform stream and collect the output.
+ */
+async function transformBytes (data, transformStream) {
+  const input = new ReadableStream({
+    start (controller) {
+      controller.enqueue(data)
+      controller.close()
+    }
+  })
+  const reader = input.pipeThrough(transformStream).getReader()
+  const chunks = []
+  let length = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) {
+      break
+    }
+    chunks.push(value)
+    length += value.byteLength
+  }
+  const output = new Uint8Array(length)
+  let offset = 0
+  for (const chunk of chunks) {
+    output.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return output
+}
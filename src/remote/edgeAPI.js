@@ -1,5 +1,16 @@
 import { ambianicConf } from '@/config.js'
-import { PEER_CONNECTED } from '@/store/mutation-types'
+import { createInterceptors, dispatchWithInterceptors } from '@/remote/interceptors'
+import { SharedRequest, requestKey } from '@/remote/shared-request'
+import { HTTPTransport, WebRTCTransport } from '@/remote/transport'
+import { PRIORITY_HIGH, PRIORITY_LOW, CAPABILITY_EVENTS } from '@/remote/peer-fetch'
+import { CHALLENGE_HEADER } from '@/remote/peer-auth'
+import { ResponseCache, conditionalHeaders, getHeader } from '@/remote/response-cache'
+import {
+  PartialDownloads,
+  rangeHeaders,
+  parseContentRange,
+  concatContent
+} from '@/remote/partial-downloads'
 
 // const DEFAULT_API_ROOT = ambianicConf.AMBIANIC_API_FALLBACK_URI
 const API_HOST = ambianicConf.AMBIANIC_EDGE_HOST
@@ -7,9 +18,119 @@ const API_SCHEMA = ambianicConf.AMBIANIC_EDGE_API_SCHEMA
 const API_PORT = ambianicConf.AMBIANIC_EDGE_API_PORT
 const API_ROOT = ambianicConf.AMBIANIC_EDGE_API_ROOT
 
+// event topic with new timeline events
+const TIMELINE_TOPIC = 'timeline'
+
+/**
+  Request interceptor that logs outgoing edge API requests.
+*/
+export function logRequest (config) {
+  console.debug('EdgeAPI request', { config })
+  return config
+}
+
+/**
+  Response interceptor that logs edge API responses.
+*/
+export function logResponse (response) {
+  console.debug('EdgeAPI response', { response })
+  return response
+}
+
+/**
+  Response interceptor that turns HTTP error status codes into exceptions.
+*/
+export function checkResponseStatus (response) {
+  if (response && response.header && response.header.status >= 400) {
+    // HTTP Error code in 400s or 500s. Something went wrong.
+    const error = Error(`HTTP Error Code: ${response.header.status}`)
+    error.response = response
+    throw error
+  }
+  return response
+}
+
+/**
+  Origin of an http(s) URL or undefined if it is not one.
+*/
+function parseLanOrigin (url) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    return undefined
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return undefined
+  }
+  return parsed.origin
+}
+
 export class EdgeAPI {
-  constructor (pnp) {
+  /**
+   * @param {*} pnp `{ state }` of the edge device connection, where
+   *  state holds its remotePeerId, peerConnectionStatus and peerFetch,
+   *  e.g. an entry of the pnp store connection registry
+   * @param {*} transports candidate transports to the edge device
+   *  in order of preference. Defaults to WebRTC only,
+   *  see useLanOrigin() for direct LAN HTTP access.
+   * @param {*} responseCache cache of edge responses. Defaults to
+   *  the IndexedDB backed ResponseCache.
+   * @param {*} partialDownloads store of interrupted downloads. Defaults to
+   *  the IndexedDB backed PartialDownloads.
+   */
+  constructor (pnp, { transports, responseCache, partialDownloads } = {}) {
     this.pnp = pnp
+    this.responseCache = responseCache || new ResponseCache()
+    this.partialDownloads = partialDownloads || new PartialDownloads()
+    // identical GET requests in flight, shared by all their callers
+    this._inFlightGets = new Map()
+    this._webrtcTransport = new WebRTCTransport(pnp)
+    this.transports = transports || [this._webrtcTransport]
+    // WebRTC is active until selectTransport() finds a preferred one
+    this.transport = this._webrtcTransport
+    // request and response interceptors applied to all edge API calls
+    // on top of any interceptors registered with PeerFetch
+    this.interceptors = createInterceptors()
+    this.interceptors.request.use(logRequest)
+    this.interceptors.response.use(checkResponseStatus)
+    this.interceptors.response.use(logResponse)
+  }
+
+  /**
+    Name of the transport currently used for edge API calls.
+  */
+  get activeTransport () {
+    return this.transport.name
+  }
+
+  /**
+    Prefer direct HTTP access to the edge device at its LAN `origin`,
+    e.g. 'http://192.168.1.20:8778', with fallback to WebRTC.
+    Takes effect with the next selectTransport().
+  */
+  useLanOrigin (origin) {
+    this.transports = [new HTTPTransport({ origin }), this._webrtcTransport]
+  }
+
+  /**
+    Probe the candidate transports in order of preference
+    and use the first one that reaches the edge device.
+    Falls back to WebRTC when none is available.
+
+    Returns the name of the selected transport.
+  */
+  async selectTransport () {
+    let selected = this._webrtcTransport
+    for (const transport of this.transports) {
+      if (await transport.isAvailable()) {
+        selected = transport
+        break
+      }
+    }
+    this.transport = selected
+    console.debug('EdgeAPI transport selected', { transport: selected.name })
+    return selected.name
   }
 
   _getRootURL () {
@@ -18,16 +139,28 @@ export class EdgeAPI {
   }
 
   async _request (config) {
-    if (this.pnp.state.peerConnectionStatus !== PEER_CONNECTED) {
-      throw Error('Edge device peer not connected.')
-    } else {
-      return await this.pnp.state.peerFetch.request(config)
-    }
+    return await dispatchWithInterceptors(this.interceptors, config,
+      (config) => this.transport.request(config))
   }
 
+  /**
+    Identical GET requests to the same device that are in flight
+    at the same time share one round trip and resolve together.
+  */
   async _get (request) {
     request.method = 'GET'
-    return await this._request(request)
+    const key = requestKey(this.pnp.state.remotePeerId, request)
+    let shared = this._inFlightGets.get(key)
+    if (shared) {
+      console.debug('EdgeAPI joining identical request in flight', { url: request.url })
+    } else {
+      shared = new SharedRequest(request, (config) => this._request(config))
+      this._inFlightGets.set(key, shared)
+      shared.promise
+        .catch(() => {})
+        .finally(() => this._inFlightGets.delete(key))
+    }
+    return await shared.join(request)
   }
 
   async _put (request) {
@@ -35,32 +168,168 @@ export class EdgeAPI {
     return await this._request(request)
   }
 
+  /**
+    GET a resource through the response cache.
+    A cached copy is revalidated with the edge device and reused
+    when the edge device replies with 304 Not Modified.
+    Cache failures do not fail the request.
+    A resumable request continues an interrupted download of the resource.
+  */
+  async _getCached (request, path, { resumable = false } = {}) {
+    const deviceId = this.pnp.state.remotePeerId
+    let cached
+    try {
+      cached = await this.responseCache.get(deviceId, path)
+    } catch (error) {
+      console.warn('Error reading response cache', { error, path })
+    }
+    if (cached) {
+      const validators = conditionalHeaders(cached)
+      if (Object.keys(validators).length > 0) {
+        request.headers = { ...request.headers, ...validators }
+      }
+    }
+    const response = resumable
+      ? await this._getResumable(request, path)
+      : await this._get(request)
+    const status = response.header && response.header.status
+    if (cached && status === 304) {
+      console.debug('Edge response not modified, using cached copy', { path })
+      return {
+        header: { ...response.header, status: 200 },
+        content: cached.content,
+        receivedAll: true
+      }
+    }
+    if (status === 200) {
+      try {
+        await this.responseCache.put(deviceId, path, response)
+      } catch (error) {
+        console.warn('Error writing response cache', { error, path })
+      }
+    }
+    return response
+  }
+
+  /**
+    GET a resource and keep the content received so far if the download
+    times out. The next call for the same resource asks the edge device
+    only for the remaining bytes with a Range request.
+    The edge device sends the full resource instead if it changed
+    in the meantime. Failures of the partial download store
+    do not fail the request.
+  */
+  async _getResumable (request, path) {
+    const deviceId = this.pnp.state.remotePeerId
+    let partial
+    try {
+      partial = await this.partialDownloads.get(deviceId, path)
+    } catch (error) {
+      console.warn('Error reading partial download', { error, path })
+    }
+    const resumeHeaders = partial ? rangeHeaders(partial) : {}
+    const offset = resumeHeaders.Range ? partial.content.byteLength : 0
+    const rangeRequest = { ...request }
+    if (offset > 0) {
+      rangeRequest.headers = { ...request.headers, ...resumeHeaders }
+      if (request.onDownloadProgress) {
+        // report progress of the whole resource, not just the remaining bytes
+        rangeRequest.onDownloadProgress = ({ loaded, total }) => {
+          request.onDownloadProgress({
+            loaded: offset + loaded,
+            total: offset + total,
+            progress: (offset + loaded) / (offset + total)
+          })
+        }
+      }
+      console.debug('Resuming partial download', { path, offset })
+    }
+    let response
+    try {
+      response = await this._get(rangeRequest)
+    } catch (error) {
+      const status = error.response && error.response.header.status
+      if (offset > 0 && status === 416) {
+        // the stored bytes no longer fit the resource, start over
+        await this._deletePartialDownload(deviceId, path)
+        return await this._get(request)
+      }
+      await this._savePartialDownload(deviceId, path, error.response,
+        status === 206 ? partial : undefined)
+      throw error
+    }
+    const status = response.header && response.header.status
+    if (status === 206 && offset > 0) {
+      const range = parseContentRange(getHeader(response.header, 'content-range'))
+      if (!range || range.start !== offset) {
+        await this._deletePartialDownload(deviceId, path)
+        throw Error('Edge device sent an unexpected content range.')
+      }
+      await this._deletePartialDownload(deviceId, path)
+      const content = concatContent(partial.content, response.content)
+      return {
+        ...response,
+        header: { ...response.header, status: 200, content_length: content.byteLength },
+        content
+      }
+    }
+    if (partial) {
+      // full response, e.g. the resource changed since the partial download
+      await this._deletePartialDownload(deviceId, path)
+    }
+    return response
+  }
+
+  /**
+    Keep the content of an incomplete response for resuming later.
+    The content of a 206 response continues the previous partial download.
+  */
+  async _savePartialDownload (deviceId, path, response, previous) {
+    const status = response && response.header.status
+    if (!response || response.receivedAll || !response.content ||
+      (status !== 200 && !(status === 206 && previous))) {
+      return
+    }
+    let content = response.content
+    let total = response.header.content_length
+    if (status === 206) {
+      content = concatContent(previous.content, content)
+      total = previous.total
+    }
+    try {
+      await this.partialDownloads.put(deviceId, path,
+        { content, total, header: response.header })
+      console.debug('Saved partial download', { path, bytes: content.byteLength, total })
+    } catch (error) {
+      console.warn('Error saving partial download', { error, path })
+    }
+  }
+
+  async _deletePartialDownload (deviceId, path) {
+    try {
+      await this.partialDownloads.delete(deviceId, path)
+    } catch (error) {
+      console.warn('Error deleting partial download', { error, path })
+    }
+  }
+
   async _getJSON (request) {
     const response = await this._get(request)
-    if (response.header.status > 400) {
-      // HTTP Error code in 400s or 500s. Something went wrong.
-      throw Error(`HTTP Error Code: ${response.header.status}`)
-    } else {
-      const jsn = this.pnp.state.peerFetch.jsonify(response.content)
-      return jsn
-    }
+    const jsn = this.pnp.state.peerFetch.jsonify(response.content)
+    return jsn
   }
 
   async _putJSON (request) {
     const response = await this._put(request)
-    if (response.header.status > 400) {
-      // HTTP Error code in 400s or 500s. Something went wrong.
-      throw Error(`HTTP Error Code: ${response.header.status}`)
-    } else {
-      const jsn = this.pnp.state.peerFetch.jsonify(response.content)
-      return jsn
-    }
+    const jsn = this.pnp.state.peerFetch.jsonify(response.content)
+    return jsn
   }
 
   /**
     Get one page of timeline as array of events.
+    An optional AbortSignal cancels the request.
   */
-  async getTimelinePage (pageNum = 1) {
+  async getTimelinePage (pageNum = 1, { signal } = {}) {
     const apiRoot = this._getRootURL()
     const timelineURL = apiRoot + 'timeline'
     let timelinePage = []
@@ -70,53 +339,139 @@ export class EdgeAPI {
         page: pageNum
       }
     }
+    if (signal) {
+      request.signal = signal
+    }
     timelinePage = await this._getJSON(request)
     return timelinePage
   }
 
+  /**
+    Receive new timeline events as the edge device records them.
+    The listener is called with each event in the same format
+    as the events in a timeline page.
+
+    Events are pushed over the PeerFetch event channel
+    regardless of the active transport. The listener also receives
+    `{ eventId }`; passing the last one seen as `lastEventId` to a later
+    subscription asks the edge device for the events missed in between.
+    `onOpen` and `onClose` are called as the event channel opens and
+    closes. Callers should poll getTimelinePage() while it is closed.
+
+    Returns a function that ends the subscription or undefined
+    if the edge device cannot push events. Callers should then
+    poll getTimelinePage() instead.
+  */
+  subscribeTimeline (listener, { lastEventId, onOpen, onClose } = {}) {
+    const peerFetch = this.pnp.state.peerFetch
+    if (!peerFetch || !peerFetch.hasCapability(CAPABILITY_EVENTS)) {
+      return undefined
+    }
+    return peerFetch.subscribe(TIMELINE_TOPIC, listener,
+      { lastEventId, onOpen, onClose })
+  }
+
   /**
     Given an image file name and a relative directory on a remote edge device,
     download the image, create a browser local blob with it
     and return the URL to the local blob.
+    Images are served from the response cache when still fresh.
+    An interrupted download resumes where it stopped on the next call.
+    An optional AbortSignal cancels the download and an optional
+    onDownloadProgress callback receives download progress updates.
+
+    The caller owns the returned URL and should release it
+    with URL.revokeObjectURL() when the image is no longer displayed.
   */
-  async getLocalImageURL (relDir, imageName) {
+  async getLocalImageURL (relDir, imageName, { signal, onDownloadProgress } = {}) {
     const apiRoot = this._getRootURL()
-    const edgeImageUrl = apiRoot + 'data/' + relDir + '/' + imageName
+    const imagePath = 'data/' + relDir + '/' + imageName
+    const edgeImageUrl = apiRoot + imagePath
     const request = {
-      url: edgeImageUrl
+      url: edgeImageUrl,
+      // thumbnails should not hold up interactive requests
+      priority: PRIORITY_LOW
+    }
+    if (signal) {
+      request.signal = signal
+    }
+    if (onDownloadProgress) {
+      request.onDownloadProgress = onDownloadProgress
     }
     var imageUrl
     try {
-      const response = await this._get(request)
+      const response = await this._getCached(request, imagePath, { resumable: true })
       var arrayBufferView = new Uint8Array(response.content)
       var blob = new Blob([arrayBufferView])
       var urlCreator = window.URL || window.webkitURL
       imageUrl = urlCreator.createObjectURL(blob)
     } catch (error) {
-      console.error('Error fetching image file from edge', { error, request })
+      if (error.name === 'AbortError') {
+        console.debug('Image file download from edge aborted', { request })
+      } else {
+        console.error('Error fetching image file from edge', { error, request })
+      }
       imageUrl = undefined
     }
     return imageUrl
   }
 
+  /**
+    Upload a file to the edge device, e.g. a custom model file,
+    a configuration YAML file or a reference face image.
+    The path is relative to the edge API root, e.g. 'models/detector.tflite'.
+    The file is sent in the request body of a PUT request, with the
+    Content-Type of the file when it is a Blob or File.
+
+    An optional AbortSignal cancels the upload and an optional
+    onUploadProgress callback receives upload progress updates.
+
+    Returns the JSON response of the edge device.
+  */
+  async uploadFile (path, file, { signal, onUploadProgress } = {}) {
+    const apiRoot = this._getRootURL()
+    const esc = encodeURIComponent
+    const urlEncodedPath = path.split('/').map(esc).join('/')
+    const request = {
+      url: apiRoot + urlEncodedPath,
+      data: file
+    }
+    if (signal) {
+      request.signal = signal
+    }
+    if (onUploadProgress) {
+      request.onUploadProgress = onUploadProgress
+    }
+    return await this._putJSON(request)
+  }
+
   async getEdgeStatus () {
     const apiRoot = this._getRootURL()
     const request = {
-      url: `${apiRoot}status`
+      url: `${apiRoot}status`,
+      priority: PRIORITY_HIGH
     }
     return await this._getJSON(request)
   }
 
+  /**
+    LAN origin of the edge HTTP API as the edge device reports it
+    in its status, or undefined if it does not report a valid one.
+  */
+  async getLanOrigin () {
+    const status = await this.getEdgeStatus()
+    return parseLanOrigin(status && status.lan_origin)
+  }
+
   async setDeviceDisplayName (newName) {
     const apiRoot = this._getRootURL()
     const esc = encodeURIComponent
     const urlEncodedName = esc(newName)
     const request = {
-      url: `${apiRoot}device/display_name/${urlEncodedName}`
+      url: `${apiRoot}device/display_name/${urlEncodedName}`,
+      priority: PRIORITY_HIGH
     }
-    const response = await this._putJSON(request)
-    console.debug('setDeviceDisplayName() received response', { request }, { response })
-    return response
+    return await this._putJSON(request)
   }
 
   async setIftttKey (newKey) {
@@ -124,11 +479,10 @@ export class EdgeAPI {
     const esc = encodeURIComponent
     const urlEncodedKey = esc(newKey)
     const request = {
-      url: `${apiRoot}integrations/ifttt/api_key/${urlEncodedKey}`
+      url: `${apiRoot}integrations/ifttt/api_key/${urlEncodedKey}`,
+      priority: PRIORITY_HIGH
     }
-    const response = await this._putJSON(request)
-    console.debug('setIftttKey() received response', { request }, { response })
-    return response
+    return await this._putJSON(request)
   }
 
   async enableNotifications (newState) {
@@ -136,29 +490,36 @@ export class EdgeAPI {
     const esc = encodeURIComponent
     const urlEncodedState = esc(newState)
     const request = {
-      url: `${apiRoot}notifications/enable/${urlEncodedState}`
+      url: `${apiRoot}notifications/enable/${urlEncodedState}`,
+      priority: PRIORITY_HIGH
     }
-    const response = await this._putJSON(request)
-    console.debug('enableNotifications() received response', { request }, { response })
-    return response
+    return await this._putJSON(request)
   }
 
   async testNotifications () {
     const apiRoot = this._getRootURL()
     const request = {
-      url: `${apiRoot}notifications/test`
+      url: `${apiRoot}notifications/test`,
+      priority: PRIORITY_HIGH
     }
-    const response = await this._getJSON(request)
-    console.debug('testNotifications() received response', { request }, { response })
-    return response
+    return await this._getJSON(request)
   }
 
-  async auth () {
+  /**
+    Ask the edge device to prove its identity.
+    An optional challenge nonce is sent for the edge device to sign.
+    Edge devices that do not support challenges ignore it.
+  */
+  async auth ({ nonce } = {}) {
     console.debug('PEER_AUTHENTICATE auth() start')
     const authURL = `${API_SCHEMA}://${API_HOST}:${API_PORT}/`
     const request = {
       method: 'GET',
-      url: authURL
+      url: authURL,
+      priority: PRIORITY_HIGH
+    }
+    if (nonce) {
+      request.headers = { [CHALLENGE_HEADER]: nonce }
     }
     console.debug('PEER_AUTHENTICATE API request:', request)
     console.debug('PEER_AUTHENTICATE this.pnp.state.peerFetch:', this.pnp.state.peerFetch)
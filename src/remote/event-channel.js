@@ -0,0 +1,179 @@
+// label of the DataChannel that carries pushed events
+export const EVENTS_CHANNEL_LABEL = 'events'
+
+/**
+ * Server-push event subscriptions over a second, labelled DataChannel.
+ * Works like Server-Sent Events: the client subscribes to a topic
+ * and the remote peer pushes events on that topic as they happen.
+ *
+ * Messages are JSON text. The client sends
+ *   { "type": "subscribe", "id": 1, "topic": "timeline", "last_event_id": "..." }
+ *   { "type": "unsubscribe", "id": 1 }
+ * and the remote peer pushes
+ *   { "type": "event", "id": 1, "event_id": "...", "data": {...} }
+ * where `id` names the subscription.
+ *
+ * Subscriptions can be made before the channel is attached or open.
+ * They are sent once it opens. When a new channel is attached,
+ * for example after a reconnect, the subscriptions are sent again with
+ * the id of the last event received, so the remote peer can send
+ * the events that were missed in between. Subscribers can follow
+ * whether their events are flowing with the onOpen and onClose callbacks.
+*/
+export class EventChannel {
+  /**
+   * @param {Function} textDecode decodes binary messages to text
+   */
+  constructor ({ textDecode }) {
+    this._textDecode = textDecode
+    this._dataConnection = undefined
+    this._isOpen = false
+    this._subscriptions = new Map()
+    this._nextSubscriptionId = 1
+  }
+
+  /**
+   * Carry subscriptions over a DataConnection to the remote peer.
+   * Replaces a previously attached DataConnection.
+   */
+  attach (dataConnection) {
+    this.close()
+    this._dataConnection = dataConnection
+    dataConnection.on('open', () => {
+      if (this._dataConnection !== dataConnection) {
+        return
+      }
+      console.debug('Event channel is now open.')
+      this._isOpen = true
+      for (const subscriptionId of this._subscriptions.keys()) {
+        this._sendSubscribe(subscriptionId)
+      }
+    })
+    dataConnection.on('data', (data) => {
+      if (this._dataConnection === dataConnection) {
+        this._receive(data)
+      }
+    })
+    dataConnection.on('close', () => {
+      if (this._dataConnection === dataConnection) {
+        console.debug('Event channel is now closed.')
+        this._dataConnection = undefined
+        this._setClosed()
+      }
+    })
+  }
+
+  /**
+   * Listen for events on a topic.
+   *
+   * @param {string} topic e.g. 'timeline'
+   * @param {Function} listener called with the event data and
+   *  `{ topic, eventId }` for each event
+   * @param {*} lastEventId optional id of the last event already seen
+   * @param {Function} onOpen optional, called each time the subscription
+   *  is sent to the remote peer and events start flowing
+   * @param {Function} onClose optional, called each time the channel closes
+   *  and events stop flowing until a new channel is attached
+   * @returns {Function} call to end the subscription
+   */
+  subscribe (topic, listener, { lastEventId, onOpen, onClose } = {}) {
+    const subscriptionId = this._nextSubscriptionId++
+    this._subscriptions.set(subscriptionId,
+      { topic, listener, lastEventId, onOpen, onClose })
+    if (this._isOpen) {
+      this._sendSubscribe(subscriptionId)
+    }
+    return () => this._unsubscribe(subscriptionId)
+  }
+
+  /**
+   * Close the DataConnection. Subscriptions are kept
+   * for the next attached DataConnection.
+   */
+  close () {
+    const dataConnection = this._dataConnection
+    this._dataConnection = undefined
+    this._setClosed()
+    if (dataConnection) {
+      dataConnection.close()
+    }
+  }
+
+  _setClosed () {
+    if (!this._isOpen) {
+      return
+    }
+    this._isOpen = false
+    for (const { topic, onClose } of this._subscriptions.values()) {
+      this._callback(onClose, topic)
+    }
+  }
+
+  _callback (callback, topic) {
+    if (!callback) {
+      return
+    }
+    try {
+      callback()
+    } catch (error) {
+      console.error('Error in event subscription callback', { error, topic })
+    }
+  }
+
+  _unsubscribe (subscriptionId) {
+    if (!this._subscriptions.delete(subscriptionId)) {
+      return
+    }
+    if (this._isOpen) {
+      this._send({ type: 'unsubscribe', id: subscriptionId })
+    }
+  }
+
+  _sendSubscribe (subscriptionId) {
+    const { topic, lastEventId, onOpen } = this._subscriptions.get(subscriptionId)
+    const message = { type: 'subscribe', id: subscriptionId, topic }
+    if (lastEventId !== undefined) {
+      message.last_event_id = lastEventId
+    }
+    this._send(message)
+    this._callback(onOpen, topic)
+  }
+
+  _send (message) {
+    try {
+      this._dataConnection.send(JSON.stringify(message))
+    } catch (error) {
+      console.error('Error sending message over event channel', { error, message })
+    }
+  }
+
+  _receive (data) {
+    let message
+    try {
+      const text = typeof data === 'string' ? data : this._textDecode(data)
+      message = JSON.parse(text)
+    } catch (error) {
+      console.error('Unable to parse event channel message from remote peer', { error, data })
+      return
+    }
+    if (message.type !== 'event') {
+      console.warn('Unexpected event channel message from remote peer', { message })
+      return
+    }
+    const subscription = this._subscriptions.get(message.id)
+    if (!subscription) {
+      // late event for an ended subscription
+      console.debug('Ignoring event for unknown subscription', { message })
+      return
+    }
+    if (message.event_id !== undefined) {
+      subscription.lastEventId = message.event_id
+    }
+    try {
+      subscription.listener(message.data,
+        { topic: subscription.topic, eventId: message.event_id })
+    } catch (error) {
+      console.error('Error in event subscription listener', { error, topic: subscription.topic })
+    }
+  }
+}
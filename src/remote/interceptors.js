@@ -0,0 +1,83 @@
+/**
+ * Request and response interceptors similar to axios.
+ *
+ * @see {@link https://github.com/axios/axios#interceptors}
+*/
+export class InterceptorManager {
+  constructor () {
+    // registered handlers in order of registration
+    // ejected handlers leave a null placeholder so that ids stay valid
+    this._handlers = []
+  }
+
+  /**
+   * Register an interceptor.
+   *
+   * @param {*} fulfilled called with the request config or the response,
+   *  returns the (possibly modified) value or a promise of it
+   * @param {*} rejected called with the error of a previous step
+   * @returns {number} id that can be used to eject the interceptor
+   */
+  use (fulfilled, rejected) {
+    this._handlers.push({ fulfilled, rejected })
+    return this._handlers.length - 1
+  }
+
+  /**
+   * Remove a previously registered interceptor.
+   *
+   * @param {number} id value returned by use()
+   */
+  eject (id) {
+    if (this._handlers[id]) {
+      this._handlers[id] = null
+    }
+  }
+
+  /**
+   * Remove all interceptors.
+   */
+  clear () {
+    this._handlers = []
+  }
+
+  forEach (fn) {
+    this._handlers.forEach(handler => {
+      if (handler !== null) {
+        fn(handler)
+      }
+    })
+  }
+}
+
+/**
+ * Create a pair of request and response interceptor managers.
+ */
+export function createInterceptors () {
+  return {
+    request: new InterceptorManager(),
+    response: new InterceptorManager()
+  }
+}
+
+/**
+ * Run a request through a chain of interceptors.
+ * Same as axios, request interceptors run in reverse order of registration
+ * and response interceptors run in order of registration.
+ *
+ * @param {*} interceptors request and response interceptor managers
+ * @param {*} config request config
+ * @param {*} dispatchRequest async function that sends the request
+ *  and returns the response
+ */
+export async function dispatchWithInterceptors (interceptors, config, dispatchRequest) {
+  const chain = []
+  interceptors.request.forEach(handler => chain.unshift(handler))
+  chain.push({ fulfilled: dispatchRequest })
+  interceptors.response.forEach(handler => chain.push(handler))
+  let promise = Promise.resolve(config)
+  for (const { fulfilled, rejected } of chain) {
+    promise = promise.then(fulfilled, rejected)
+  }
+  return await promise
+}
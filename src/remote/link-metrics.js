@@ -0,0 +1,100 @@
+// time span in milliseconds over which throughput is averaged
+const THROUGHPUT_WINDOW = 5000
+
+// weight of a new round-trip time sample in the smoothed average,
+// same as the TCP smoothed RTT estimator (RFC 6298)
+const RTT_SMOOTHING = 1 / 8
+
+/**
+ * Link quality measurements of one PeerFetch connection.
+ *
+ * Round-trip times come from keepalive pings. Throughput counts
+ * the bytes that crossed the DataChannel in each direction within
+ * the last few seconds. Timeouts and errors are counted since
+ * the connection opened.
+*/
+export class LinkMetrics {
+  constructor ({ windowMs = THROUGHPUT_WINDOW, now = Date.now } = {}) {
+    this._windowMs = windowMs
+    this._now = now
+    // recent { time, bytes } samples per direction
+    this._samples = { sent: [], received: [] }
+    this.rtt = undefined
+    this.rttSmoothed = undefined
+    this.rttMin = undefined
+    this.requests = 0
+    this.timeouts = 0
+    this.errors = 0
+  }
+
+  /**
+   * Record the round-trip time of a ping in milliseconds.
+   */
+  recordRtt (rtt) {
+    this.rtt = rtt
+    this.rttSmoothed = this.rttSmoothed === undefined
+      ? rtt
+      : this.rttSmoothed + RTT_SMOOTHING * (rtt - this.rttSmoothed)
+    this.rttMin = this.rttMin === undefined ? rtt : Math.min(this.rttMin, rtt)
+  }
+
+  /**
+   * Record bytes that crossed the DataChannel.
+   *
+   * @param {string} direction 'sent' or 'received'
+   * @param {number} bytes number of bytes
+   */
+  recordBytes (direction, bytes) {
+    const samples = this._samples[direction]
+    samples.push({ time: this._now(), bytes })
+    this._prune(samples)
+  }
+
+  recordRequest () {
+    this.requests++
+  }
+
+  recordTimeout () {
+    this.timeouts++
+  }
+
+  recordError () {
+    this.errors++
+  }
+
+  /**
+   * Average bytes per second in one direction over the throughput window.
+   */
+  bytesPerSecond (direction) {
+    const samples = this._samples[direction]
+    this._prune(samples)
+    const bytes = samples.reduce((sum, sample) => sum + sample.bytes, 0)
+    return bytes / (this._windowMs / 1000)
+  }
+
+  /**
+   * Plain object copy of the current measurements,
+   * suitable for reactive store state.
+   */
+  snapshot () {
+    return {
+      rtt: this.rtt,
+      rttSmoothed: this.rttSmoothed,
+      rttMin: this.rttMin,
+      bytesPerSecondSent: this.bytesPerSecond('sent'),
+      bytesPerSecondReceived: this.bytesPerSecond('received'),
+      requests: this.requests,
+      timeouts: this.timeouts,
+      errors: this.errors,
+      timeoutRate: this.requests > 0 ? this.timeouts / this.requests : 0,
+      errorRate: this.requests > 0 ? this.errors / this.requests : 0
+    }
+  }
+
+  _prune (samples) {
+    const oldest = this._now() - this._windowMs
+    while (samples.length > 0 && samples[0].time <= oldest) {
+      samples.shift()
+    }
+  }
+}
@@ -0,0 +1,117 @@
+import { localdb } from '@/store/localdb'
+import { getHeader } from '@/remote/response-cache'
+
+// maximum number of interrupted downloads kept for resuming
+// before the oldest ones are dropped
+const MAX_PARTIAL_DOWNLOADS = 20
+
+/**
+ * IndexedDB backed store of interrupted edge downloads
+ * keyed by edge device peer id and resource path.
+ *
+ * Each entry holds the leading bytes of the resource received so far
+ * and the ETag or Last-Modified validator of the response they came from.
+ * A later request asks only for the remaining bytes with a Range header
+ * and an If-Range header so that the edge device sends the full resource
+ * instead if it has changed in the meantime.
+*/
+export class PartialDownloads {
+  constructor ({ maxEntries = MAX_PARTIAL_DOWNLOADS, table = localdb.partialDownloads } = {}) {
+    this.maxEntries = maxEntries
+    this._table = table
+  }
+
+  static key (deviceId, path) {
+    return `${deviceId}:${path}`
+  }
+
+  /**
+   * @returns the entry with `content`, `total`, `etag`
+   *  and `lastModified` fields or undefined
+   */
+  async get (deviceId, path) {
+    return await this._table.get(PartialDownloads.key(deviceId, path))
+  }
+
+  /**
+   * Store the leading bytes of a resource.
+   *
+   * @param {ArrayBuffer} content bytes received so far from the start of the resource
+   * @param {number} total size of the complete resource in bytes
+   * @param {*} header response header packet the bytes came from
+   */
+  async put (deviceId, path, { content, total, header = {} }) {
+    const entry = {
+      key: PartialDownloads.key(deviceId, path),
+      deviceId,
+      path,
+      content,
+      total,
+      etag: getHeader(header, 'etag'),
+      lastModified: getHeader(header, 'last-modified'),
+      updatedAt: Date.now()
+    }
+    await this._table.put(entry)
+    await this._evict()
+    return entry
+  }
+
+  async delete (deviceId, path) {
+    await this._table.delete(PartialDownloads.key(deviceId, path))
+  }
+
+  async _evict () {
+    const count = await this._table.count()
+    if (count > this.maxEntries) {
+      const staleKeys = await this._table.orderBy('updatedAt')
+        .limit(count - this.maxEntries)
+        .primaryKeys()
+      await this._table.bulkDelete(staleKeys)
+      console.debug('Dropped oldest partial downloads', { staleKeys })
+    }
+  }
+}
+
+/**
+ * Request headers that ask the edge device for the rest of a partial download.
+ * Without a validator there is no safe way to resume and
+ * no headers are returned.
+ */
+export function rangeHeaders (entry) {
+  const validator = entry.etag || entry.lastModified
+  if (!validator) {
+    return {}
+  }
+  return {
+    Range: `bytes=${entry.content.byteLength}-`,
+    'If-Range': validator
+  }
+}
+
+/**
+ * Parse a `Content-Range: bytes <start>-<end>/<total>` response header.
+ *
+ * @returns `{ start, end, total }` or undefined if the value is not a
+ *  satisfied byte range. `total` is undefined when the size is unknown.
+ */
+export function parseContentRange (value) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec((value || '').trim())
+  if (!match) {
+    return undefined
+  }
+  return {
+    start: Number(match[1]),
+    end: Number(match[2]),
+    total: match[3] === '*' ? undefined : Number(match[3])
+  }
+}
+
+/**
+ * Join the bytes of a partial download and the rest of the resource.
+ */
+export function concatContent (head, tail) {
+  const content = new Uint8Array(head.byteLength + tail.byteLength)
+  content.set(new Uint8Array(head), 0)
+  content.set(new Uint8Array(tail), head.byteLength)
+  return content.buffer
+}
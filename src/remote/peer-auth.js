@@ -0,0 +1,106 @@
+// request header that carries the authentication challenge nonce
+export const CHALLENGE_HEADER = 'X-Ambianic-Challenge'
+
+// prefix of the signed challenge message, so that a signature
+// made for authentication cannot be reused for anything else
+const CHALLENGE_CONTEXT = 'ambianic-peer-auth-v1'
+
+// size in bytes of a random challenge nonce
+const NONCE_SIZE = 32
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' }
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: { name: 'SHA-256' } }
+
+/**
+ * Challenge-response authentication of edge devices.
+ *
+ * The UI sends a random nonce with the auth request in the
+ * X-Ambianic-Challenge header. An edge device that supports
+ * challenges answers with JSON
+ *   { "public_key": "...", "signature": "..." }
+ * where `public_key` is its ECDSA P-256 public key in base64 encoded
+ * SubjectPublicKeyInfo format and `signature` is the base64 encoded
+ * raw (r || s) ECDSA SHA-256 signature of the UTF-8 message
+ *   ambianic-peer-auth-v1:<edge peer id>:<nonce>
+ *
+ * The public key is pinned on the device card the first time
+ * the device proves that it holds the matching private key.
+ * Later connections must present the same key.
+*/
+
+/**
+ * New random challenge nonce, base64 encoded.
+ */
+export function createNonce ({ crypto = window.crypto } = {}) {
+  const nonce = crypto.getRandomValues(new Uint8Array(NONCE_SIZE))
+  return bytesToBase64(nonce)
+}
+
+/**
+ * The message an edge device signs to answer a challenge.
+ */
+export function challengeMessage (peerID, nonce) {
+  return `${CHALLENGE_CONTEXT}:${peerID}:${nonce}`
+}
+
+/**
+ * Parse the auth response text of an edge device.
+ *
+ * @returns `{ publicKey, signature }` or undefined if the edge device
+ *  did not answer the challenge
+ */
+export function parseChallengeResponse (text) {
+  let body
+  try {
+    body = JSON.parse(text)
+  } catch (error) {
+    return undefined
+  }
+  if (!body || typeof body.public_key !== 'string' || typeof body.signature !== 'string') {
+    return undefined
+  }
+  return { publicKey: body.public_key, signature: body.signature }
+}
+
+/**
+ * Check the signature of a challenge response with WebCrypto.
+ *
+ * @param {string} publicKey base64 encoded SPKI public key of the edge device
+ * @param {string} signature base64 encoded signature from the edge device
+ * @param {string} peerID peer id of the edge device
+ * @param {string} nonce challenge nonce sent to the edge device
+ * @returns {boolean} true if the signature is valid
+ */
+export async function verifyChallengeResponse (
+  { publicKey, signature, peerID, nonce },
+  { crypto = window.crypto } = {}
+) {
+  if (!crypto || !crypto.subtle) {
+    throw Error('WebCrypto is not available. Open the app over HTTPS to connect securely.')
+  }
+  let key
+  let signatureBytes
+  try {
+    key = await crypto.subtle.importKey('spki', base64ToBytes(publicKey),
+      KEY_ALGORITHM, false, ['verify'])
+    signatureBytes = base64ToBytes(signature)
+  } catch (error) {
+    console.warn('Invalid public key or signature from edge device', { error })
+    return false
+  }
+  const message = asciiToBytes(challengeMessage(peerID, nonce))
+  return await crypto.subtle.verify(SIGNATURE_ALGORITHM, key, signatureBytes, message)
+}
+
+function bytesToBase64 (bytes) {
+  return btoa(String.fromCharCode.apply(null, bytes))
+}
+
+function base64ToBytes (base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+}
+
+// challenge messages are made of base64 and peer id characters only
+function asciiToBytes (text) {
+  return Uint8Array.from(text, c => c.charCodeAt(0))
+}
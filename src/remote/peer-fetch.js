@@ -1,7 +1,37 @@
+import { createInterceptors, dispatchWithInterceptors } from '@/remote/interceptors'
+import { ENCODINGS, compress, decompress } from '@/remote/compression'
+import { LinkMetrics } from '@/remote/link-metrics'
+import { EventChannel } from '@/remote/event-channel'
+
 /**
  * Implements HTML Fetch API over p2p WebRTC DataChannel.
  * Provides convenience HTTP methods similar to axios.
  *
+ * Each request carries a numeric `id`. The remote peer echoes the `id`
+ * in the response header packet and in every binary content chunk frame,
+ * which allows multiple requests to be in flight over the same
+ * DataChannel and their responses to arrive in any order.
+ *
+ * Right after the DataChannel opens, handshake() exchanges the protocol
+ * version and capabilities with the remote peer. Multiple requests are
+ * put in flight only when both sides support multiplexing.
+ * Remote peers that do not answer the handshake are treated as legacy
+ * peers. They are served one request at a time and their responses
+ * are matched in FIFO order.
+ *
+ * When both sides support compression, request and response bodies
+ * may be sent gzip or deflate compressed. The header packet then names
+ * the compression in its `content_encoding` field and `content_length`
+ * counts the compressed bytes.
+ *
+ * Link quality of the connection is measured in `metrics`:
+ * round-trip time of keepalive pings, throughput and
+ * timeout and error counts. onMetrics() listeners receive a snapshot
+ * of the measurements every second.
+ *
+ * When the remote peer supports events, subscribe() receives events it
+ * pushes over a second DataChannel attached with attachEventChannel().
+ *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch fetch}
  * @see {@link https://github.com/axios/axios axious}
  *
@@ -10,86 +40,349 @@ export class PeerFetch {
   constructor (dataConnection) {
     // the DataConnection that PeerFetch rides on
     this._dataConnection = dataConnection
-    // Map of pending requests awaiting responses
+    // Map of pending requests awaiting responses keyed by request id
     this._requestMap = new Map()
     // incrementing counter to the next available
-    // unused ticket number
-    // Each request is assigned a ticket
-    // which can be used to claim the response
-    this._nextAvailableTicket = 0
-    // points to the next ticket assigned to a pending request
-    // Requests are processed in FIFO order.
-    this._nextTicketInLine = 0
+    // unused request id
+    this._nextRequestId = 0
+    // ids of requests waiting to be sent to the remote peer
+    // in the order they were issued
+    this._requestQueue = []
+    // ids of requests sent to the remote peer and awaiting a response
+    // Set iteration order is insertion order, so the first entry
+    // is always the oldest request in flight.
+    this._requestsInFlight = new Set()
+    // Until the handshake confirms that the remote peer supports
+    // multiplexing, only one request at a time is sent across the wire.
+    this._maxRequestsInFlight = 1
+    // protocol version and capabilities agreed with the remote peer
+    // in the handshake
+    this.protocol = {
+      version: LEGACY_PROTOCOL_VERSION,
+      capabilities: [],
+      encoding: undefined
+    }
+    // byte counts of request and response bodies before (content)
+    // and after (wire) compression, see debugStats()
+    this._stats = {
+      requestContentBytes: 0,
+      requestWireBytes: 0,
+      responseContentBytes: 0,
+      responseWireBytes: 0
+    }
+    // link quality measurements of this connection
+    this.metrics = new LinkMetrics()
+    this._metricsListeners = []
+    // keepalive ping interval in milliseconds, adapted to the link
+    this._pingInterval = MIN_PING_INTERVAL
+    // shortest idle time after which pings went unanswered repeatedly, if any
+    this._natTimeoutBound = undefined
+    // interval of the last unanswered ping until a ping at it is answered
+    this._failedPingInterval = undefined
+    this._onVisibilityChange = this._onVisibilityChange.bind(this)
+    // server-push event subscriptions
+    this._eventChannel = new EventChannel({
+      textDecode: data => this.textDecode(toUint8Array(data).slice().buffer)
+    })
+    // request and response interceptors similar to axios
+    // e.g. peerFetch.interceptors.request.use(config => config)
+    this.interceptors = createInterceptors()
     this._configureDataConnection()
     this._schedulePing()
   }
 
   /**
-   * Schedule periodic pings to keep the datachannel alive.
+   * Schedule keepalive pings to keep the datachannel alive.
    * Some routers and firewalls close open ports within seconds
    * without data packets flowing through.
+   *
+   * The ping interval starts short and grows while pings succeed.
+   * A ping that goes unanswered suggests that the NAT or firewall in the
+   * path dropped the idle channel sooner than the interval. The interval
+   * then drops back to the minimum and stays well below the one that failed.
+   *
+   * Pings pause while the page is hidden. When it becomes visible again,
+   * a liveness check runs right away and pings resume.
    */
   _schedulePing () {
-    this._keepAlive = setInterval(
-      async () => {
-        // check if there are any pending requests
-        // no ping needed as long as there is traffic on the channel
-        if (!this._pendingRequests()) {
-          try {
-            // request pong to keep the webrtc datachannel connection alive
-            await this.get('ping')
-          } catch (err) {
-            console.warn('ping request timed out while waiting for pong from remote peer.')
-          }
-        }
-      },
-      1000 // every second
-    )
+    this._clearKeepAliveTimers()
+    this._watchVisibility()
+    if (isPageHidden()) {
+      console.debug('Pings paused while the page is hidden.')
+      return
+    }
+    this._keepAliveActive = true
+    this._metricsTimer = setInterval(() => this._notifyMetrics(), METRICS_INTERVAL)
+    this._scheduleNextPing()
     console.debug('Pings scheduled.')
   }
 
+  _scheduleNextPing () {
+    this._keepAlive = setTimeout(() => this._keepAliveTick(), this._pingInterval)
+  }
+
+  async _keepAliveTick () {
+    // no ping needed as long as there is traffic on the channel
+    if (!this._pendingRequests()) {
+      const isAlive = await this.checkLiveness()
+      this._adaptPingInterval(isAlive)
+    }
+    if (this._keepAliveActive) {
+      this._scheduleNextPing()
+    }
+  }
+
+  /**
+   * Grow the ping interval after a successful ping
+   * and shrink it after a failed one.
+   * The interval stays below a NAT timeout only after pings
+   * at the same interval failed twice in a row, since a single
+   * lost pong may be a glitch.
+   */
+  _adaptPingInterval (isAlive) {
+    const interval = this._pingInterval
+    if (isAlive) {
+      if (interval >= this._failedPingInterval) {
+        this._failedPingInterval = undefined
+      }
+      const limit = this._natTimeoutBound
+        ? Math.max(MIN_PING_INTERVAL, this._natTimeoutBound / 2)
+        : MAX_PING_INTERVAL
+      this._pingInterval = Math.min(interval * PING_INTERVAL_GROWTH, limit, MAX_PING_INTERVAL)
+    } else {
+      // pings at the shortest interval fail when the link is down,
+      // there is no NAT timeout to stay below
+      if (interval === this._failedPingInterval && interval > MIN_PING_INTERVAL) {
+        this._natTimeoutBound = interval
+      }
+      this._failedPingInterval = interval
+      this._pingInterval = MIN_PING_INTERVAL
+    }
+    console.debug('Ping interval adapted', {
+      isAlive,
+      pingInterval: this._pingInterval,
+      natTimeoutBound: this._natTimeoutBound
+    })
+  }
+
+  /**
+   * Ping the remote peer and record the round-trip time.
+   *
+   * @returns {boolean} true if the remote peer answered in time
+   */
+  async checkLiveness () {
+    try {
+      // the pong travels an otherwise idle channel,
+      // which makes it a good round-trip time sample
+      const start = Date.now()
+      await this.get('ping', { timeout: PING_TIMEOUT })
+      this.metrics.recordRtt(Date.now() - start)
+      return true
+    } catch (err) {
+      console.warn('ping request timed out while waiting for pong from remote peer.')
+      return false
+    }
+  }
+
+  _watchVisibility () {
+    if (this._isWatchingVisibility || typeof document === 'undefined') {
+      return
+    }
+    document.addEventListener('visibilitychange', this._onVisibilityChange)
+    this._isWatchingVisibility = true
+  }
+
+  _onVisibilityChange () {
+    if (isPageHidden()) {
+      this._clearKeepAliveTimers()
+      console.debug('Pings paused while the page is hidden.')
+    } else {
+      // the channel may have been dropped while the page was hidden
+      this._pingInterval = MIN_PING_INTERVAL
+      this.checkLiveness().then(() => this._notifyMetrics())
+      this._schedulePing()
+    }
+  }
+
+  _clearKeepAliveTimers () {
+    this._keepAliveActive = false
+    clearTimeout(this._keepAlive)
+    clearInterval(this._metricsTimer)
+  }
+
+  /**
+   * Register a callback that receives a snapshot of the link metrics
+   * every second while the connection is open and the page is visible.
+   *
+   * @returns {Function} call to unregister the callback
+   */
+  onMetrics (callback) {
+    this._metricsListeners.push(callback)
+    return () => {
+      this._metricsListeners = this._metricsListeners.filter(listener => listener !== callback)
+    }
+  }
+
+  _notifyMetrics () {
+    if (this._metricsListeners.length === 0) {
+      return
+    }
+    const snapshot = this.metrics.snapshot()
+    for (const listener of this._metricsListeners) {
+      try {
+        listener(snapshot)
+      } catch (error) {
+        console.error('Error in onMetrics callback', { error })
+      }
+    }
+  }
+
+  /**
+   * Use a DataConnection labelled EVENTS_CHANNEL_LABEL to the same
+   * remote peer for server-push events.
+   */
+  attachEventChannel (dataConnection) {
+    this._eventChannel.attach(dataConnection)
+  }
+
+  /**
+   * Listen for events that the remote peer pushes on a topic.
+   * Requires the events capability and an attached event channel.
+   *
+   * @param {string} topic e.g. 'timeline'
+   * @param {Function} listener called with the data of each event
+   * @param {*} options `{ lastEventId }` to receive events missed since then,
+   *  `{ onOpen, onClose }` to follow whether events are flowing
+   * @returns {Function} call to end the subscription
+   */
+  subscribe (topic, listener, options) {
+    return this._eventChannel.subscribe(topic, listener, options)
+  }
+
   /**
   * Stop keepalive pings.
   */
   _stopPing () {
-    clearInterval(this._keepAlive)
+    this._clearKeepAliveTimers()
+    if (this._isWatchingVisibility) {
+      document.removeEventListener('visibilitychange', this._onVisibilityChange)
+      this._isWatchingVisibility = false
+    }
   }
 
   /**
-    Return the next available ticket number
-    for the HTTP request processing queue
-    and simultaneously increment the ticket counter.
+    Return the next available request id
+    and simultaneously increment the request id counter.
   */
-  _drawNewTicket () {
-    const nextAvailable = this._nextAvailableTicket
-    this._nextAvailableTicket++
-    const nextInLine = this._nextTicketInLine
-    console.assert(
-      nextInLine <= nextAvailable,
-      { nextInLine, nextAvailable }
-    )
-    return nextAvailable
+  _newRequestId () {
+    const requestId = this._nextRequestId
+    this._nextRequestId++
+    return requestId
   }
 
   /**
-    Move on to next pending ticket for the HTTP request queue
+    Remove a request with a complete response from the pending request map
+    and make room on the wire for the next queued request.
   */
-  _ticketProcessed (ticket) {
-    const errorMsg = 'response received out of order!'
-    const nextTicket = this._nextTicketInLine
-    console.assert(
-      ticket === nextTicket,
-      { ticket, nextTicket, errorMsg }
-    )
-    // remove entry from pending request map
-    this._requestMap.delete(ticket)
-    this._nextTicketInLine++
-    const nextInLine = this._nextTicketInLine
-    const nextAvailable = this._nextAvailableTicket
-    console.assert(
-      nextInLine <= nextAvailable,
-      { nextInLine, nextAvailable }
-    )
+  _requestProcessed (requestId) {
+    const pair = this._requestMap.get(requestId)
+    if (pair) {
+      clearTimeout(pair.timer)
+    }
+    this._requestMap.delete(requestId)
+    this._requestsInFlight.delete(requestId)
+    this._sendPendingRequests()
+  }
+
+  /**
+    Abort a pending request.
+    A request still waiting in the queue is removed and never sent.
+    A request already in flight stays on the books until its response
+    arrives or times out, so that the late response can be recognized and ignored.
+  */
+  _abortRequest (requestId) {
+    const pair = this._requestMap.get(requestId)
+    if (!pair) {
+      return
+    }
+    pair.aborted = true
+    const queueIndex = this._requestQueue.indexOf(requestId)
+    if (queueIndex >= 0) {
+      this._requestQueue.splice(queueIndex, 1)
+      this._requestProcessed(requestId)
+      console.debug('PeerFetch: Removed aborted request from queue', { requestId })
+    } else {
+      console.debug('PeerFetch: Aborted request in flight. Response will be ignored.', { requestId })
+    }
+    pair.reject(abortError())
+  }
+
+  /**
+    Settle the pending promises of requests with a complete response.
+  */
+  _deliverResponses () {
+    for (const requestId of this._requestsInFlight) {
+      const pair = this._requestMap.get(requestId)
+      // a response that failed integrity checks is settled right away
+      if (pair && pair.response && (pair.response.receivedAll || pair.response.error)) {
+        this._requestProcessed(requestId)
+        const response = pair.response
+        if (pair.aborted) {
+          console.debug('PeerFetch: Ignoring late response for aborted request', { requestId })
+        } else if (response.error) {
+          this.metrics.recordError()
+          pair.reject(Error(`PeerFetch response integrity error: ${response.error}`))
+        } else if (response.header && response.header.content_encoding) {
+          this._decompressResponse(requestId, pair)
+        } else {
+          console.debug('Received full response', { requestId, request: pair.request, response })
+          const contentBytes = bodyLength(response.content)
+          this._recordBody('response', contentBytes, contentBytes)
+          pair.resolve(response)
+        }
+      }
+    }
+  }
+
+  /**
+    Decompress the content of a response and then resolve its request.
+  */
+  async _decompressResponse (requestId, pair) {
+    const response = pair.response
+    const encoding = response.header.content_encoding
+    try {
+      const compressed = typeof response.content === 'string'
+        ? this.textEncode(response.content)
+        : toUint8Array(response.content || new ArrayBuffer(0))
+      const content = await decompress(compressed, encoding)
+      this._recordBody('response', content.byteLength, compressed.byteLength)
+      console.debug('Decompressed response content', {
+        requestId,
+        encoding,
+        compressedLength: compressed.byteLength,
+        contentLength: content.byteLength,
+        ratio: this.debugStats().responseCompressionRatio
+      })
+      response.content = content.buffer.slice(
+        content.byteOffset, content.byteOffset + content.byteLength)
+    } catch (error) {
+      this.metrics.recordError()
+      pair.reject(Error(`PeerFetch response decompression error: ${error.message}`))
+      return
+    }
+    if (pair.aborted) {
+      console.debug('PeerFetch: Ignoring late response for aborted request', { requestId })
+    } else {
+      pair.resolve(response)
+    }
+  }
+
+  /**
+    Return the id of the request that has been waiting
+    for a response the longest.
+  */
+  _oldestRequestInFlight () {
+    return this._requestsInFlight.values().next().value
   }
 
   _configureDataConnection () {
@@ -98,60 +391,30 @@ export class PeerFetch {
     this._dataConnection.on('data', function (data) {
       console.debug('Remote Peer Data message received (type %s)',
         typeof (data), { data })
+      peerFetch.metrics.recordBytes('received', bodyLength(data))
       // we expect data to be a response to a previously sent request message
-      const ticket = peerFetch._nextTicketInLine
-      console.debug(peerFetch, peerFetch._requestMap, ticket, data)
-      // update request-response map entry with this response
-      const pair = peerFetch._requestMap.get(ticket)
-      if (pair) {
-        // we expect the remote peer to respond with two consequetive data packates
-        // the first one containing the http header info
-        // and the second contatning the http body
-        if (!pair.response) {
-          console.debug('Processing response header', data)
-          // this is the first data message from the responses
-          const header = peerFetch.jsonify(data)
-          let receivedAll = false
-          let content
-          switch (header.status) {
-            case 202:
-              console.debug('Received keepalive ping')
-              // server accepted the request but still working
-              // ignore and keep waiting until result or timeout
-              break
-            case 204:
-              // Successfully processed request, no response content.
-              //  Normally returned in response to PUT requests.
-              console.debug('Received HTTP 204 response: Success. No content.')
-              // return 204 header and no response content
-              receivedAll = true
-              content = undefined
-              pair.response = { header, content, receivedAll }
-              break
-            case undefined:
-              console.warn('Expected http header packet with status attribute.', { ticket, header })
-              console.warn('Remote peer may not be using a compatible protocol.')
-              break
-            default:
-              console.debug('Received web server final response header',
-                { header })
-              // save header part of the response
-              // and wait for the p2p data messages with the content body
-              receivedAll = false
-              pair.response = { header, receivedAll }
-          }
-        } else {
-          console.debug('Processing response content')
-          // response content body arrived
-          pair.response.content = data
-          // assume for now that all response content can fit
-          // in a single 64KB data message
-          pair.response.receivedAll = true
-        }
+      // The remote peer responds with a header data packet
+      // containing the http header info
+      // followed by zero or more binary data packets containing the http body
+      const oldestPair = peerFetch._requestMap.get(peerFetch._oldestRequestInFlight())
+      if (oldestPair && oldestPair.response && !oldestPair.chunks &&
+        !oldestPair.response.receivedAll) {
+        console.debug('Processing response content')
+        // response content body arrived
+        // in a single data message
+        // from a remote peer that does not send chunked responses
+        oldestPair.response.content = data
+        oldestPair.response.receivedAll = true
+        const contentLength = bodyLength(data)
+        peerFetch._reportDownloadProgress(oldestPair, contentLength, contentLength)
+      } else if (typeof data !== 'string') {
+        console.debug('Processing response content chunk')
+        peerFetch._receiveChunk(data)
       } else {
-        console.error('Data received as response for ticket but no entry found in pending request map',
-          { ticket, data })
+        console.debug('Processing response header', data)
+        peerFetch._receiveHeader(data)
       }
+      peerFetch._deliverResponses()
     })
     this._dataConnection.on('open', function () {
       console.debug('Peer connection is now open.')
@@ -160,17 +423,373 @@ export class PeerFetch {
     this._dataConnection.on('close', function () {
       console.debug('Peer connection is now closed.')
       peerFetch._stopPing()
+      peerFetch._eventChannel.close()
     })
   }
 
+  /**
+   * Exchange protocol version and capabilities with the remote peer.
+   * Should be called right after the DataChannel opens,
+   * before any other requests.
+   *
+   * Remote peers that do not answer the handshake are assumed
+   * to speak the legacy protocol without optional capabilities.
+   *
+   * Rejects with an error suitable for display to the user
+   * if the remote peer speaks an incompatible protocol version.
+   *
+   * @returns {*} the agreed `{ version, capabilities }`
+   */
+  async handshake ({ timeout = HANDSHAKE_TIMEOUT } = {}) {
+    let response
+    try {
+      response = await this._dispatchRequest({
+        url: HANDSHAKE_URL,
+        method: 'POST',
+        data: {
+          protocol_version: PROTOCOL_VERSION,
+          capabilities: CAPABILITIES,
+          encodings: ENCODINGS
+        },
+        timeout,
+        priority: PRIORITY_HIGH
+      })
+    } catch (error) {
+      console.warn('Remote peer did not answer protocol handshake.', { error })
+    }
+    if (!response || !response.header || response.header.status !== 200) {
+      console.warn('Assuming remote peer speaks legacy protocol.', { response })
+      this._useProtocol(LEGACY_PROTOCOL_VERSION, [])
+      return this.protocol
+    }
+    let remote
+    try {
+      remote = this.jsonify(response.content)
+    } catch (error) {
+      console.error('Unable to parse protocol handshake response', { error, response })
+      throw Error('Edge device sent an invalid protocol handshake response.')
+    }
+    const version = remote.protocol_version
+    if (!(version >= MIN_PROTOCOL_VERSION)) {
+      throw Error(`Edge device uses protocol version ${version}, ` +
+        `which is no longer supported. Please upgrade Ambianic Edge.`)
+    } else if (version > PROTOCOL_VERSION) {
+      throw Error(`Edge device uses protocol version ${version}, ` +
+        `which is newer than this app supports. Please update Ambianic UI.`)
+    }
+    const remoteCapabilities = Array.isArray(remote.capabilities) ? remote.capabilities : []
+    const capabilities = CAPABILITIES.filter(
+      capability => remoteCapabilities.includes(capability))
+    const remoteEncodings = Array.isArray(remote.encodings) ? remote.encodings : []
+    const encoding = ENCODINGS.find(encoding => remoteEncodings.includes(encoding))
+    this._useProtocol(version, capabilities, encoding)
+    return this.protocol
+  }
+
+  /**
+   * Switch to the features agreed with the remote peer.
+   */
+  _useProtocol (version, capabilities, encoding) {
+    if (!encoding) {
+      capabilities = capabilities.filter(
+        capability => capability !== CAPABILITY_COMPRESSION)
+    }
+    if (!capabilities.includes(CAPABILITY_COMPRESSION)) {
+      encoding = undefined
+    }
+    if (!capabilities.includes(CAPABILITY_CHUNKING)) {
+      // without chunking, response bodies carry no request id
+      // to tell concurrent responses apart
+      capabilities = capabilities.filter(
+        capability => capability !== CAPABILITY_MULTIPLEXING)
+    }
+    this.protocol = { version, capabilities, encoding }
+    console.debug('PeerFetch protocol agreed with remote peer', this.protocol)
+    this._maxRequestsInFlight = this.hasCapability(CAPABILITY_MULTIPLEXING)
+      ? MAX_REQUESTS_IN_FLIGHT
+      : 1
+    this._sendPendingRequests()
+  }
+
+  /**
+   * Body byte counts and compression ratios for debugging.
+   * A ratio of 2 means that bodies took half as many bytes on the wire.
+   */
+  debugStats () {
+    const stats = { ...this._stats }
+    const ratio = (contentBytes, wireBytes) =>
+      wireBytes > 0 ? contentBytes / wireBytes : 1
+    stats.requestCompressionRatio = ratio(stats.requestContentBytes, stats.requestWireBytes)
+    stats.responseCompressionRatio = ratio(stats.responseContentBytes, stats.responseWireBytes)
+    return stats
+  }
+
+  _recordBody (direction, contentBytes, wireBytes) {
+    this._stats[`${direction}ContentBytes`] += contentBytes
+    this._stats[`${direction}WireBytes`] += wireBytes
+  }
+
+  /**
+   * Whether both sides agreed on an optional protocol capability.
+   */
+  hasCapability (capability) {
+    return this.protocol.capabilities.includes(capability)
+  }
+
+  /**
+   * Process a response header packet.
+   */
+  _receiveHeader (data) {
+    let header
+    try {
+      header = this.jsonify(data)
+    } catch (error) {
+      console.error('Unable to parse response header packet from remote peer',
+        { error, data })
+      return
+    }
+    let requestId
+    if (header.id !== undefined) {
+      requestId = header.id
+    } else {
+      // remote peer without request id support responds in FIFO order
+      requestId = this._oldestRequestInFlight()
+    }
+    const pair = this._requestMap.get(requestId)
+    if (!pair) {
+      console.error('Data received as response for request but no entry found in pending request map',
+        { requestId, data })
+      return
+    }
+    let receivedAll = false
+    let content
+    switch (header.status) {
+      case 202:
+        console.debug('Received keepalive ping')
+        // server accepted the request but still working
+        // ignore and keep waiting until result or timeout
+        break
+      case 204:
+        // Successfully processed request, no response content.
+        //  Normally returned in response to PUT requests.
+        console.debug('Received HTTP 204 response: Success. No content.')
+        // return 204 header and no response content
+        receivedAll = true
+        content = undefined
+        pair.response = { header, content, receivedAll }
+        break
+      case undefined:
+        console.warn('Expected http header packet with status attribute.', { requestId, header })
+        console.warn('Remote peer may not be using a compatible protocol.')
+        break
+      default:
+        console.debug('Received web server final response header',
+          { header })
+        // save header part of the response
+        // and wait for the p2p data messages with the content body
+        receivedAll = false
+        pair.response = { header, receivedAll }
+        if (this.hasCapability(CAPABILITY_CHUNKING)) {
+          // chunked response: the body will arrive
+          // as a sequence of numbered binary frames.
+          // Legacy peers may also send content_length but
+          // reply with the whole body in a single message.
+          pair.chunks = new Map()
+          pair.bytesReceived = 0
+          if (header.content_length === 0) {
+            pair.response.content = new ArrayBuffer(0)
+            pair.response.receivedAll = true
+          }
+          this._reportDownloadProgress(pair, 0, header.content_length)
+        }
+    }
+  }
+
+  /**
+   * Process one binary frame of a chunked response body.
+   *
+   * Each frame starts with a 4 byte big-endian request id
+   * and a 4 byte big-endian sequence number
+   * followed by a slice of the response content.
+   * The header packet announces the total content length in bytes.
+   * Once that many bytes arrive, the chunks are checked for gaps and
+   * duplicates and then reassembled in sequence order.
+   * The response is complete only if all checks pass.
+   */
+  _receiveChunk (data) {
+    const frame = toUint8Array(data)
+    if (frame.byteLength < CHUNK_HEADER_SIZE) {
+      console.error('Response chunk frame is too short.', { data })
+      return
+    }
+    const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength)
+    const requestId = view.getUint32(0)
+    const seq = view.getUint32(4)
+    const payload = frame.subarray(CHUNK_HEADER_SIZE)
+    const pair = this._requestMap.get(requestId)
+    if (!pair || !pair.chunks) {
+      console.error('Response chunk received but no matching request is awaiting content',
+        { requestId, seq })
+      return
+    }
+    if (pair.chunks.has(seq)) {
+      pair.response.error = `Duplicate response chunk received: ${seq}`
+      return
+    }
+    pair.chunks.set(seq, payload)
+    pair.bytesReceived += payload.byteLength
+    const contentLength = pair.response.header.content_length
+    this._reportDownloadProgress(pair, pair.bytesReceived, contentLength)
+    if (pair.bytesReceived < contentLength) {
+      // keep waiting for more chunks
+      return
+    }
+    if (pair.bytesReceived > contentLength) {
+      pair.response.error = 'Response content exceeds announced content length.'
+      return
+    }
+    const content = new Uint8Array(contentLength)
+    let offset = 0
+    for (let i = 0; i < pair.chunks.size; i++) {
+      const chunk = pair.chunks.get(i)
+      if (!chunk) {
+        pair.response.error = `Response chunk missing from sequence: ${i}`
+        return
+      }
+      content.set(chunk, offset)
+      offset += chunk.byteLength
+    }
+    delete pair.chunks
+    pair.response.content = content.buffer
+    pair.response.receivedAll = true
+    console.debug('Reassembled chunked response content', { contentLength })
+  }
+
+  /**
+   * Response of an incomplete chunked request with the longest
+   * gap-free run of content chunks received from the start.
+   * Compressed content cannot be resumed and has no partial response.
+   *
+   * @returns `{ header, content, receivedAll: false }` or undefined
+   *  if no content arrived
+   */
+  _partialResponse (pair) {
+    const response = pair.response
+    if (!response || !pair.chunks || response.header.content_encoding) {
+      return undefined
+    }
+    const chunks = []
+    let length = 0
+    for (let seq = 0; pair.chunks.has(seq); seq++) {
+      const chunk = pair.chunks.get(seq)
+      chunks.push(chunk)
+      length += chunk.byteLength
+    }
+    if (length === 0) {
+      return undefined
+    }
+    const content = new Uint8Array(length)
+    let offset = 0
+    for (const chunk of chunks) {
+      content.set(chunk, offset)
+      offset += chunk.byteLength
+    }
+    return { header: response.header, content: content.buffer, receivedAll: false }
+  }
+
+  /**
+   * Call the onDownloadProgress callback of a request, if any,
+   * with the number of response content bytes received so far.
+   */
+  _reportDownloadProgress (pair, loaded, total) {
+    if (!pair.onDownloadProgress || pair.aborted) {
+      return
+    }
+    try {
+      pair.onDownloadProgress({
+        loaded,
+        total,
+        progress: total > 0 ? loaded / total : 1
+      })
+    } catch (error) {
+      console.error('Error in onDownloadProgress callback', { error })
+    }
+  }
+
   /**
   * Similar to axios.request(config)
   *
+  * Request `data` is sent as the request body.
+  * Plain objects and arrays are sent as JSON,
+  * strings as plain text and ArrayBuffer, typed array or Blob data as binary.
+  * A matching Content-Type header is added unless one is set in `headers`.
+  *
+  * An AbortSignal passed as `signal` cancels the request.
+  * The returned promise then rejects with an AbortError.
+  *
+  * `timeout` is the number of milliseconds to wait for a complete response,
+  * 20 seconds by default. When some of a chunked response arrived before
+  * the timeout, the error carries it as `response`
+  * with the content received so far.
+  *
+  * `priority` is one of 'high', 'normal' (default) or 'low'.
+  * Queued requests are sent in order of priority.
+  *
+  * `onDownloadProgress` is called as response content arrives with
+  * `{ loaded, total, progress }`, where `loaded` and `total` are
+  * byte counts and `progress` is the completed fraction between 0 and 1.
+  * Byte counts of compressed responses are compressed bytes.
+  *
+  * `onUploadProgress` is called the same way as the request body goes out.
+  * Large bodies are sent at the pace the DataChannel drains,
+  * so an aborted upload stops sending the rest of the body.
+  * The response timeout counts from the last body frame sent.
+  *
+  * The config passes through the registered request interceptors
+  * and the response through the registered response interceptors.
+  * The response and errors carry the config as `config`.
+  *
   * @see {@link https://github.com/axios/axios#axiosrequestconfig}
   * @see {@link https://github.com/axios/axios#request-config}
+  * @see {@link https://github.com/axios/axios#interceptors}
   */
-  async request ({ url = '/', method = 'GET', params = {} }) {
-    console.debug('PeerFetch.request enter', { url, method, params })
+  async request (config) {
+    return await dispatchWithInterceptors(this.interceptors, config,
+      async (config) => {
+        try {
+          const response = await this._dispatchRequest(config)
+          response.config = config
+          return response
+        } catch (error) {
+          error.config = config
+          throw error
+        }
+      }
+    )
+  }
+
+  /**
+   * Send a request over the data connection and wait for its response.
+   */
+  async _dispatchRequest ({
+    url = '/',
+    method = 'GET',
+    params = {},
+    headers = {},
+    data,
+    signal,
+    timeout = RESPONSE_TIMEOUT,
+    priority = PRIORITY_NORMAL,
+    onDownloadProgress,
+    onUploadProgress
+  }) {
+    if (!(priority in PRIORITY_RANK)) {
+      throw Error(`Unknown PeerFetch request priority: ${priority}`)
+    }
+    if (signal && signal.aborted) {
+      throw abortError()
+    }
+    console.debug('PeerFetch.request enter', { url, method, params, headers })
     var esc = encodeURIComponent
     var query = Object.keys(params)
       .map(k => esc(k) + '=' + esc(params[k]))
@@ -181,12 +800,93 @@ export class PeerFetch {
       url,
       method
     }
-    // get a ticket that matches the request
-    // and use it to claim the corresponding
+    headers = { ...headers }
+    let body = await this._encodeBody(data, headers)
+    if (Object.keys(headers).length > 0) {
+      request.headers = headers
+    }
+    if (body) {
+      const contentLength = body.byteLength
+      if (this._shouldCompress(body, headers)) {
+        const compressed = await compress(body, this.protocol.encoding)
+        if (compressed.byteLength < contentLength) {
+          request.content_encoding = this.protocol.encoding
+          body = compressed
+        }
+      }
+      this._recordBody('request', contentLength, body.byteLength)
+      // the body follows the request packet as a sequence of numbered binary frames
+      request.content_length = body.byteLength
+    }
+    // register the request under a new request id
+    // which is used to claim the corresponding
     // response when available
-    const ticket = this._enqueueRequest(request)
-    const response = await this._receiveResponse(ticket)
-    return response
+    const pair = this._addPendingRequest(request, { body, timeout, priority })
+    pair.onDownloadProgress = onDownloadProgress
+    pair.onUploadProgress = onUploadProgress
+    const requestId = request.id
+    const onAbort = () => this._abortRequest(requestId)
+    if (signal) {
+      signal.addEventListener('abort', onAbort)
+    }
+    this._queueRequest(pair)
+    try {
+      const response = await pair.responsePromise
+      return response
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+    }
+  }
+
+  /**
+   * Encode request data as bytes for the request body
+   * and set a default Content-Type header that matches the data type.
+   *
+   * @param {*} data request payload
+   * @param {*} headers request headers, updated in place
+   * @returns {Uint8Array} encoded body or undefined if there is no payload
+   */
+  async _encodeBody (data, headers) {
+    if (data === undefined || data === null) {
+      return undefined
+    }
+    let body
+    let contentType
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      body = new Uint8Array(await blobToArrayBuffer(data))
+      contentType = data.type || 'application/octet-stream'
+    } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      body = toUint8Array(data)
+      contentType = 'application/octet-stream'
+    } else if (typeof data === 'string') {
+      body = this.textEncode(data)
+      contentType = 'text/plain;charset=UTF-8'
+    } else {
+      body = this.textEncode(JSON.stringify(data))
+      contentType = 'application/json'
+    }
+    const hasContentType = Object.keys(headers)
+      .some(name => name.toLowerCase() === 'content-type')
+    if (!hasContentType) {
+      headers['Content-Type'] = contentType
+    }
+    return body
+  }
+
+  /**
+   * Compress request bodies when agreed with the remote peer,
+   * unless they are small or likely compressed already.
+   */
+  _shouldCompress (body, headers) {
+    if (!this.protocol.encoding || body.byteLength < COMPRESSION_THRESHOLD) {
+      return false
+    }
+    const contentTypeName = Object.keys(headers)
+      .find(name => name.toLowerCase() === 'content-type')
+    const contentType = contentTypeName ? String(headers[contentTypeName]) : ''
+    return !/^(image|video|audio)\/|zip|gzip/.test(contentType)
   }
 
   /**
@@ -206,7 +906,7 @@ export class PeerFetch {
 
   /**
    *
-   * Similar to axious get(url,[config])
+   * Similar to axious put(url[, data[, config]])
    *
    * @see {@link https://github.com/axios/axios#axiosputurl-data-config}
    * @see {@link https://masteringjs.io/tutorials/axios/put}
@@ -219,7 +919,56 @@ export class PeerFetch {
     config.url = url
     config.method = 'PUT'
     config.data = data
-    await this.request(config)
+    return await this.request(config)
+  }
+
+  /**
+   *
+   * Similar to axious post(url[, data[, config]])
+   *
+   * @see {@link https://github.com/axios/axios#axiosposturl-data-config}
+   *
+   * @param {*} url resource URL for the POST request
+   * @param {*} data data payload for the POST request
+   * @param {*} config request header options
+   */
+  async post (url, data, config = {}) {
+    config.url = url
+    config.method = 'POST'
+    config.data = data
+    return await this.request(config)
+  }
+
+  /**
+   *
+   * Similar to axious patch(url[, data[, config]])
+   *
+   * @see {@link https://github.com/axios/axios#axiospatchurl-data-config}
+   *
+   * @param {*} url resource URL for the PATCH request
+   * @param {*} data data payload for the PATCH request
+   * @param {*} config request header options
+   */
+  async patch (url, data, config = {}) {
+    config.url = url
+    config.method = 'PATCH'
+    config.data = data
+    return await this.request(config)
+  }
+
+  /**
+   *
+   * Similar to axious delete(url[, config])
+   *
+   * @see {@link https://github.com/axios/axios#axiosdeleteurl-config}
+   *
+   * @param {*} url resource URL for the DELETE request
+   * @param {*} config request header options
+   */
+  async delete (url, config = {}) {
+    config.url = url
+    config.method = 'DELETE'
+    return await this.request(config)
   }
 
   /**
@@ -229,68 +978,246 @@ export class PeerFetch {
    * @see {@link https://fetch.spec.whatwg.org/#dom-global-fetch}
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch#parameters}
    *
-   * @param {*} input resource URL to fetch
+   * Resolves with a PeerResponse that implements the WHATWG Response
+   * surface. Same as window.fetch(), HTTP error statuses do not reject.
+   *
+   * @param {*} input resource URL to fetch or an object with a url property
    * @param {*} init request header options
    */
-  async fetch (input = '/', init = { method: 'GET' }) {
+  async fetch (input = '/', init = {}) {
     const config = {}
-    config.url = input
-    config.method = init.method
-    return await this.request(config)
+    config.url = typeof input === 'string' ? input : (input.url || String(input))
+    config.method = init.method || 'GET'
+    config.headers = headersToObject(init.headers)
+    config.data = init.body
+    config.signal = init.signal
+    const response = await this.request(config)
+    return new PeerResponse(response, { url: config.url, peerFetch: this })
   }
 
-  _enqueueRequest (request) {
-    const ticket = this._drawNewTicket()
+  /**
+    Add a request to the queue and return its id.
+  */
+  _enqueueRequest (request, options) {
+    const pair = this._addPendingRequest(request, options)
+    this._queueRequest(pair)
+    return pair.request.id
+  }
+
+  /**
+    Register a new request in the pending request map.
+    The map entry holds a promise that settles when the response arrives,
+    the request times out or the request is aborted.
+  */
+  _addPendingRequest (request, { body, timeout = RESPONSE_TIMEOUT, priority = PRIORITY_NORMAL } = {}) {
+    const requestId = this._newRequestId()
+    request.id = requestId
+    const pair = { request, body, priority }
+    pair.responsePromise = new Promise((resolve, reject) => {
+      pair.resolve = resolve
+      pair.reject = reject
+    })
+    // the caller may stop listening before the promise settles,
+    // e.g. internal requests that are never awaited
+    pair.responsePromise.catch(() => {})
+    pair.timeout = timeout
+    this._requestMap.set(requestId, pair)
+    this._startResponseTimer(pair)
+    return pair
+  }
+
+  /**
+    (Re)start the time limit for the response to a pending request.
+  */
+  _startResponseTimer (pair) {
+    const requestId = pair.request.id
+    clearTimeout(pair.timer)
+    pair.timer = setTimeout(
+      () => {
+        // give up on the request and free its slot for other requests
+        const queueIndex = this._requestQueue.indexOf(requestId)
+        if (queueIndex >= 0) {
+          this._requestQueue.splice(queueIndex, 1)
+        }
+        this._requestProcessed(requestId)
+        pair.expired = true
+        // requests that time out in the queue say nothing about the link
+        if (pair.requestSent) {
+          this.metrics.recordTimeout()
+        }
+        const error = Error('PeerFetch Timeout while waiting for response.')
+        // let the caller resume from the content received so far
+        const partialResponse = this._partialResponse(pair)
+        if (partialResponse) {
+          error.response = partialResponse
+        }
+        pair.reject(error)
+      },
+      pair.timeout
+    )
+  }
+
+  /**
+    Put a pending request in line for sending to the remote peer.
+    The queue is ordered by priority. Requests of equal priority
+    keep the order in which they were issued.
+  */
+  _queueRequest (pair) {
     const requestMap = this._requestMap
-    console.debug('_enqueueRequest: ', { requestMap })
-    this._requestMap.set(ticket, { request })
-    if (this._requestMap.size === 1) {
-      // there are no other pending requests
-      // let's send this one on the wire
-      this._sendNextRequest()
+    console.debug('_queueRequest: ', { requestMap })
+    const rank = PRIORITY_RANK[pair.priority]
+    let position = this._requestQueue.findIndex(
+      requestId => PRIORITY_RANK[requestMap.get(requestId).priority] > rank)
+    if (position < 0) {
+      position = this._requestQueue.length
     }
-    return ticket
+    this._requestQueue.splice(position, 0, pair.request.id)
+    this._sendPendingRequests()
   }
 
   /**
-    Send next pending request to remote peer.
-    Requests are sent one at a time.
-    Only when a previous request response arrives
-    is the next request sent across the wire.
-
-    In the future we can look at handling multiple requests
-    and responses in parallel over the same data connection or
-    even a pool of connections.
+    Send queued requests to the remote peer
+    as long as there is room for more requests in flight.
+    When several requests can be in flight, low priority requests
+    leave one slot free so that interactive requests are not
+    stuck behind background downloads.
   */
-  _sendNextRequest () {
-    const ticket = this._nextTicketInLine
-    let { request, requestSent } = this._requestMap.get(ticket)
-    if (requestSent) {
-      // A request was sent and is waiting its response.
-      // Wait for the full respones before sending another request.
-      return
-    } else {
-      requestSent = true
-      this._requestMap.set(ticket, { request, requestSent })
+  _sendPendingRequests () {
+    while (this._requestQueue.length > 0 &&
+      this._requestsInFlight.size < this._maxRequestsInFlight) {
+      const requestId = this._requestQueue[0]
+      const isLowPriority = this._requestMap.get(requestId).priority === PRIORITY_LOW
+      if (isLowPriority && this._maxRequestsInFlight > 1 &&
+        this._requestsInFlight.size >= this._maxRequestsInFlight - 1) {
+        // the rest of the queue is low priority too
+        break
+      }
+      this._requestQueue.shift()
+      this._sendRequest(requestId)
     }
-    console.assert(request != null, { ticket, request })
+  }
+
+  /**
+    Send a pending request to the remote peer.
+  */
+  _sendRequest (requestId) {
+    const pair = this._requestMap.get(requestId)
+    console.assert(pair != null, { requestId })
+    pair.requestSent = true
+    this._requestsInFlight.add(requestId)
+    const request = pair.request
     const jsonRequest = JSON.stringify(request)
     const requestMap = this._requestMap
     console.debug('PeerFetch: Sending request to remote peer',
-      { requestMap, ticket, request })
+      { requestMap, requestId, request })
+    this.metrics.recordRequest()
     try {
       this._dataConnection.send(jsonRequest)
+      this.metrics.recordBytes('sent', jsonRequest.length)
       console.debug('PeerFetch: Request sent to remote peer: ', jsonRequest)
+      if (pair.body) {
+        const body = pair.body
+        // the sender holds on to the body until it is on the wire
+        delete pair.body
+        this._sendBody(pair, body).catch(error => {
+          this.metrics.recordError()
+          console.error('PeerFetch: Error sending request body via Peer DataConnection', { error })
+        })
+      }
     } catch (error) {
+      this.metrics.recordError()
       console.error('PeerFetch: Error sending message via Peer DataConnection', { error })
     }
   }
 
-  _processNextTicketInLine () {
-    // check if there is a pending ticket
-    // and process it
-    if (this._pendingRequests()) {
-      this._sendNextRequest()
+  /**
+    Send a request body as a sequence of binary frames.
+    Frames use the same layout as response content chunks:
+    request id, sequence number and a slice of the body.
+
+    Sending pauses while the DataChannel send buffer is full
+    and stops if the request is aborted. The remote peer then
+    never receives the rest of the body and drops the request
+    on its own timeout.
+  */
+  async _sendBody (pair, body) {
+    const requestId = pair.request.id
+    const chunkCount = Math.max(1, Math.ceil(body.byteLength / REQUEST_CHUNK_SIZE))
+    let loaded = 0
+    for (let seq = 0; seq < chunkCount; seq++) {
+      if (this._isSendBufferFull()) {
+        await this._sendBufferDrained()
+      }
+      if (pair.aborted || pair.expired) {
+        console.debug('PeerFetch: Stopped sending body of abandoned request',
+          { requestId, seq, chunkCount })
+        return
+      }
+      const payload = body.subarray(seq * REQUEST_CHUNK_SIZE, (seq + 1) * REQUEST_CHUNK_SIZE)
+      const frame = new Uint8Array(CHUNK_HEADER_SIZE + payload.byteLength)
+      const view = new DataView(frame.buffer)
+      view.setUint32(0, requestId)
+      view.setUint32(4, seq)
+      frame.set(payload, CHUNK_HEADER_SIZE)
+      this._dataConnection.send(frame.buffer)
+      this.metrics.recordBytes('sent', frame.byteLength)
+      loaded += payload.byteLength
+      if (this._requestMap.get(requestId) === pair) {
+        // a slow upload is not a missing response
+        this._startResponseTimer(pair)
+      }
+      this._reportUploadProgress(pair, loaded, body.byteLength)
+    }
+    console.debug('PeerFetch: Request body sent to remote peer',
+      { requestId, chunkCount, contentLength: body.byteLength })
+  }
+
+  /**
+    Check if the DataChannel has more outgoing data queued
+    than it should hold before more body frames are sent.
+  */
+  _isSendBufferFull () {
+    const dataConnection = this._dataConnection
+    // PeerJS queues messages itself when the DataChannel buffer is full
+    if (dataConnection.bufferSize > 0) {
+      return true
+    }
+    const dataChannel = dataConnection.dataChannel
+    return !!dataChannel && dataChannel.bufferedAmount > SEND_BUFFER_THRESHOLD
+  }
+
+  /**
+    Wait until the DataChannel send buffer has room for more frames.
+  */
+  _sendBufferDrained () {
+    return new Promise(resolve => {
+      const check = () => {
+        if (this._isSendBufferFull()) {
+          setTimeout(check, SEND_BUFFER_POLL_INTERVAL)
+        } else {
+          resolve()
+        }
+      }
+      setTimeout(check, SEND_BUFFER_POLL_INTERVAL)
+    })
+  }
+
+  /**
+   * Call the onUploadProgress callback of a request, if any,
+   * with the number of request body bytes sent so far.
+   */
+  _reportUploadProgress (pair, loaded, total) {
+    if (!pair.onUploadProgress || pair.aborted) {
+      return
+    }
+    try {
+      pair.onUploadProgress({
+        loaded,
+        total,
+        progress: total > 0 ? loaded / total : 1
+      })
+    } catch (error) {
+      console.error('Error in onUploadProgress callback', { error })
     }
   }
 
@@ -319,6 +1246,22 @@ export class PeerFetch {
     return decodedString
   }
 
+  textEncode (text) {
+    let encoded
+    if ('TextEncoder' in window) {
+      // Encode as UTF-8
+      encoded = new TextEncoder().encode(text)
+    } else {
+      // Fallback encode as UTF-8 via URI escaping
+      const utf8 = unescape(encodeURIComponent(text))
+      encoded = new Uint8Array(utf8.length)
+      for (let i = 0; i < utf8.length; i++) {
+        encoded[i] = utf8.charCodeAt(i)
+      }
+    }
+    return encoded
+  }
+
   jsonify (data) {
     let decodedString
     console.debug('jsonify', data)
@@ -332,48 +1275,241 @@ export class PeerFetch {
     const response = JSON.parse(decodedString)
     return response
   }
+}
+
+/**
+ * Response to a PeerFetch.fetch() call.
+ * Implements the WHATWG Response surface so that PeerFetch
+ * can stand in for window.fetch().
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Response Response}
+*/
+export class PeerResponse {
+  constructor ({ header = {}, content } = {}, { url = '', peerFetch } = {}) {
+    this._content = content
+    this._peerFetch = peerFetch
+    this.url = url
+    this.status = header.status
+    this.statusText = header.statusText || ''
+    this.ok = this.status >= 200 && this.status < 300
+    this.redirected = false
+    this.type = 'basic'
+    this.headers = createHeaders(header)
+    this.bodyUsed = false
+  }
 
-  _checkResponseReady (ticket) {
-    let request = null
-    let response = null;
-    ({ request, response } = this._requestMap.get(ticket))
-    if (response && response.receivedAll) {
-      this._ticketProcessed(ticket)
-      console.debug('Received full response', { ticket, request, response })
-      // schedule processing of next request shortly
-      setTimeout(() => this._processNextTicketInLine(), 50)
-      return response
+  _consumeBody () {
+    if (this.bodyUsed) {
+      throw new TypeError('Response body has already been consumed.')
+    }
+    this.bodyUsed = true
+    return this._content
+  }
+
+  async arrayBuffer () {
+    const content = this._consumeBody()
+    if (content === undefined) {
+      return new ArrayBuffer(0)
+    } else if (typeof content === 'string') {
+      const encoded = this._peerFetch.textEncode(content)
+      return encoded.buffer.slice(encoded.byteOffset,
+        encoded.byteOffset + encoded.byteLength)
     } else {
-      // console.debug('Waiting for response...', { ticket, request })
-      return null
-    }
-  }
-
-  async _receiveResponse (ticket) {
-    const timeout = 20 * 1000 // 10 seconds
-    const timerStart = Date.now()
-    let timeElapsed = 0
-    let response = null
-    do {
-      response = this._checkResponseReady(ticket)
-      timeElapsed = Date.now() - timerStart
-      await sleep(200)
-      // console.debug('Response time elapsed:', { ticket, timeElapsed })
-    } while (!response && timeElapsed < timeout)
-    if (!response) {
-      // check if response came in after the last sleep
-      // before timeout.
-      response = this._checkResponseReady(ticket)
-    }
-    if (response) {
-      console.debug('Returning full response', { response })
-      return response
+      return content
+    }
+  }
+
+  async text () {
+    const content = this._consumeBody()
+    if (content === undefined) {
+      return ''
+    } else if (typeof content === 'string') {
+      return content
     } else {
-      throw Error('PeerFetch Timeout while waiting for response.')
+      return this._peerFetch.textDecode(content)
     }
   }
+
+  async json () {
+    return JSON.parse(await this.text())
+  }
+
+  async blob () {
+    const type = this.headers.get('content-type') || ''
+    return new Blob([await this.arrayBuffer()], { type })
+  }
 }
 
-function sleep (ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
+// PeerFetch protocol version spoken by this client
+export const PROTOCOL_VERSION = 1
+
+// oldest protocol version of a remote peer that this client can talk to
+const MIN_PROTOCOL_VERSION = 1
+
+// remote peers that do not answer the handshake
+const LEGACY_PROTOCOL_VERSION = 0
+
+// optional protocol features
+// chunking: response content arrives in numbered binary frames
+// multiplexing: several requests in flight, matched by request id
+// compression: bodies may be compressed with an agreed content encoding
+// events: the remote peer pushes subscribed events over a second DataChannel
+export const CAPABILITY_CHUNKING = 'chunking'
+export const CAPABILITY_MULTIPLEXING = 'multiplexing'
+export const CAPABILITY_COMPRESSION = 'compression'
+export const CAPABILITY_EVENTS = 'events'
+
+// capabilities supported by this client
+const CAPABILITIES = [
+  CAPABILITY_CHUNKING,
+  CAPABILITY_MULTIPLEXING,
+  CAPABILITY_COMPRESSION,
+  CAPABILITY_EVENTS
+]
+
+// request bodies smaller than this many bytes are not worth compressing
+const COMPRESSION_THRESHOLD = 1024
+
+// request url reserved for the protocol handshake
+const HANDSHAKE_URL = 'handshake'
+
+// time in milliseconds to wait for a handshake response
+// before falling back to the legacy protocol
+const HANDSHAKE_TIMEOUT = 5 * 1000
+
+// request priorities accepted in the request() config
+// e.g. settings and auth are high, timeline pages are normal
+// and image downloads or prefetch are low priority
+export const PRIORITY_HIGH = 'high'
+export const PRIORITY_NORMAL = 'normal'
+export const PRIORITY_LOW = 'low'
+
+// position in the request queue by priority
+const PRIORITY_RANK = {
+  [PRIORITY_HIGH]: 0,
+  [PRIORITY_NORMAL]: 1,
+  [PRIORITY_LOW]: 2
+}
+
+// size in bytes of the request id and sequence number prefix
+// in each response chunk frame
+const CHUNK_HEADER_SIZE = 8
+
+// time in milliseconds to wait for a response before giving up
+const RESPONSE_TIMEOUT = 20 * 1000
+
+// maximum size in bytes of a request body slice sent in one binary frame
+const REQUEST_CHUNK_SIZE = 16 * 1024
+
+// bytes queued in the DataChannel send buffer
+// above which request body frames wait for it to drain
+const SEND_BUFFER_THRESHOLD = 1024 * 1024
+
+// time in milliseconds between checks of a full send buffer
+const SEND_BUFFER_POLL_INTERVAL = 50
+
+// maximum number of requests sent to a remote peer
+// that echoes request ids, before their responses arrive
+const MAX_REQUESTS_IN_FLIGHT = 8
+
+// bounds in milliseconds of the adaptive keepalive ping interval
+const MIN_PING_INTERVAL = 1000
+const MAX_PING_INTERVAL = 15 * 1000
+
+// factor by which the ping interval grows after each answered ping
+const PING_INTERVAL_GROWTH = 1.5
+
+// time in milliseconds to wait for a pong
+const PING_TIMEOUT = 5 * 1000
+
+// time in milliseconds between link metrics reports to onMetrics() listeners
+const METRICS_INTERVAL = 1000
+
+function isPageHidden () {
+  return typeof document !== 'undefined' && document.visibilityState === 'hidden'
+}
+
+function toUint8Array (data) {
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  } else {
+    return new Uint8Array(data)
+  }
+}
+
+function bodyLength (content) {
+  if (content === undefined || content === null) {
+    return 0
+  } else if (typeof content === 'string') {
+    return content.length
+  } else {
+    return content.byteLength
+  }
+}
+
+function abortError () {
+  return new DOMException('The request was aborted.', 'AbortError')
+}
+
+function blobToArrayBuffer (blob) {
+  if (blob.arrayBuffer) {
+    return blob.arrayBuffer()
+  }
+  // older browsers do not implement Blob.arrayBuffer()
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsArrayBuffer(blob)
+  })
+}
+
+/**
+ * Convert fetch() init headers, which may be a Headers instance,
+ * an array of name-value pairs or a plain object, to a plain object.
+ */
+function headersToObject (headers) {
+  if (!headers) {
+    return headers
+  }
+  const obj = {}
+  if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+    headers.forEach((value, name) => { obj[name] = value })
+  } else if (Array.isArray(headers)) {
+    headers.forEach(([name, value]) => { obj[name] = value })
+  } else {
+    Object.assign(obj, headers)
+  }
+  return obj
+}
+
+/**
+ * Build a case-insensitive Headers lookup from a response header packet.
+ * The remote peer may pass HTTP headers as a `headers` object and
+ * announces the content type in a `content_type` field.
+ */
+function createHeaders (header) {
+  const map = new Map()
+  const headers = header.headers || {}
+  Object.keys(headers).forEach(name => {
+    map.set(name.toLowerCase(), String(headers[name]))
+  })
+  if (header.content_type !== undefined && !map.has('content-type')) {
+    map.set('content-type', String(header.content_type))
+  }
+  if (header.content_length !== undefined && !map.has('content-length')) {
+    map.set('content-length', String(header.content_length))
+  }
+  if (typeof Headers !== 'undefined') {
+    return new Headers([...map])
+  }
+  // minimal stand-in for environments without the Headers class
+  return {
+    get: name => map.has(name.toLowerCase()) ? map.get(name.toLowerCase()) : null,
+    has: name => map.has(name.toLowerCase()),
+    forEach: fn => map.forEach(fn),
+    entries: () => map.entries(),
+    keys: () => map.keys(),
+    values: () => map.values()
+  }
 }
@@ -0,0 +1,115 @@
+import { localdb } from '@/store/localdb'
+
+// maximum number of responses kept in the cache
+// before least recently used ones are evicted
+const MAX_CACHE_ENTRIES = 500
+
+/**
+ * IndexedDB backed cache of edge API responses
+ * keyed by edge device peer id and resource path.
+ *
+ * Cached responses are revalidated with the edge device via
+ * conditional request headers (If-None-Match, If-Modified-Since)
+ * built from the ETag and Last-Modified headers of the original response.
+ *
+ * The cache holds at most `maxEntries` responses.
+ * Least recently used ones are evicted first.
+*/
+export class ResponseCache {
+  constructor ({ maxEntries = MAX_CACHE_ENTRIES, table = localdb.responseCache } = {}) {
+    this.maxEntries = maxEntries
+    this._table = table
+  }
+
+  static key (deviceId, path) {
+    return `${deviceId}:${path}`
+  }
+
+  /**
+   * Look up a cached response and mark it as recently used.
+   *
+   * @returns the cache entry with `content`, `contentType`, `etag`
+   *  and `lastModified` fields or undefined
+   */
+  async get (deviceId, path) {
+    const key = ResponseCache.key(deviceId, path)
+    const entry = await this._table.get(key)
+    if (entry) {
+      entry.lastAccessed = Date.now()
+      await this._table.update(key, { lastAccessed: entry.lastAccessed })
+    }
+    return entry
+  }
+
+  /**
+   * Store a successful response and evict least recently used
+   * entries over the cache size limit.
+   *
+   * @param {*} response `{ header, content }` response from PeerFetch or
+   *  another EdgeAPI transport
+   */
+  async put (deviceId, path, response) {
+    const header = response.header || {}
+    const entry = {
+      key: ResponseCache.key(deviceId, path),
+      deviceId,
+      path,
+      content: response.content,
+      contentType: getHeader(header, 'content-type'),
+      etag: getHeader(header, 'etag'),
+      lastModified: getHeader(header, 'last-modified'),
+      lastAccessed: Date.now()
+    }
+    await this._table.put(entry)
+    await this._evict()
+    return entry
+  }
+
+  /**
+   * Remove cached responses for one device or for all devices.
+   */
+  async clear (deviceId) {
+    if (deviceId === undefined) {
+      await this._table.clear()
+    } else {
+      await this._table.where('deviceId').equals(deviceId).delete()
+    }
+  }
+
+  async _evict () {
+    const count = await this._table.count()
+    if (count > this.maxEntries) {
+      const staleKeys = await this._table.orderBy('lastAccessed')
+        .limit(count - this.maxEntries)
+        .primaryKeys()
+      await this._table.bulkDelete(staleKeys)
+      console.debug('Evicted least recently used responses from cache', { staleKeys })
+    }
+  }
+}
+
+/**
+ * Conditional request headers that ask the edge device
+ * to reply with 304 Not Modified if the cached entry is still fresh.
+ */
+export function conditionalHeaders (entry) {
+  const headers = {}
+  if (entry.etag) {
+    headers['If-None-Match'] = entry.etag
+  }
+  if (entry.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified
+  }
+  return headers
+}
+
+/**
+ * Case-insensitive lookup of an HTTP header
+ * in a response header packet.
+ */
+export function getHeader (header, name) {
+  const headers = header.headers || {}
+  const match = Object.keys(headers)
+    .find(key => key.toLowerCase() === name)
+  return match === undefined ? undefined : headers[match]
+}
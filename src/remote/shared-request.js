@@ -0,0 +1,103 @@
+/**
+ * One in-flight request shared by several identical callers.
+ *
+ * Each caller joins with its own AbortSignal and onDownloadProgress callback.
+ * A caller that aborts stops waiting right away. The underlying request
+ * is cancelled only once every caller has aborted, and only if the caller
+ * that started it passed a signal. Progress updates go to all callers
+ * still waiting. Progress is reported only if the caller that started
+ * the request asked for it.
+*/
+export class SharedRequest {
+  /**
+   * @param {*} config request config of the first caller
+   * @param {*} dispatchRequest async function that sends a request config
+   *  and returns the response
+   */
+  constructor (config, dispatchRequest) {
+    this._subscribers = new Set()
+    this._settled = false
+    this._cancellable = !!config.signal
+    const sharedConfig = { ...config }
+    delete sharedConfig.signal
+    delete sharedConfig.onDownloadProgress
+    if (config.signal) {
+      this._controller = new AbortController()
+      sharedConfig.signal = this._controller.signal
+    }
+    if (config.onDownloadProgress) {
+      sharedConfig.onDownloadProgress = (progress) => this._reportProgress(progress)
+    }
+    this.promise = dispatchRequest(sharedConfig)
+    this.promise
+      .catch(() => {})
+      .finally(() => { this._settled = true })
+  }
+
+  /**
+   * Wait for the shared response.
+   *
+   * @param {*} signal optional AbortSignal of this caller
+   * @param {*} onDownloadProgress optional progress callback of this caller
+   */
+  join ({ signal, onDownloadProgress } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError())
+    }
+    if (!signal) {
+      // someone needs the response no matter what
+      this._cancellable = false
+    }
+    const subscriber = { onDownloadProgress }
+    this._subscribers.add(subscriber)
+    if (onDownloadProgress && this._lastProgress) {
+      onDownloadProgress(this._lastProgress)
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this._leave(subscriber)
+        reject(abortError())
+      }
+      if (signal) {
+        signal.addEventListener('abort', onAbort)
+      }
+      this.promise.then(resolve, reject).finally(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort)
+        }
+        this._subscribers.delete(subscriber)
+      })
+    })
+  }
+
+  _leave (subscriber) {
+    this._subscribers.delete(subscriber)
+    if (this._subscribers.size === 0 && this._cancellable && !this._settled) {
+      this._controller.abort()
+    }
+  }
+
+  _reportProgress (progress) {
+    this._lastProgress = progress
+    for (const { onDownloadProgress } of this._subscribers) {
+      if (onDownloadProgress) {
+        try {
+          onDownloadProgress(progress)
+        } catch (error) {
+          console.error('Error in onDownloadProgress callback', { error })
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Key that identifies identical GET requests to the same edge device.
+ */
+export function requestKey (deviceId, { url, params = {}, headers = {} }) {
+  return JSON.stringify([deviceId, url, params, headers])
+}
+
+function abortError () {
+  return new DOMException('The request was aborted.', 'AbortError')
+}
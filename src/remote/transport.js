@@ -0,0 +1,254 @@
+import { ambianicConf } from '@/config.js'
+import { PEER_CONNECTED } from '@/store/mutation-types'
+import { PRIORITY_HIGH, PRIORITY_LOW } from '@/remote/peer-fetch'
+
+const API_HOST = ambianicConf.AMBIANIC_EDGE_HOST
+const API_SCHEMA = ambianicConf.AMBIANIC_EDGE_API_SCHEMA
+const API_PORT = ambianicConf.AMBIANIC_EDGE_API_PORT
+const API_ROOT = ambianicConf.AMBIANIC_EDGE_API_ROOT
+
+export const WEBRTC_TRANSPORT = 'webrtc'
+export const HTTP_TRANSPORT = 'http'
+
+// time in milliseconds to wait for the edge HTTP API
+// to answer a reachability probe
+const PROBE_TIMEOUT = 2000
+
+// default time in milliseconds to wait for a complete response,
+// the same as PeerFetch
+const REQUEST_TIMEOUT = 20 * 1000
+
+/**
+ * Transports carry EdgeAPI requests to an edge device.
+ *
+ * Each transport has a `name`, an `isAvailable()` method that resolves
+ * to true when the edge device can be reached through it, and a
+ * `request(config)` method that accepts the same config as
+ * PeerFetch.request() and resolves with a `{ header, content, receivedAll }`
+ * response.
+*/
+
+/**
+ * Transport over the p2p WebRTC DataChannel via PeerFetch.
+*/
+export class WebRTCTransport {
+  constructor (pnp) {
+    this.name = WEBRTC_TRANSPORT
+    this.pnp = pnp
+  }
+
+  async isAvailable () {
+    return this.pnp.state.peerConnectionStatus === PEER_CONNECTED
+  }
+
+  async request (config) {
+    if (this.pnp.state.peerConnectionStatus !== PEER_CONNECTED) {
+      throw Error('Edge device peer not connected.')
+    }
+    return await this.pnp.state.peerFetch.request(config)
+  }
+}
+
+/**
+ * Transport that calls the edge device HTTP API directly.
+ * Works when the browser and the edge device share a LAN
+ * and the browser is allowed to reach the edge HTTP port.
+ *
+ * EdgeAPI builds request URLs relative to the edge origin as seen
+ * from the edge device itself. The required `origin` replaces it with
+ * the address of the edge device on the LAN. It must come from
+ * the authenticated edge device, since requests over HTTP skip
+ * the challenge-response authentication of the WebRTC connection.
+*/
+export class HTTPTransport {
+  constructor ({ origin } = {}) {
+    if (!origin) {
+      throw Error('HTTPTransport needs the LAN origin of the edge device.')
+    }
+    this.name = HTTP_TRANSPORT
+    this._edgeOrigin = `${API_SCHEMA}://${API_HOST}:${API_PORT}`
+    this.origin = origin
+  }
+
+  _resolveURL (url) {
+    if (url.startsWith(this._edgeOrigin)) {
+      return this.origin + url.substring(this._edgeOrigin.length)
+    }
+    return url
+  }
+
+  async isAvailable () {
+    if (typeof fetch === 'undefined') {
+      return false
+    }
+    const abortController = new AbortController()
+    const timer = setTimeout(() => abortController.abort(), PROBE_TIMEOUT)
+    try {
+      const response = await fetch(`${this.origin}/${API_ROOT}/status`,
+        { signal: abortController.signal })
+      return response.ok
+    } catch (error) {
+      console.debug('Edge HTTP API not reachable', { origin: this.origin, error })
+      return false
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  async request ({
+    url = '/',
+    method = 'GET',
+    params = {},
+    headers = {},
+    data,
+    signal,
+    timeout = REQUEST_TIMEOUT,
+    priority,
+    onDownloadProgress,
+    onUploadProgress
+  }) {
+    const esc = encodeURIComponent
+    const query = Object.keys(params)
+      .map(k => esc(k) + '=' + esc(params[k]))
+      .join('&')
+    let resolvedURL = this._resolveURL(url)
+    if (query) {
+      resolvedURL += '?' + query
+    }
+    const init = { method, headers: { ...headers } }
+    if (data !== undefined) {
+      init.body = encodeBody(data, init.headers)
+    }
+    if (priority === PRIORITY_HIGH || priority === PRIORITY_LOW) {
+      // browser fetch priority hint
+      init.priority = priority
+    }
+    // a LAN request that hangs is aborted like a PeerFetch request that times out
+    const abortController = new AbortController()
+    let isTimedOut = false
+    const timer = setTimeout(() => {
+      isTimedOut = true
+      abortController.abort()
+    }, timeout)
+    const onAbort = () => abortController.abort()
+    if (signal) {
+      if (signal.aborted) {
+        abortController.abort()
+      } else {
+        signal.addEventListener('abort', onAbort)
+      }
+    }
+    init.signal = abortController.signal
+    let response
+    let content
+    try {
+      response = await fetch(resolvedURL, init)
+      if (init.body !== undefined && onUploadProgress) {
+        // fetch() does not report upload progress, report once the body is sent
+        const total = bodySize(init.body)
+        onUploadProgress({ loaded: total, total, progress: 1 })
+      }
+      content = await readContent(response, onDownloadProgress)
+    } catch (error) {
+      if (isTimedOut) {
+        throw Error('Edge HTTP API Timeout while waiting for response.')
+      }
+      throw error
+    } finally {
+      clearTimeout(timer)
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+    }
+    const responseHeaders = {}
+    response.headers.forEach((value, name) => { responseHeaders[name] = value })
+    return {
+      header: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: responseHeaders,
+        content_length: content.byteLength
+      },
+      content,
+      receivedAll: true
+    }
+  }
+}
+
+/**
+ * Serialize plain objects as JSON.
+ * Other body types are passed to fetch() as is.
+ */
+function encodeBody (data, headers) {
+  const isRaw = typeof data === 'string' ||
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data) ||
+    (typeof Blob !== 'undefined' && data instanceof Blob)
+  if (isRaw) {
+    return data
+  }
+  const hasContentType = Object.keys(headers)
+    .some(name => name.toLowerCase() === 'content-type')
+  if (!hasContentType) {
+    headers['Content-Type'] = 'application/json'
+  }
+  return JSON.stringify(data)
+}
+
+/**
+ * Size in bytes of a request body passed to fetch().
+ * String sizes count UTF-16 code units.
+ */
+function bodySize (body) {
+  if (typeof Blob !== 'undefined' && body instanceof Blob) {
+    return body.size
+  }
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return body.byteLength
+  }
+  return String(body).length
+}
+
+/**
+ * Read the response body and report download progress
+ * the same way PeerFetch does.
+ */
+async function readContent (response, onDownloadProgress) {
+  if (!onDownloadProgress) {
+    return await response.arrayBuffer()
+  }
+  const total = Number(response.headers.get('content-length')) || undefined
+  const report = (loaded) => {
+    const expected = total || loaded
+    onDownloadProgress({
+      loaded,
+      total: expected,
+      progress: expected > 0 ? loaded / expected : 1
+    })
+  }
+  if (!response.body || !response.body.getReader) {
+    // streaming not supported, report once the whole body is in
+    const content = await response.arrayBuffer()
+    report(content.byteLength)
+    return content
+  }
+  const reader = response.body.getReader()
+  const chunks = []
+  let loaded = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) {
+      break
+    }
+    chunks.push(value)
+    loaded += value.byteLength
+    report(loaded)
+  }
+  const content = new Uint8Array(loaded)
+  let offset = 0
+  for (const chunk of chunks) {
+    content.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return content.buffer
+}
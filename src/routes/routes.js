@@ -15,6 +15,8 @@ const routes = [
   {
     path: '/timeline',
     name: 'timeline',
+    // another connected device than the current one, e.g. /timeline?peer=<peer id>
+    props: route => ({ peerId: route.query.peer }),
     meta: { title: 'Event Timeline' },
     // route level code-splitting
     // this generates a separate chunk (about.[hash].js) for this route
@@ -70,15 +72,30 @@ const routes = [
   {
     path: '/devicecard',
     name: 'devicecard',
+    // another connected device than the current one, e.g. /devicecard?peer=<peer id>
+    props: route => ({ peerId: route.query.peer }),
     meta: { title: 'Device Card' },
     // route level code-splitting
     // this generates a separate chunk (about.[hash].js) for this route
     // which is lazy-loaded when the route is visited.
     component: () => import(/* webpackChunkName: "devicecard" */ '../views/DeviceCard.vue')
   },
+  {
+    path: '/pairingqr',
+    name: 'pairingqr',
+    // another device than the current one, e.g. /pairingqr?peer=<peer id>
+    props: route => ({ peerId: route.query.peer }),
+    meta: { title: 'Pairing Code' },
+    // route level code-splitting
+    // this generates a separate chunk (about.[hash].js) for this route
+    // which is lazy-loaded when the route is visited.
+    component: () => import(/* webpackChunkName: "pairingqr" */ '../views/PairingQR.vue')
+  },
   {
     path: '/device/notifications/config',
     name: 'deviceNotificationsConfig',
+    // another connected device than the current one, e.g. /device/notifications/config?peer=<peer id>
+    props: route => ({ peerId: route.query.peer }),
     meta: { title: 'Device Notifications Config' },
     // route level code-splitting
     // this generates a separate chunk (about.[hash].js) for this route
@@ -12,3 +12,8 @@ export const PEER_AUTHENTICATE = 'peerAuthenticate'
 export const REMOVE_REMOTE_PEER_ID = 'removeRemotePeerId'
 export const CHANGE_REMOTE_PEER_ID = 'changeRemotePeerId'
 export const HANDLE_PEER_CONNECTION_ERROR = 'handlePeerConnectionError'
+export const SCHEDULE_PEER_RECONNECT = 'schedulePeerReconnect'
+export const STOP_PEER_RECONNECT = 'stopPeerReconnect'
+export const LOAD_PNP_SETTINGS = 'loadPnpSettings'
+export const SAVE_PNP_SETTINGS = 'savePnpSettings'
+export const RESET_PNP_SETTINGS = 'resetPnpSettings'
@@ -2,6 +2,7 @@ import Vue from 'vue'
 import Vuex from 'vuex'
 import { pnpStoreModule } from '@/store/pnp'
 import { myDevicesStoreModule } from '@/store/mydevices'
+import { writeQueueStoreModule } from '@/store/write-queue'
 import { UPDATE_AVAILABLE } from '@/store/mutation-types'
 import snackBarModule from '@/store/status-snackbar'
 
@@ -22,6 +23,7 @@ const store = new Vuex.Store({
   modules: {
     pnp: pnpStoreModule,
     myDevices: myDevicesStoreModule,
+    writeQueue: writeQueueStoreModule,
     snackBar: snackBarModule
   }
 })
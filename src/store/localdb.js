@@ -12,6 +12,27 @@ localdb.version(1).stores({
   myDevices: '&peerID, displayName'
 })
 
+localdb.version(2).stores({
+  // responseCache keeps edge API responses such as event images
+  // key is the primary key combining device peerid and resource path
+  // lastAccessed is an index used to evict least recently used responses
+  responseCache: '&key, deviceId, lastAccessed'
+})
+
+localdb.version(3).stores({
+  // pendingWrites keeps changes to edge device settings made while offline
+  // id is an auto incremented primary key that preserves the order of changes
+  // deviceId is an index used to replay the changes of one device
+  pendingWrites: '++id, deviceId'
+})
+
+localdb.version(4).stores({
+  // partialDownloads keeps the content received so far of interrupted downloads
+  // key is the primary key combining device peerid and resource path
+  // updatedAt is an index used to drop the oldest partial downloads
+  partialDownloads: '&key, deviceId, updatedAt'
+})
+
 /**
  * Edge device card properties
  */
@@ -19,5 +40,8 @@ export var EdgeDeviceCard = localdb.myDevices.defineClass({
   peerID: String,
   displayName: String,
   notificationsEnabled: Boolean,
-  version: String
+  version: String,
+  // public key pinned when the device first proved its identity,
+  // see src/remote/peer-auth.js
+  publicKey: String
 })
@@ -23,6 +23,13 @@ export const NEW_REMOTE_PEER_ID = 'NEW_REMOTE_PEER_ID'
 export const REMOTE_PEER_ID_REMOVED = 'REMOTE_PEER_ID_REMOVED'
 export const PEER_FETCH = 'PEER_FETCH'
 export const EDGE_API = 'EDGE_API'
+export const EDGE_TRANSPORT = 'EDGE_TRANSPORT'
+export const LINK_METRICS = 'LINK_METRICS'
 export const UPDATE_AVAILABLE = 'UPDATE_AVAILABLE'
 export const EDGE_DEVICE_FORGET = 'EDGE_DEVICE_FORGET'
 export const LAST_PEER_CONNECTION_STATUS = 'LAST_PEER_CONNECTION_STATUS'
+export const PEER_RECONNECT_SCHEDULED = 'PEER_RECONNECT_SCHEDULED'
+export const PEER_RECONNECTING = 'PEER_RECONNECTING'
+export const PEER_RECONNECT_STOPPED = 'PEER_RECONNECT_STOPPED'
+export const PNP_SETTINGS = 'PNP_SETTINGS'
+export const PAIRING_KEY = 'PAIRING_KEY'
@@ -89,6 +89,11 @@ const actions = {
       if (edgeDetails.notifications_enabled) {
         deviceCard.notificationsEnabled = edgeDetails.notifications_enabled
       }
+      // the pinned key is not part of remote details
+      const storedCard = await localdb.myDevices.get(deviceCard.peerID)
+      if (storedCard && storedCard.publicKey) {
+        deviceCard.publicKey = storedCard.publicKey
+      }
       // use Dexie put instead of update
       // in order to cover the case when a device card is not found in indexeddb
       console.debug('Putting localdb device card: ', { deviceCard })
@@ -116,6 +121,31 @@ const actions = {
     // refresh vuex state
     await dispatch('syncState')
   },
+  /**
+   * Public key pinned for a device or undefined if none is pinned yet.
+   * Read from localdb so that it is available before syncState() completes.
+   */
+  async getPublicKey (context, peerID) {
+    const deviceCard = await localdb.myDevices.get(peerID)
+    return deviceCard ? deviceCard.publicKey : undefined
+  },
+  /**
+   * Pin the public key of a device in My Devices that proved its identity.
+   * Devices that are not in My Devices are not added.
+   *
+   * @returns true if the key was pinned
+   */
+  async pinPublicKey ({ dispatch }, { peerID, publicKey }) {
+    const updated = await localdb.myDevices.update(peerID, { publicKey })
+    if (!updated) {
+      console.debug('No device card to pin the public key for peer ID', { peerID })
+      return false
+    }
+    console.debug('Pinned public key for peer ID', { peerID })
+    // refresh vuex state
+    await dispatch('syncState')
+    return true
+  },
   /**
    *
    * Load all stored EdgeDeviceCard objects into local state object
@@ -0,0 +1,207 @@
+import Peer from 'peerjs'
+import { ambianicConf } from '@/config'
+import { settingsDB } from './db'
+
+// settingsDB key of the user's signaling and ICE server settings
+export const PNP_SETTINGS_KEY = 'pnpSettings'
+
+// duration in milliseconds to wait for the signaling server to answer a connection test
+const TEST_CONNECTION_TIMEOUT = 10000
+
+// host name or IPv4 address, without scheme, port or path
+const HOST_PATTERN = /^[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?)*$/
+
+const ICE_URL_PATTERN = /^(stun|stuns|turn|turns):\S+$/
+
+const TURN_URL_PATTERN = /^turns?:/
+
+/**
+ * Settings of the PnP signaling server and the ICE (STUN and TURN) servers
+ * used to reach edge devices.
+ *
+ * Users who self-host these servers override the build time defaults
+ * from ambianicConf. The settings are kept in settingsDB as
+ *   { host, port, secure, iceServers: [{ urls, username, credential }] }
+ * where `username` and `credential` are only set for TURN servers.
+*/
+
+/**
+ * @returns the build time settings from ambianicConf
+ */
+export function defaultPnpSettings () {
+  return {
+    host: ambianicConf.AMBIANIC_PNP_HOST,
+    port: ambianicConf.AMBIANIC_PNP_PORT,
+    secure: ambianicConf.AMBIANIC_PNP_SECURE,
+    iceServers: ambianicConf.ICE_CONFIG.iceServers.map(normalizeIceServer)
+  }
+}
+
+// ambianicConf lists some servers under the deprecated `url` field
+function normalizeIceServer ({ urls, url, username, credential }) {
+  const server = { urls: urls || url }
+  if (username) {
+    server.username = username
+  }
+  if (credential) {
+    server.credential = credential
+  }
+  return server
+}
+
+/**
+ * Vuetify style rule for the signaling server host.
+ *
+ * @returns true if valid, otherwise a message for the user
+ */
+export function validateHost (host) {
+  if (!host) {
+    return 'Required.'
+  }
+  return HOST_PATTERN.test(host) || 'Must be a host name or IP address without http:// or a path.'
+}
+
+/**
+ * Vuetify style rule for the signaling server port.
+ */
+export function validatePort (port) {
+  const isNumber = /^\d+$/.test(String(port))
+  return (isNumber && port >= 1 && port <= 65535) || 'Must be a port number from 1 to 65535.'
+}
+
+/**
+ * Vuetify style rule for the URL of an ICE server.
+ */
+export function validateIceUrl (urls) {
+  if (!urls) {
+    return 'Required.'
+  }
+  return ICE_URL_PATTERN.test(urls) || 'Must be a stun:, stuns:, turn: or turns: URL.'
+}
+
+/**
+ * Vuetify style rule for the credentials of an ICE server.
+ * TURN servers do not relay traffic without them.
+ */
+export function validateIceCredentials ({ urls, username, credential }) {
+  if (!TURN_URL_PATTERN.test(urls) || (username && credential)) {
+    return true
+  }
+  return 'TURN servers need a username and credential.'
+}
+
+/**
+ * @returns messages for all problems with the settings,
+ *  an empty array if they are valid
+ */
+export function pnpSettingsErrors ({ host, port, iceServers }) {
+  const checks = [validateHost(host), validatePort(port)]
+  if (Array.isArray(iceServers)) {
+    for (const server of iceServers) {
+      checks.push(validateIceUrl(server.urls), validateIceCredentials(server))
+    }
+  } else {
+    checks.push('ICE servers must be a list.')
+  }
+  return checks.filter(check => check !== true)
+}
+
+/**
+ * Settings as edited in a form, with the port as a number
+ * and without blank ICE server fields.
+ */
+export function normalizePnpSettings ({ host, port, secure, iceServers }) {
+  return {
+    host,
+    port: Number(port),
+    secure: !!secure,
+    iceServers: iceServers.map(normalizeIceServer)
+  }
+}
+
+/**
+ * Options for a PeerJS Peer that connects with the settings.
+ */
+export function peerOptions ({ host, port, secure, iceServers }) {
+  return {
+    host,
+    port,
+    secure,
+    config: { ...ambianicConf.ICE_CONFIG, iceServers }
+  }
+}
+
+/**
+ * @returns the saved settings or the defaults if none were saved
+ */
+export async function loadPnpSettings () {
+  const saved = await settingsDB.get(PNP_SETTINGS_KEY)
+  if (!saved) {
+    return defaultPnpSettings()
+  }
+  const errors = pnpSettingsErrors(saved)
+  if (errors.length > 0) {
+    console.warn('Ignoring invalid saved PnP settings', { saved, errors })
+    return defaultPnpSettings()
+  }
+  return normalizePnpSettings(saved)
+}
+
+/**
+ * Validate and save the settings.
+ *
+ * @returns the saved settings
+ * @throws an error suitable for display to the user if the settings are not valid
+ */
+export async function savePnpSettings (settings) {
+  const errors = pnpSettingsErrors(settings)
+  if (errors.length > 0) {
+    throw Error(errors[0])
+  }
+  const normalized = normalizePnpSettings(settings)
+  await settingsDB.set(PNP_SETTINGS_KEY, normalized)
+  return normalized
+}
+
+/**
+ * Forget the saved settings and go back to the defaults.
+ */
+export async function resetPnpSettings () {
+  await settingsDB.delete(PNP_SETTINGS_KEY)
+}
+
+/**
+ * Check that the signaling server answers with the settings
+ * by registering a throwaway peer with it.
+ * The ICE servers are only checked when a device connects.
+ *
+ * @throws an error suitable for display to the user if
+ *  the signaling server cannot be reached
+ */
+export function testPnpConnection (settings, { timeout = TEST_CONNECTION_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    const peer = new Peer(peerOptions(normalizePnpSettings(settings)))
+    let isSettled = false
+    const settle = (error) => {
+      if (isSettled) {
+        return
+      }
+      isSettled = true
+      clearTimeout(timer)
+      peer.destroy()
+      if (error) {
+        reject(error)
+      } else {
+        resolve()
+      }
+    }
+    const timer = setTimeout(() => {
+      settle(Error('The signaling server did not answer in time.'))
+    }, timeout)
+    peer.on('open', () => settle())
+    peer.on('error', (err) => {
+      console.warn('Signaling server connection test failed', { err })
+      settle(Error(`Unable to connect to the signaling server: ${err.message || err}`))
+    })
+  })
+}
@@ -22,7 +22,14 @@ import {
   NEW_REMOTE_PEER_ID,
   REMOTE_PEER_ID_REMOVED,
   PEER_FETCH,
-  EDGE_API
+  EDGE_API,
+  EDGE_TRANSPORT,
+  LINK_METRICS,
+  PEER_RECONNECT_SCHEDULED,
+  PEER_RECONNECTING,
+  PEER_RECONNECT_STOPPED,
+  PNP_SETTINGS,
+  PAIRING_KEY
 } from './mutation-types.js'
 import {
   INITIALIZE_PNP,
@@ -34,15 +41,58 @@ import {
   PEER_AUTHENTICATE,
   REMOVE_REMOTE_PEER_ID,
   CHANGE_REMOTE_PEER_ID,
-  HANDLE_PEER_CONNECTION_ERROR
+  HANDLE_PEER_CONNECTION_ERROR,
+  SCHEDULE_PEER_RECONNECT,
+  STOP_PEER_RECONNECT,
+  LOAD_PNP_SETTINGS,
+  SAVE_PNP_SETTINGS,
+  RESET_PNP_SETTINGS
 } from './action-types.js'
-import { ambianicConf } from '@/config'
+import {
+  defaultPnpSettings,
+  peerOptions,
+  loadPnpSettings,
+  savePnpSettings,
+  resetPnpSettings
+} from './pnp-settings'
 import Peer from 'peerjs'
 import { PeerRoom } from '@/remote/peer-room'
-import { PeerFetch } from '@/remote/peer-fetch'
+import { PeerFetch, CAPABILITY_EVENTS } from '@/remote/peer-fetch'
+import { EVENTS_CHANNEL_LABEL } from '@/remote/event-channel'
 import { EdgeAPI } from '@/remote/edgeAPI'
+import { backoffDelay } from '@/remote/backoff'
+import {
+  createNonce,
+  parseChallengeResponse,
+  verifyChallengeResponse
+} from '@/remote/peer-auth'
 export const STORAGE_KEY = 'ambianic-pnp-settings'
 
+const AUTH_FAILED_MESSAGE = 'Remote peer authentication failed.'
+
+/**
+ * New entry of the connection registry (see state.connections)
+ * for a remote peer that is not connected.
+ */
+function newConnection (peerID) {
+  return {
+    remotePeerId: peerID,
+    peerConnection: undefined,
+    peerConnectionStatus: PEER_DISCONNECTED,
+    peerFetch: undefined,
+    edgeAPI: undefined,
+    edgeTransport: undefined,
+    linkMetrics: undefined,
+    peerReconnect: { attempt: 0, nextAttemptAt: undefined },
+    peerReconnectTimer: undefined
+  }
+}
+
+// fields of a registry entry that are mirrored at the top level
+// of the state for the current remote peer
+const CURRENT_CONNECTION_FIELDS = Object.keys(newConnection())
+  .filter(field => field !== 'remotePeerId')
+
 const state = {
   /**
     Reference to the PeerJS instance active
@@ -80,6 +130,19 @@ const state = {
     Connection status message for user to see
   */
   userMessage: '',
+  /**
+    Registry of the connections to remote Ambianic Edge devices keyed by peer ID.
+    Each entry holds the remotePeerId and its own peerConnection,
+    peerConnectionStatus, peerFetch, edgeAPI, edgeTransport, linkMetrics
+    and peerReconnect state, as described below.
+    Devices stay connected while the user switches between them.
+  */
+  connections: {},
+  /**
+    The fields below up to peerReconnectTimer mirror the registry entry
+    of the current remote peer (remotePeerId), so views can keep
+    addressing the current device directly.
+  */
   /**
     Connection to the remote Ambianic Edge device
   */
@@ -92,6 +155,19 @@ const state = {
     Status of current peer connection to remote pnp service
   */
   pnpServiceConnectionStatus: PNP_SERVICE_DISCONNECTED,
+  /**
+    Signaling server host, port and secure flag and the ICE servers
+    the PnP service connects with, see pnp-settings.js.
+    The defaults until the user's saved settings are loaded.
+  */
+  pnpSettings: defaultPnpSettings(),
+  /**
+    Public keys of devices that are not in My Devices yet keyed by peer ID.
+    A key from a scanned pairing code has to be proven by the device
+    on its next authentication. A proven key is pinned
+    once the device is added to My Devices.
+  */
+  pairingKeys: {},
   /**
     PeerFetch instance
   */
@@ -100,6 +176,19 @@ const state = {
     EdgeAPI instance
   */
   edgeAPI: undefined,
+  /**
+    Name of the transport EdgeAPI uses to reach the edge device,
+    e.g. 'http' for direct LAN access or 'webrtc'
+  */
+  edgeTransport: undefined,
+  /**
+    Link quality of the current peer connection as measured by PeerFetch:
+    round-trip time in milliseconds (rtt, rttSmoothed, rttMin),
+    throughput in bytes per second (bytesPerSecondSent, bytesPerSecondReceived)
+    and request, timeout and error counts and rates.
+    Updated every second while connected.
+  */
+  linkMetrics: undefined,
   /**
    * discoveryLoopPause is the duration in milliseconds to pause between pair discovery retries
    */
@@ -111,18 +200,41 @@ const state = {
   /**
    * peerConnectOfferTimeout is the duration in milliseconds for a remote peer connection offer to expire
    */
-  peerConnectOfferTimeout: 15000
+  peerConnectOfferTimeout: 15000,
+  /**
+    Automatic reconnection to the remote peer after its connection was lost:
+    number of the next attempt (0 when not reconnecting) and
+    the time in milliseconds since epoch when it is due.
+  */
+  peerReconnect: {
+    attempt: 0,
+    nextAttemptAt: undefined
+  },
+  /**
+   * Timer of the next scheduled reconnect attempt
+   */
+  peerReconnectTimer: undefined,
+  /**
+   * peerReconnectBaseDelay is the duration in milliseconds to wait before the first reconnect attempt.
+   * The wait doubles with every attempt up to peerReconnectMaxDelay.
+   */
+  peerReconnectBaseDelay: 1000,
+  peerReconnectMaxDelay: 60000
 }
 
 const mutations = {
   [PEER_NEW_INSTANCE] (state, peer) {
     state.peer = peer
   },
-  [PEER_DISCONNECTED] (state) {
-    state.peerConnection = undefined
-    state.peerConnectionStatus = PEER_DISCONNECTED
-    state.peerFetch = undefined
-    state.edgeAPI = undefined
+  [PEER_DISCONNECTED] (state, peerID) {
+    updateConnection(state, peerID, {
+      peerConnection: undefined,
+      peerConnectionStatus: PEER_DISCONNECTED,
+      peerFetch: undefined,
+      edgeAPI: undefined,
+      edgeTransport: undefined,
+      linkMetrics: undefined
+    })
   },
   [PEER_DISCOVERING_DONE] (state, remotePeerIds) {
     state.discoveryStatus = PEER_DISCOVERING_DONE
@@ -142,21 +254,21 @@ const mutations = {
   [PEER_DISCOVERING_OFF] (state) {
     state.discoveryStatus = PEER_DISCOVERING_OFF
   },
-  [PEER_CONNECTING] (state) {
-    state.peerConnectionStatus = PEER_CONNECTING
+  [PEER_CONNECTING] (state, peerID) {
+    updateConnection(state, peerID, { peerConnectionStatus: PEER_CONNECTING })
   },
-  [PEER_DISCONNECTING] (state) {
-    state.peerConnectionStatus = PEER_DISCONNECTING
+  [PEER_DISCONNECTING] (state, peerID) {
+    updateConnection(state, peerID, { peerConnectionStatus: PEER_DISCONNECTING })
   },
-  [PEER_AUTHENTICATING] (state) {
-    state.peerConnectionStatus = PEER_AUTHENTICATING
+  [PEER_AUTHENTICATING] (state, peerID) {
+    updateConnection(state, peerID, { peerConnectionStatus: PEER_AUTHENTICATING })
   },
   [PEER_CONNECTED] (state, peerConnection) {
-    state.peerConnection = peerConnection
-    state.peerConnectionStatus = PEER_CONNECTED
+    const peerID = peerConnection ? peerConnection.peer : undefined
+    updateConnection(state, peerID, { peerConnection, peerConnectionStatus: PEER_CONNECTED })
   },
-  [PEER_CONNECTION_ERROR] (state) {
-    state.peerConnectionStatus = PEER_CONNECTION_ERROR
+  [PEER_CONNECTION_ERROR] (state, peerID) {
+    updateConnection(state, peerID, { peerConnectionStatus: PEER_CONNECTION_ERROR })
   },
   [PNP_SERVICE_DISCONNECTED] (state) {
     state.pnpServiceConnectionStatus = PNP_SERVICE_DISCONNECTED
@@ -167,6 +279,18 @@ const mutations = {
   [PNP_SERVICE_CONNECTED] (state) {
     state.pnpServiceConnectionStatus = PNP_SERVICE_CONNECTED
   },
+  [PNP_SETTINGS] (state, pnpSettings) {
+    state.pnpSettings = pnpSettings
+  },
+  [PAIRING_KEY] (state, { peerID, publicKey }) {
+    const pairingKeys = { ...state.pairingKeys }
+    if (publicKey) {
+      pairingKeys[peerID] = publicKey
+    } else {
+      delete pairingKeys[peerID]
+    }
+    state.pairingKeys = pairingKeys
+  },
   [USER_MESSAGE] (state, newUserMessage) {
     state.userMessage = newUserMessage
   },
@@ -177,19 +301,83 @@ const mutations = {
     console.debug('NEW_REMOTE_PEER_ID: Setting state.remotePeerId to : ', newRemotePeerId)
     state.remotePeerId = newRemotePeerId
     window.localStorage.setItem(`${STORAGE_KEY}.remotePeerId`, newRemotePeerId)
+    mirrorCurrentConnection(state)
   },
   [REMOTE_PEER_ID_REMOVED] (state) {
     console.debug('REMOTE_PEER_ID_REMOVED: Removing remote Peer Id from local connection storage.')
     state.remotePeerId = undefined
     window.localStorage.removeItem(`${STORAGE_KEY}.remotePeerId`)
+    mirrorCurrentConnection(state)
   },
-  [PEER_FETCH] (state, peerFetch) {
-    console.debug('PEER_FETCH: Setting PeerFetch instance.')
-    state.peerFetch = peerFetch
+  [LINK_METRICS] (state, { peerID, linkMetrics }) {
+    updateConnection(state, peerID, { linkMetrics })
   },
-  [EDGE_API] (state, edgeAPI) {
-    console.debug('EDGE_API: Setting EdgeAPI instance.')
-    state.edgeAPI = edgeAPI
+  [PEER_FETCH] (state, { peerID, peerFetch }) {
+    console.debug('PEER_FETCH: Setting PeerFetch instance.', { peerID })
+    updateConnection(state, peerID, { peerFetch })
+  },
+  [EDGE_API] (state, { peerID, edgeAPI }) {
+    console.debug('EDGE_API: Setting EdgeAPI instance.', { peerID })
+    updateConnection(state, peerID, { edgeAPI })
+  },
+  [EDGE_TRANSPORT] (state, { peerID, edgeTransport }) {
+    console.debug('EDGE_TRANSPORT: Edge API transport', { peerID, edgeTransport })
+    updateConnection(state, peerID, { edgeTransport })
+  },
+  [PEER_RECONNECT_SCHEDULED] (state, { peerID, attempt, delay, timer }) {
+    updateConnection(state, peerID, {
+      peerReconnect: { attempt, nextAttemptAt: Date.now() + delay },
+      peerReconnectTimer: timer
+    })
+  },
+  [PEER_RECONNECTING] (state, peerID) {
+    updateConnection(state, peerID, { peerReconnectTimer: undefined })
+  },
+  [PEER_RECONNECT_STOPPED] (state, peerID) {
+    updateConnection(state, peerID, {
+      peerReconnect: { attempt: 0, nextAttemptAt: undefined },
+      peerReconnectTimer: undefined
+    })
+  }
+}
+
+/**
+ * Registry entry of the connection to a remote peer,
+ * by default the current one. A new disconnected entry
+ * if there is none yet, which is not added to the registry.
+ */
+function connectionOf (state, peerID = state.remotePeerId) {
+  return state.connections[peerID] || newConnection(peerID)
+}
+
+/**
+ * Apply changes to the registry entry of a remote peer,
+ * by default the current one, adding the entry if needed.
+ * Must be called from mutations only.
+ */
+function updateConnection (state, peerID = state.remotePeerId, changes) {
+  const connection = state.connections[peerID]
+  if (connection) {
+    Object.assign(connection, changes)
+  } else {
+    state.connections = {
+      ...state.connections,
+      [peerID]: Object.assign(newConnection(peerID), changes)
+    }
+  }
+  if (peerID === state.remotePeerId) {
+    mirrorCurrentConnection(state)
+  }
+}
+
+/**
+ * Show the registry entry of the current remote peer
+ * at the top level of the state.
+ */
+function mirrorCurrentConnection (state) {
+  const connection = connectionOf(state)
+  for (const field of CURRENT_CONNECTION_FIELDS) {
+    state[field] = connection[field]
   }
 }
 
@@ -282,8 +470,100 @@ function setPnPServiceConnectionHandlers (
   peer.on('connection', function (peerConnection) {
     console.debug('#####>>>>> remote peer trying to establish connection')
     setPeerConnectionHandlers({ state, commit, dispatch, peerConnection })
-    commit(PEER_CONNECTING)
+    commit(PEER_CONNECTING, peerConnection.peer)
+  })
+}
+
+/**
+ * Open a second DataChannel to the remote peer
+ * for the events it pushes to subscribers.
+ */
+function openEventChannel ({ state, peerConnection, peerFetch }) {
+  console.debug('Opening event channel to remote peer', { remotePeerId: peerConnection.peer })
+  const eventConnection = state.peer.connect(peerConnection.peer, {
+    label: EVENTS_CHANNEL_LABEL, reliable: true, serialization: 'raw'
   })
+  eventConnection.on('error', function (err) {
+    console.warn('Error in event channel to remote peer', { err })
+  })
+  peerFetch.attachEventChannel(eventConnection)
+}
+
+/**
+ * Close a connection that failed authentication without reconnecting to it.
+ */
+async function dropPeerConnection ({ commit, dispatch }, { peerConnection, errMsg }) {
+  const peerID = peerConnection.peer
+  await dispatch(STOP_PEER_RECONNECT, peerID)
+  commit(PEER_DISCONNECTING, peerID)
+  peerConnection.close()
+  await dispatch(HANDLE_PEER_CONNECTION_ERROR, { peerConnection, errMsg })
+}
+
+/**
+ * Check the answer of an edge device to an authentication challenge.
+ * A device with a pinned public key, or one from a scanned pairing code,
+ * must sign the challenge with it.
+ * A device without one is trusted on first use and its key is pinned,
+ * or kept in pairingKeys until the device is added to My Devices.
+ * Devices that predate challenges are only accepted until a key is pinned.
+ *
+ * @returns undefined if the check passed, otherwise { errMsg, isBlocked }
+ *  with a message for the user; blocked devices may be impersonating
+ *  a paired device and must not be retried
+ */
+async function checkEdgeIdentity ({ state, commit, dispatch }, { peerID, text, nonce }) {
+  const pinnedKey = await dispatch('myDevices/getPublicKey', peerID, { root: true })
+  // a pairing code key is kept until the device proves it holds it or is blocked
+  const pairingKey = state.pairingKeys[peerID]
+  const expectedKey = pinnedKey || pairingKey
+  const block = (errMsg) => {
+    if (pairingKey) {
+      commit(PAIRING_KEY, { peerID, publicKey: undefined })
+    }
+    return { errMsg, isBlocked: true }
+  }
+  const challengeResponse = parseChallengeResponse(text)
+  if (!challengeResponse) {
+    if (expectedKey) {
+      return block(`Security warning: Edge device ${peerID} did not prove its identity. ` +
+        'The connection is blocked because another device may be impersonating it.')
+    }
+    console.warn('Edge device does not support challenge-response authentication. ' +
+      'Please upgrade Ambianic Edge.', { peerID })
+    return text.includes('Ambianic') ? undefined : { errMsg: AUTH_FAILED_MESSAGE }
+  }
+  if (expectedKey && challengeResponse.publicKey !== expectedKey) {
+    const keySource = pinnedKey ? 'the one saved when it was paired' : 'the one in the pairing code'
+    return block(`Security warning: Edge device ${peerID} presented a different key ` +
+      `than ${keySource}. The connection is blocked because ` +
+      'another device may be impersonating it. If you reset or reinstalled ' +
+      'the edge device, remove it from My Devices and add it again.')
+  }
+  const isValid = await verifyChallengeResponse({ ...challengeResponse, peerID, nonce })
+  if (!isValid) {
+    if (expectedKey) {
+      // the expected key was presented by a device that does not hold it
+      return block(`Security warning: Edge device ${peerID} did not prove it holds its key. ` +
+        'The connection is blocked because another device may be impersonating it.')
+    }
+    return { errMsg: AUTH_FAILED_MESSAGE }
+  }
+  if (!pinnedKey) {
+    const isPinned = await dispatch('myDevices/pinPublicKey',
+      { peerID, publicKey: challengeResponse.publicKey }, { root: true })
+    if (!isPinned) {
+      // a device that is not in My Devices yet, e.g. while it is being paired,
+      // has to present the key it proved until it is added and the key pinned
+      commit(PAIRING_KEY, { peerID, publicKey: challengeResponse.publicKey })
+      return undefined
+    }
+    console.info('Pinned public key of edge device', { peerID })
+  }
+  if (pairingKey) {
+    commit(PAIRING_KEY, { peerID, publicKey: undefined })
+  }
+  return undefined
 }
 
 function setPeerConnectionHandlers ({
@@ -293,12 +573,19 @@ function setPeerConnectionHandlers ({
   peerConnection,
   peerConnectOfferTimer
 }) {
+  const peerID = peerConnection.peer
   // setup connection progress callbacks
   peerConnection.on('open', function () {
     clearTimeout(peerConnectOfferTimer)
     const peerFetch = new PeerFetch(peerConnection)
     console.debug('Peer DataConnection is now open. Creating PeerFetch wrapper.')
-    commit(PEER_FETCH, peerFetch)
+    commit(PEER_FETCH, { peerID, peerFetch })
+    peerFetch.onMetrics(metrics => {
+      // ignore late updates from a connection that was replaced
+      if (connectionOf(state, peerID).peerFetch === peerFetch) {
+        commit(LINK_METRICS, { peerID, linkMetrics: metrics })
+      }
+    })
     // schedule an async PEER_AUTHENTICATE step
     // There is 1 second delay to allow the RTCDataChannel to prepare
     // Without the delay, sometimes the datachannel "jams"
@@ -307,9 +594,17 @@ function setPeerConnectionHandlers ({
 
   peerConnection.on('close', function () {
     clearTimeout(peerConnectOfferTimer)
-    commit(PEER_DISCONNECTED)
+    // A connection that was in use, or one made by a reconnect attempt,
+    // closed without the user asking for it.
+    const connection = connectionOf(state, peerID)
+    const unexpected = connection.peerConnectionStatus !== PEER_DISCONNECTING &&
+      (connection.peerConnection === peerConnection || connection.peerReconnect.attempt > 0)
+    commit(PEER_DISCONNECTED, peerID)
     commit(USER_MESSAGE, 'Connection to remote peer closed')
-    console.debug('#########>>>>>>>>> p2p connection closed')
+    console.debug('#########>>>>>>>>> p2p connection closed', { peerID })
+    if (unexpected) {
+      dispatch(SCHEDULE_PEER_RECONNECT, peerID)
+    }
   })
 
   peerConnection.on('error', function (err) {
@@ -323,17 +618,71 @@ function setPeerConnectionHandlers ({
   console.debug('peerConnection.on(event) handlers all set.')
 }
 
+// the user's PnP settings while they are being loaded, see LOAD_PNP_SETTINGS
+let pnpSettingsLoading = null
+
 const actions = {
   /**
   * Initialize PnP Service and Peer Connection
   */
   async [INITIALIZE_PNP] ({ state, commit, dispatch }) {
+    const peer = state.peer
     // clear reference to any pre-existing and potentially corrupt peer instance
     // in order to force a new peer instance creation
     state.peer = undefined
+    if (peer) {
+      // the old peer may be connected to a signaling server the user replaced.
+      // Its own handlers would try to bring it back.
+      peer.removeAllListeners()
+      peer.destroy()
+      commit(PNP_SERVICE_DISCONNECTED)
+    }
     await dispatch(PNP_SERVICE_CONNECT)
   },
   /**
+  * Load the user's signaling and ICE server settings.
+  * Reconnect to the PnP service if it was already
+  * connected with different ones.
+  * PNP_SERVICE_CONNECT waits for a load in progress.
+  */
+  async [LOAD_PNP_SETTINGS] ({ state, commit, dispatch }) {
+    const loading = loadPnpSettings().then(pnpSettings => {
+      const isChanged = JSON.stringify(pnpSettings) !== JSON.stringify(state.pnpSettings)
+      commit(PNP_SETTINGS, pnpSettings)
+      return isChanged
+    })
+    pnpSettingsLoading = loading
+    let isChanged
+    try {
+      isChanged = await loading
+    } finally {
+      if (pnpSettingsLoading === loading) {
+        pnpSettingsLoading = null
+      }
+    }
+    if (isChanged && state.peer) {
+      await dispatch(INITIALIZE_PNP)
+    }
+  },
+  /**
+  * Save new signaling and ICE server settings
+  * and reconnect to the PnP service with them.
+  * Throws an error for the user if they are not valid.
+  */
+  async [SAVE_PNP_SETTINGS] ({ commit, dispatch }, pnpSettings) {
+    const saved = await savePnpSettings(pnpSettings)
+    commit(PNP_SETTINGS, saved)
+    await dispatch(INITIALIZE_PNP)
+  },
+  /**
+  * Go back to the default signaling and ICE servers.
+  */
+  async [RESET_PNP_SETTINGS] ({ commit, dispatch }) {
+    await resetPnpSettings()
+    commit(PNP_SETTINGS, defaultPnpSettings())
+    await dispatch(INITIALIZE_PNP)
+  },
+  /**
   * Establish connection to PnP Service and
   * create the Peer object for our end of the connection.
   *
@@ -341,6 +690,14 @@ const actions = {
   * peer object.
   */
   async [PNP_SERVICE_CONNECT] ({ state, commit, dispatch }) {
+    // connect with the user's servers rather than the defaults
+    if (pnpSettingsLoading) {
+      try {
+        await pnpSettingsLoading
+      } catch (error) {
+        console.warn('Unable to load PnP settings. Connecting with the defaults.', { error })
+      }
+    }
     const peer = state.peer
     // if connection to pnp service already open, then nothing to do
     if (peer && peer.open) { return }
@@ -358,10 +715,7 @@ const actions = {
       console.log('pnp client: last saved myPeerId', state.myPeerId)
       const newPeer = new Peer(state.myPeerId,
         {
-          host: ambianicConf.AMBIANIC_PNP_HOST,
-          port: ambianicConf.AMBIANIC_PNP_PORT,
-          secure: ambianicConf.AMBIANIC_PNP_SECURE,
-          config: ambianicConf.ICE_CONFIG,
+          ...peerOptions(state.pnpSettings),
           debug: 3
         }
       )
@@ -440,19 +794,20 @@ const actions = {
   */
   async [PEER_CONNECT] ({ state, commit, dispatch }, remotePeerId) {
     // if already connected or in the process of connecting to remote peer, then stop.
-    if (state.peerConnectionStatus === PEER_CONNECTING ||
-      state.peerConnectionStatus === PEER_CONNECTED) {
+    const connection = connectionOf(state, remotePeerId)
+    if (connection.peerConnectionStatus === PEER_CONNECTING ||
+      connection.peerConnectionStatus === PEER_CONNECTED) {
       console.log('Peer connection already in progress. Aborting peer connect loop.',
-        state.peerConnectionStatus)
+        connection.peerConnectionStatus)
       // avoid redundant connect looping
       // in case of multiple connection errors
       return
     }
     console.debug('#####>>>>>>> Connecting to remote peer', { remotePeerId })
-    if (state.peerConnection) {
+    if (connection.peerConnection) {
       // make sure any previous connection is closed and cleaned up
       console.info('>>>>>>> Closing and cleaning up existing peer connection.', { remotePeerId })
-      await state.peerConnection.close()
+      await connection.peerConnection.close()
     }
     const peerConnectLoop = async () => {
       console.log('Entering peer connect loop...')
@@ -471,16 +826,17 @@ const actions = {
         console.debug(`#####>>>> PNP Service connection status: ${state.pnpServiceConnectionStatus}`)
         console.info('>>>>>> Opening new peer connection.')
         const peer = state.peer
-        commit(PEER_CONNECTING)
+        commit(PEER_CONNECTING, remotePeerId)
         const peerConnection = peer.connect(remotePeerId, {
           label: 'http-proxy', reliable: true, serialization: 'raw'
         })
         const handlePeerConnectOfferTimeout = async function () {
-          if (state.peerConnection) {
+          const staleConnection = connectionOf(state, remotePeerId).peerConnection
+          if (staleConnection) {
             // In case a connection object was created in the connection OFFER process
             // make sure to close and cleaned it up.
             console.info('Peer connection OFFER expired. Closing and cleaning up peer connection object.', { remotePeerId })
-            await state.peerConnection.close()
+            await staleConnection.close()
           }
           const errMsg = 'Peer connection attempt failed. Is the remote device online?'
           await dispatch(HANDLE_PEER_CONNECTION_ERROR, { peerConnection, errMsg })
@@ -499,49 +855,92 @@ const actions = {
     await peerConnectLoop()
   },
   /**
-  * Authenticate remote peer. Make sure its a genuine Ambianic Edge device.
+  * Authenticate remote peer. Make sure its a genuine Ambianic Edge device
+  * that holds the private key pinned when it was paired.
   *
   */
   async [PEER_AUTHENTICATE] (context, peerConnection) {
     const { state, commit, dispatch } = context
-    commit(PEER_AUTHENTICATING)
-    commit(USER_MESSAGE, `Authenticating remote peer: ${peerConnection.peer}`)
-    console.debug('Authenticating remote Peer ID: ', peerConnection.peer)
+    const peerID = peerConnection.peer
+    commit(PEER_AUTHENTICATING, peerID)
+    commit(USER_MESSAGE, `Authenticating remote peer: ${peerID}`)
+    console.debug('Authenticating remote Peer ID: ', peerID)
+    const connection = connectionOf(state, peerID)
+    const peerFetch = connection.peerFetch
     let authPassed = false
+    let errMsg = AUTH_FAILED_MESSAGE
+    let isBlocked = false
+    // agree on protocol version and capabilities before any API calls
+    try {
+      await peerFetch.handshake()
+    } catch (err) {
+      console.warn('PEER_AUTHENTICATE action. Protocol handshake failed with remote peer ID: ' +
+        peerConnection.peer, err)
+      // retrying does not help until one side is updated
+      await dropPeerConnection(context, { peerConnection, errMsg: err.message })
+      return
+    }
     try {
       console.debug('PEER_AUTHENTICATE start')
-      console.debug('PEER_AUTHENTICATE instantiating EdgeAPI with context:', context)
-      const edgeAPI = new EdgeAPI(context)
-      commit(EDGE_API, edgeAPI)
+      // the EdgeAPI of each device reads its own registry entry
+      console.debug('PEER_AUTHENTICATE instantiating EdgeAPI for connection:', connection)
+      const edgeAPI = new EdgeAPI({ state: connection })
+      commit(EDGE_API, { peerID, edgeAPI })
       console.debug('PEER_AUTHENTICATE calling EdgeAPI.auth()')
-      const response = await state.edgeAPI.auth()
+      const nonce = createNonce()
+      const response = await edgeAPI.auth({ nonce })
       console.debug('PEER_AUTHENTICATE API called')
       if (response && response.header && response.header.status === 200) {
         console.debug('PEER_AUTHENTICATE status OK')
         console.debug(`PEER_AUTHENTICATE response.content: ${response.content}`)
-        const text = state.peerFetch.textDecode(response.content)
+        const text = peerFetch.textDecode(response.content)
         console.debug(`PEER_AUTHENTICATE response.content decoded: ${response.content}`)
-        // if data is authentication challenge response, verify it
-        // for now we naively check for Ambianic in the response.
-        authPassed = text.includes('Ambianic')
+        const identityError = await checkEdgeIdentity(context,
+          { peerID, text, nonce })
+        authPassed = !identityError
+        if (identityError) {
+          errMsg = identityError.errMsg
+          isBlocked = !!identityError.isBlocked
+        }
         console.debug('PEER_AUTHENTICATE response body OK', { authPassed })
       } else {
         console.error('PEER_AUTHENTICATE unexpended auth response.', { response })
       }
     } catch (err) {
-      console.warn(`PEER_AUTHENTICATE action. Error while connecting to remote peer ID: ${peerConnection.peer}`, err)
+      console.warn(`PEER_AUTHENTICATE action. Error while connecting to remote peer ID: ${peerID}`, err)
     }
     if (authPassed) {
       // console.debug('Remote peer authenticated as:', authMessage.name)
       commit(PEER_CONNECTED, peerConnection)
+      await dispatch(STOP_PEER_RECONNECT, peerID)
       // remote Peer ID authenticated,
       // lets store it for future (re)connections
-      // if its not already stored
-      if (state.remotePeerId !== peerConnection.peer) {
-        commit(NEW_REMOTE_PEER_ID, peerConnection.peer)
+      // if there is no current device yet
+      if (!state.remotePeerId) {
+        commit(NEW_REMOTE_PEER_ID, peerID)
       }
+      const edgeAPI = connection.edgeAPI
+      // prefer direct LAN access to the edge HTTP API when
+      // the authenticated edge device reports its LAN address
+      try {
+        const lanOrigin = await edgeAPI.getLanOrigin()
+        if (lanOrigin) {
+          edgeAPI.useLanOrigin(lanOrigin)
+        }
+        await edgeAPI.selectTransport()
+      } catch (err) {
+        console.warn('PEER_AUTHENTICATE action. Error while selecting edge API transport.', err)
+      }
+      commit(EDGE_TRANSPORT, { peerID, edgeTransport: edgeAPI.activeTransport })
+      if (peerFetch.hasCapability(CAPABILITY_EVENTS)) {
+        openEventChannel({ state, peerConnection, peerFetch })
+      }
+    } else if (isBlocked) {
+      console.warn(errMsg)
+      // neither keep the connection to a possible impostor open
+      // nor reconnect to it
+      await dropPeerConnection(context, { peerConnection, errMsg })
     } else {
-      const errMsg = 'Remote peer authentication failed.'
       console.warn(errMsg)
       await dispatch(HANDLE_PEER_CONNECTION_ERROR, { peerConnection, errMsg })
     }
@@ -557,17 +956,20 @@ const actions = {
    * them or let them connect to you.
    */
   async [CHANGE_REMOTE_PEER_ID] ({ state, commit, dispatch }, remotePeerId) {
-    await dispatch(REMOVE_REMOTE_PEER_ID)
+    // the previous device stays connected in the background
     commit(NEW_REMOTE_PEER_ID, remotePeerId)
     await dispatch(PEER_CONNECT, remotePeerId)
   },
   /**
-  * Disconnect from remote peer id.
+  * Disconnect from remote peer id, by default the current one.
   */
-  async [PEER_DISCONNECT] ({ state, commit, dispatch }) {
-    if (state.peerConnectionStatus !== PEER_DISCONNECTED) {
-      commit(PEER_DISCONNECTING)
-      const conn = state.peerConnection
+  async [PEER_DISCONNECT] ({ state, commit, dispatch }, peerID = state.remotePeerId) {
+    // the user no longer wants to be connected
+    await dispatch(STOP_PEER_RECONNECT, peerID)
+    const connection = connectionOf(state, peerID)
+    if (connection.peerConnectionStatus !== PEER_DISCONNECTED) {
+      commit(PEER_DISCONNECTING, peerID)
+      const conn = connection.peerConnection
       if (conn) {
         try {
           console.debug('Closing Peer DataConnection.', { conn })
@@ -576,7 +978,7 @@ const actions = {
           console.info('Error while closing peer DataConnection.', err)
         }
       }
-      commit(PEER_DISCONNECTED)
+      commit(PEER_DISCONNECTED, peerID)
     }
   },
   /**
@@ -588,15 +990,76 @@ const actions = {
   },
   async [HANDLE_PEER_CONNECTION_ERROR] ({ state, commit, dispatch }, { peerConnection, errMsg }) {
     console.info('######>>>>>>> p2p connection error', errMsg)
-    console.info('Error while connecting to remote peer ID:', peerConnection.peer)
+    const peerID = peerConnection.peer
+    console.info('Error while connecting to remote peer ID:', peerID)
     commit(USER_MESSAGE, errMsg)
-    commit(PEER_CONNECTION_ERROR)
+    commit(PEER_CONNECTION_ERROR, peerID)
+    // keep trying if this was a reconnect attempt
+    if (connectionOf(state, peerID).peerReconnect.attempt > 0) {
+      await dispatch(SCHEDULE_PEER_RECONNECT, peerID)
+    }
+  },
+  /**
+  * Schedule the next attempt to reconnect to a remote peer
+  * after its connection was lost.
+  * Attempts are spaced out with jittered exponential backoff
+  * and continue until a connection is established or
+  * the user disconnects.
+  */
+  async [SCHEDULE_PEER_RECONNECT] ({ state, commit, dispatch }, remotePeerId) {
+    const connection = connectionOf(state, remotePeerId)
+    // the connection error and close events of a failed attempt
+    // must not schedule two attempts
+    if (!remotePeerId || connection.peerReconnectTimer) {
+      return
+    }
+    const attempt = connection.peerReconnect.attempt + 1
+    const delay = backoffDelay(attempt, {
+      baseDelay: state.peerReconnectBaseDelay,
+      maxDelay: state.peerReconnectMaxDelay
+    })
+    console.info(`Reconnecting to remote peer in ${delay}ms, attempt ${attempt}`, { remotePeerId })
+    const timer = setTimeout(() => {
+      commit(PEER_RECONNECTING, remotePeerId)
+      dispatch(PEER_CONNECT, remotePeerId)
+    }, delay)
+    commit(PEER_RECONNECT_SCHEDULED, { peerID: remotePeerId, attempt, delay, timer })
+  },
+  /**
+  * Stop reconnecting to a remote peer, by default the current one.
+  */
+  async [STOP_PEER_RECONNECT] ({ state, commit }, peerID = state.remotePeerId) {
+    const connection = connectionOf(state, peerID)
+    if (connection.peerReconnect.attempt > 0 || connection.peerReconnectTimer) {
+      clearTimeout(connection.peerReconnectTimer)
+      commit(PEER_RECONNECT_STOPPED, peerID)
+    }
   }
 }
 
 const getters = {
   isEdgeConnected: state => {
     return state.peerConnectionStatus === PEER_CONNECTED
+  },
+  /**
+   * Registry entry of the connection to the edge device
+   * with the given peer ID or undefined if there is none.
+   * Views use its edgeAPI to address devices other than the current one.
+   */
+  deviceConnection: state => peerID => {
+    return state.connections[peerID]
+  },
+  isDeviceConnected: state => peerID => {
+    const connection = state.connections[peerID]
+    return !!connection && connection.peerConnectionStatus === PEER_CONNECTED
+  },
+  /**
+   * Peer IDs of all connected edge devices
+   */
+  connectedPeerIds: state => {
+    return Object.values(state.connections)
+      .filter(connection => connection.peerConnectionStatus === PEER_CONNECTED)
+      .map(connection => connection.remotePeerId)
   }
 }
 
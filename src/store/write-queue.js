@@ -0,0 +1,194 @@
+/**
+ * Queue of edge device setting changes made while the device is offline.
+ *
+ * Changes are persisted in localdb and replayed in order
+ * once the device is connected again, whether or not it is
+ * the current device. Each change remembers the
+ * device value it was based on. A change is not applied if the device
+ * value was changed by someone else in the meantime.
+ */
+
+import { localdb } from './localdb'
+
+export const WRITE_PENDING = 'pending'
+export const WRITE_FAILED = 'failed'
+
+/**
+ * Supported kinds of changes.
+ *
+ * label: user friendly name of the setting
+ * remoteValue: current device value in an edge status response
+ * apply: send the change to the edge device
+ * saveLocal: store action that saves the change in the local device card
+ */
+export const WRITE_KINDS = {
+  displayName: {
+    label: 'Friendly name',
+    remoteValue: status => status.display_name,
+    apply: (edgeAPI, value) => edgeAPI.setDeviceDisplayName(value),
+    saveLocal: (peerID, value) => ['myDevices/updateDisplayName', { peerID, displayName: value }]
+  },
+  notificationsEnabled: {
+    label: 'Notifications',
+    remoteValue: status => status.notifications_enabled,
+    apply: (edgeAPI, value) => edgeAPI.enableNotifications(value),
+    saveLocal: (peerID, value) => ['myDevices/updateNotificationsEnabled', { peerID, enabled: value }]
+  }
+}
+
+const state = {
+  // pending and failed changes of all devices in the order they were made
+  writes: []
+}
+
+const actions = {
+  /**
+   * Queue a change to an edge device setting.
+   * A pending change of the same setting is replaced,
+   * keeping the device value the first change was based on.
+   *
+   * @param deviceId peer ID of the edge device
+   * @param kind one of WRITE_KINDS
+   * @param value new value of the setting
+   * @param baseValue last known device value of the setting
+   */
+  async add ({ dispatch }, { deviceId, kind, value, baseValue }) {
+    if (!WRITE_KINDS[kind]) {
+      throw new Error(`Unknown kind of device setting change: ${kind}`)
+    }
+    const existing = await localdb.pendingWrites
+      .where('deviceId').equals(deviceId)
+      .filter(write => write.kind === kind && write.status === WRITE_PENDING)
+      .first()
+    if (existing) {
+      await localdb.pendingWrites.update(existing.id, { value })
+    } else {
+      await localdb.pendingWrites.add({
+        deviceId,
+        kind,
+        value,
+        baseValue,
+        status: WRITE_PENDING,
+        error: undefined,
+        createdAt: Date.now()
+      })
+    }
+    console.debug('Queued edge device setting change', { deviceId, kind, value })
+    await dispatch('syncState')
+  },
+  /**
+   * Send pending changes to a connected edge device in order.
+   * Concurrent calls for the same device share the replay already in progress.
+   *
+   * @param deviceId peer ID of the edge device, by default the current one
+   */
+  replay (context, deviceId = context.rootState.pnp.remotePeerId) {
+    if (!replaying.has(deviceId)) {
+      replaying.set(deviceId, replayPending(context, deviceId).finally(() => {
+        replaying.delete(deviceId)
+      }))
+    }
+    return replaying.get(deviceId)
+  },
+  /**
+   * Queue a failed change again and try to send it.
+   * A change that conflicted is rebased onto the device value
+   * it conflicted with, so that retrying overwrites that value.
+   */
+  async retry ({ dispatch }, id) {
+    const write = await localdb.pendingWrites.get(id)
+    const changes = { status: WRITE_PENDING, error: undefined }
+    if (write.conflictValue !== undefined) {
+      changes.baseValue = write.conflictValue
+      changes.conflictValue = undefined
+    }
+    await localdb.pendingWrites.update(id, changes)
+    await dispatch('syncState')
+    await dispatch('replay', write.deviceId)
+  },
+  /**
+   * Drop a queued change.
+   */
+  async discard ({ dispatch }, id) {
+    await localdb.pendingWrites.delete(id)
+    await dispatch('syncState')
+  },
+  /**
+   * Load all queued changes into local state.
+   */
+  async syncState ({ state }) {
+    state.writes = await localdb.pendingWrites.toArray()
+  }
+}
+
+// replays in progress keyed by device peer ID
+const replaying = new Map()
+
+async function replayPending ({ dispatch, rootGetters }, deviceId) {
+  const connection = rootGetters.deviceConnection(deviceId)
+  if (!rootGetters.isDeviceConnected(deviceId) || !connection.edgeAPI) {
+    return
+  }
+  const edgeAPI = connection.edgeAPI
+  const writes = await localdb.pendingWrites
+    .where('deviceId').equals(deviceId)
+    .filter(write => write.status === WRITE_PENDING)
+    .sortBy('id')
+  if (writes.length === 0) {
+    return
+  }
+  try {
+    // current device values to detect conflicting changes
+    const status = await edgeAPI.getEdgeStatus()
+    for (const write of writes) {
+      if (!rootGetters.isDeviceConnected(deviceId)) {
+        // keep the rest for the next connection
+        break
+      }
+      await replayWrite({ write, status, edgeAPI, dispatch })
+    }
+  } catch (error) {
+    console.warn('Unable to replay queued edge device setting changes', { error, deviceId })
+  } finally {
+    await dispatch('syncState')
+  }
+}
+
+/**
+ * Apply one queued change unless it conflicts with the device value.
+ */
+async function replayWrite ({ write, status, edgeAPI, dispatch }) {
+  const kind = WRITE_KINDS[write.kind]
+  const remoteValue = status ? kind.remoteValue(status) : undefined
+  const isConflict = remoteValue !== undefined &&
+    remoteValue !== write.baseValue &&
+    remoteValue !== write.value
+  if (isConflict) {
+    console.warn('Queued change conflicts with device value', { write, remoteValue })
+    await localdb.pendingWrites.update(write.id, {
+      status: WRITE_FAILED,
+      error: `Changed on the device to "${remoteValue}" in the meantime.`,
+      conflictValue: remoteValue
+    })
+    return
+  }
+  try {
+    await kind.apply(edgeAPI, write.value)
+  } catch (error) {
+    console.warn('Queued change rejected by the device', { write, error })
+    await localdb.pendingWrites.update(write.id, {
+      status: WRITE_FAILED,
+      error: error.message
+    })
+    return
+  }
+  await localdb.pendingWrites.delete(write.id)
+  const [action, payload] = kind.saveLocal(write.deviceId, write.value)
+  await dispatch(action, payload, { root: true })
+}
+
+export const writeQueueStoreModule = {
+  namespaced: true,
+  state,
+  actions
+}
@@ -9,6 +9,7 @@ import Vuex from 'vuex'
 import Vue from 'vue'
 import VueRouter from 'vue-router'
 import flushPromises from 'flush-promises'
+import { EDGE_API } from '@/store/mutation-types'
 
 jest.mock('peerjs')
 
@@ -174,4 +175,140 @@ describe('Event Card Component', () => {
     const infItems = wrapper.findAllComponents({ ref: 'inf-item' })
     expect(infItems).toHaveLength(0)
   })
+
+  test('Event card aborts pending image download when destroyed', async () => {
+    const args = {
+      datetime: '2020-05-10T19:05:45.577145',
+      inference_meta: {
+        display: 'Object Detection'
+      },
+      inference_result: [],
+      rel_dir: 'detections/20200510-190544.936209',
+      thumbnail_file_name: '20200510-190545.577145-thumbnail.jpg'
+    }
+
+    wrapper = mount(EventCard, {
+      router,
+      store,
+      vuetify,
+      localVue,
+      propsData: {
+        data: {
+          priority: 'INFO',
+          message: 'Detection Event',
+          args
+        }
+      }
+    })
+
+    expect(store.state.pnp.edgeAPI.getLocalImageURL).toHaveBeenCalledWith(
+      args.rel_dir, args.thumbnail_file_name,
+      { signal: expect.anything(), onDownloadProgress: expect.any(Function) })
+    const { signal } = store.state.pnp.edgeAPI.getLocalImageURL.mock.calls[0][2]
+    expect(signal.aborted).toBeFalse()
+    wrapper.destroy()
+    expect(signal.aborted).toBeTrue()
+  })
+
+  test('Event card revokes its local image URL when destroyed', async () => {
+    window.URL.revokeObjectURL = jest.fn()
+    store.state.pnp.edgeAPI.getLocalImageURL = jest.fn().mockResolvedValue('blob:thumbnail')
+    const args = {
+      datetime: '2020-05-10T19:05:45.577145',
+      inference_meta: {
+        display: 'Object Detection'
+      },
+      inference_result: [],
+      rel_dir: 'detections/20200510-190544.936209',
+      thumbnail_file_name: '20200510-190545.577145-thumbnail.jpg'
+    }
+
+    wrapper = mount(EventCard, {
+      router,
+      store,
+      vuetify,
+      localVue,
+      propsData: {
+        data: {
+          priority: 'INFO',
+          message: 'Detection Event',
+          args
+        }
+      }
+    })
+
+    await flushPromises()
+    expect(wrapper.vm.thumbnailURL).toEqual('blob:thumbnail')
+    expect(window.URL.revokeObjectURL).not.toHaveBeenCalled()
+    wrapper.destroy()
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:thumbnail')
+  })
+
+  test('Event card shows thumbnail download progress', async () => {
+    const args = {
+      datetime: '2020-05-10T19:05:45.577145',
+      inference_meta: {
+        display: 'Object Detection'
+      },
+      inference_result: [],
+      rel_dir: 'detections/20200510-190544.936209',
+      thumbnail_file_name: '20200510-190545.577145-thumbnail.jpg'
+    }
+
+    wrapper = mount(EventCard, {
+      router,
+      store,
+      vuetify,
+      localVue,
+      propsData: {
+        data: {
+          priority: 'INFO',
+          message: 'Detection Event',
+          args
+        }
+      }
+    })
+
+    const progress = wrapper.findComponent({ ref: 'thumbnail-progress' })
+    expect(progress.props('indeterminate')).toBeTrue()
+    const { onDownloadProgress } = store.state.pnp.edgeAPI.getLocalImageURL.mock.calls[0][2]
+    onDownloadProgress({ loaded: 256, total: 1024, progress: 0.25 })
+    await Vue.nextTick()
+    expect(progress.props('indeterminate')).toBeFalse()
+    expect(progress.props('value')).toEqual(25)
+  })
+  test('Event card loads the thumbnail from the device that recorded the event', async () => {
+    const otherPeerId = 'b1a9e3c0-5d6f-4b7a-8c2d-0e1f2a3b4c5d'
+    const edgeAPI = { getLocalImageURL: jest.fn() }
+    store.commit(EDGE_API, { peerID: otherPeerId, edgeAPI })
+    const args = {
+      datetime: '2020-05-10T19:05:45.577145',
+      inference_meta: {
+        display: 'Object Detection'
+      },
+      inference_result: [],
+      rel_dir: 'detections/20200510-190544.936209',
+      thumbnail_file_name: '20200510-190545.577145-thumbnail.jpg'
+    }
+
+    wrapper = mount(EventCard, {
+      router,
+      store,
+      vuetify,
+      localVue,
+      propsData: {
+        data: {
+          priority: 'INFO',
+          message: 'Detection Event',
+          args
+        },
+        peerId: otherPeerId
+      }
+    })
+
+    expect(edgeAPI.getLocalImageURL).toHaveBeenCalledWith(
+      args.rel_dir, args.thumbnail_file_name, expect.anything())
+    expect(store.state.pnp.edgeAPI.getLocalImageURL).not.toHaveBeenCalled()
+    wrapper.destroy()
+  })
 })
@@ -6,7 +6,13 @@ import VueRouter from 'vue-router'
 import NavBar from '@/components/NavBar.vue'
 import { pnpStoreModule } from '@/store/pnp'
 import { myDevicesStoreModule } from '@/store/mydevices'
-import { PEER_CONNECTING, PEER_DISCONNECTED, PEER_CONNECTED } from '@/store/mutation-types'
+import {
+  PEER_CONNECTING,
+  PEER_DISCONNECTED,
+  PEER_CONNECTED,
+  PEER_RECONNECT_SCHEDULED,
+  PEER_RECONNECT_STOPPED
+} from '@/store/mutation-types'
 
 describe('NavBar', () => {
 // global
@@ -91,4 +97,25 @@ describe('NavBar', () => {
     expect(cloudIconClasses.includes('mdi-cloud-off-outline')).toBeFalsy()
     expect(cloudIconClasses.includes('mdi-cloud-check-outline')).toBeTruthy()
   })
+
+  test('shows the reconnect countdown while reconnecting to the edge device', async () => {
+    jest.useFakeTimers()
+    wrapper.vm.$store.commit(PEER_DISCONNECTED)
+    wrapper.vm.$store.commit(PEER_RECONNECT_SCHEDULED, { attempt: 3, delay: 8000, timer: undefined })
+    await wrapper.vm.$nextTick()
+    const status = wrapper.findComponent({ ref: 'reconnect-status' })
+    expect(status.text()).toBe('Reconnecting in 8s, attempt 3')
+    // the countdown follows the clock
+    wrapper.vm.now += 3000
+    await wrapper.vm.$nextTick()
+    expect(status.text()).toBe('Reconnecting in 5s, attempt 3')
+    wrapper.vm.$store.commit(PEER_CONNECTING)
+    await wrapper.vm.$nextTick()
+    expect(status.text()).toBe('Reconnecting, attempt 3')
+    wrapper.vm.$store.commit(PEER_RECONNECT_STOPPED)
+    await wrapper.vm.$nextTick()
+    expect(wrapper.findComponent({ ref: 'reconnect-status' }).exists()).toBe(false)
+    expect(jest.getTimerCount()).toBe(0)
+    jest.useRealTimers()
+  })
 })
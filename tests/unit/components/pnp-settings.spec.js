@@ -0,0 +1,129 @@
+import Vue from 'vue'
+import { mount, createLocalVue } from '@vue/test-utils'
+import Vuetify from 'vuetify'
+import VueX from 'vuex'
+import { cloneDeep } from 'lodash'
+import flushPromises from 'flush-promises'
+import PnpSettings from '@/components/PnpSettings.vue'
+import { pnpStoreModule } from '@/store/pnp'
+import { PNP_SETTINGS } from '@/store/mutation-types'
+import { SAVE_PNP_SETTINGS, RESET_PNP_SETTINGS } from '@/store/action-types'
+import { defaultPnpSettings, testPnpConnection } from '@/store/pnp-settings'
+
+jest.mock('@/store/pnp-settings', () => ({
+  ...jest.requireActual('@/store/pnp-settings'),
+  testPnpConnection: jest.fn()
+}))
+
+describe('PnpSettings', () => {
+  // global
+  let wrapper
+  const localVue = createLocalVue()
+  Vue.use(Vuetify)
+  localVue.use(VueX)
+
+  const vuetify = new Vuetify()
+
+  let store, actions
+
+  beforeEach(() => {
+    actions = {
+      [SAVE_PNP_SETTINGS]: jest.fn(),
+      [RESET_PNP_SETTINGS]: jest.fn()
+    }
+    const pnp = cloneDeep(pnpStoreModule)
+    pnp.actions = { ...pnp.actions, ...actions }
+    store = new VueX.Store({
+      modules: { pnp }
+    })
+    wrapper = mount(PnpSettings, {
+      localVue,
+      vuetify,
+      store
+    })
+  })
+
+  afterEach(() => {
+    wrapper.destroy()
+    jest.resetAllMocks()
+  })
+
+  async function setField (ref, value) {
+    wrapper.findComponent({ ref }).find('input').setValue(value)
+    await flushPromises()
+  }
+
+  test('shows the current settings', () => {
+    const defaults = defaultPnpSettings()
+    expect(wrapper.findComponent({ ref: 'pnp-host' }).find('input').element.value).toBe(defaults.host)
+    expect(wrapper.findComponent({ ref: 'pnp-port' }).find('input').element.value).toBe(String(defaults.port))
+    expect(wrapper.findAll('.row').length).toBe(defaults.iceServers.length)
+  })
+
+  test('follows the settings loaded after start', async () => {
+    store.commit(PNP_SETTINGS, { host: 'pnp.example.com', port: 9779, secure: false, iceServers: [] })
+    await flushPromises()
+    expect(wrapper.vm.host).toBe('pnp.example.com')
+    expect(wrapper.vm.port).toBe(9779)
+    expect(wrapper.vm.iceServers).toEqual([])
+  })
+
+  test('saves valid settings', async () => {
+    store.commit(PNP_SETTINGS, { host: 'pnp.example.com', port: 9779, secure: false, iceServers: [] })
+    await flushPromises()
+    await wrapper.findComponent({ ref: 'ice-add-btn' }).trigger('click')
+    await setField('ice-urls-0', 'turn:turn.example.com:3478')
+    await setField('ice-username-0', 'ambianic')
+    await setField('ice-credential-0', 'secret')
+    await wrapper.findComponent({ ref: 'pnp-save-btn' }).trigger('click')
+    await flushPromises()
+    expect(actions[SAVE_PNP_SETTINGS]).toHaveBeenCalledTimes(1)
+    expect(actions[SAVE_PNP_SETTINGS].mock.calls[0][1]).toEqual({
+      host: 'pnp.example.com',
+      port: 9779,
+      secure: false,
+      iceServers: [{ urls: 'turn:turn.example.com:3478', username: 'ambianic', credential: 'secret' }]
+    })
+    const message = wrapper.findComponent({ ref: 'pnp-settings-message' })
+    expect(message.text()).toBe('Saved. Reconnecting with the new servers.')
+  })
+
+  test('cannot save or test invalid settings', async () => {
+    await setField('pnp-host', 'https://pnp.example.com/')
+    expect(wrapper.vm.isValid).toBeFalse()
+    expect(wrapper.findComponent({ ref: 'pnp-save-btn' }).props('disabled')).toBeTrue()
+    expect(wrapper.findComponent({ ref: 'pnp-test-btn' }).props('disabled')).toBeTrue()
+    await setField('pnp-host', 'pnp.example.com')
+    expect(wrapper.vm.isValid).toBeTrue()
+    // TURN servers without credentials
+    await wrapper.findComponent({ ref: 'ice-add-btn' }).trigger('click')
+    const index = wrapper.vm.iceServers.length - 1
+    await setField(`ice-urls-${index}`, 'turn:turn.example.com:3478')
+    expect(wrapper.vm.isValid).toBeFalse()
+    await wrapper.findComponent({ ref: `ice-remove-${index}` }).trigger('click')
+    await flushPromises()
+    expect(wrapper.vm.isValid).toBeTrue()
+  })
+
+  test('shows the result of the connection test', async () => {
+    testPnpConnection.mockResolvedValue()
+    await wrapper.findComponent({ ref: 'pnp-test-btn' }).trigger('click')
+    await flushPromises()
+    expect(testPnpConnection).toHaveBeenCalledWith(expect.objectContaining({ host: defaultPnpSettings().host }))
+    let message = wrapper.findComponent({ ref: 'pnp-settings-message' })
+    expect(message.text()).toBe('The signaling server answered.')
+    testPnpConnection.mockRejectedValue(Error('The signaling server did not answer in time.'))
+    await wrapper.findComponent({ ref: 'pnp-test-btn' }).trigger('click')
+    await flushPromises()
+    message = wrapper.findComponent({ ref: 'pnp-settings-message' })
+    expect(message.text()).toBe('The signaling server did not answer in time.')
+    // a test does not change the settings
+    expect(actions[SAVE_PNP_SETTINGS]).not.toHaveBeenCalled()
+  })
+
+  test('restores the default servers', async () => {
+    await wrapper.findComponent({ ref: 'pnp-defaults-btn' }).trigger('click')
+    await flushPromises()
+    expect(actions[RESET_PNP_SETTINGS]).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,82 @@
+import Vue from 'vue'
+import { mount } from '@vue/test-utils'
+import Vuetify from 'vuetify'
+import jsQR from 'jsqr'
+import flushPromises from 'flush-promises'
+import QrScanner from '@/components/QrScanner.vue'
+
+jest.mock('jsqr')
+
+Vue.use(Vuetify)
+
+describe('QrScanner', () => {
+  let track
+  let scanCallback
+  let context
+
+  beforeEach(() => {
+    track = { stop: jest.fn() }
+    navigator.mediaDevices = {
+      getUserMedia: jest.fn().mockResolvedValue({ getTracks: () => [track] })
+    }
+    jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockResolvedValue()
+    jest.spyOn(window.HTMLMediaElement.prototype, 'readyState', 'get').mockReturnValue(4)
+    jest.spyOn(window.HTMLVideoElement.prototype, 'videoWidth', 'get').mockReturnValue(1920)
+    jest.spyOn(window.HTMLVideoElement.prototype, 'videoHeight', 'get').mockReturnValue(1080)
+    context = {
+      drawImage: jest.fn(),
+      getImageData: jest.fn().mockReturnValue({ data: new Uint8ClampedArray(4), width: 1, height: 1 })
+    }
+    jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context)
+    jest.spyOn(window, 'setTimeout').mockImplementation(callback => {
+      scanCallback = callback
+      return 1
+    })
+    jest.spyOn(window, 'clearTimeout').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    delete navigator.mediaDevices
+  })
+
+  test('emits each new code in view and releases the camera', async () => {
+    const wrapper = mount(QrScanner)
+    await flushPromises()
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith(
+      { video: { facingMode: 'environment' }, audio: false })
+    // a few frames per second are scanned
+    expect(window.setTimeout).toHaveBeenLastCalledWith(expect.any(Function), 200)
+    jsQR.mockReturnValue({ data: 'a pairing code' })
+    scanCallback()
+    scanCallback()
+    jsQR.mockReturnValue(null)
+    scanCallback()
+    jsQR.mockReturnValue({ data: 'another code' })
+    scanCallback()
+    expect(wrapper.emitted().decode).toEqual([['a pairing code'], ['another code']])
+    wrapper.destroy()
+    expect(track.stop).toHaveBeenCalledTimes(1)
+    expect(window.clearTimeout).toHaveBeenCalledWith(1)
+  })
+
+  test('scales down large video frames before decoding', async () => {
+    const wrapper = mount(QrScanner)
+    await flushPromises()
+    jsQR.mockReturnValue(null)
+    scanCallback()
+    expect(context.drawImage).toHaveBeenCalledWith(expect.anything(), 0, 0, 640, 360)
+    expect(context.getImageData).toHaveBeenCalledWith(0, 0, 640, 360)
+    wrapper.destroy()
+  })
+
+  test('reports when the camera is not available', async () => {
+    navigator.mediaDevices.getUserMedia.mockRejectedValue(new Error('NotAllowedError'))
+    const cwarn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const wrapper = mount(QrScanner)
+    await flushPromises()
+    expect(wrapper.emitted().error[0][0]).toEqual(expect.stringContaining('Unable to access the camera'))
+    wrapper.destroy()
+    cwarn.mockRestore()
+  })
+})
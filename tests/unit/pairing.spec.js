@@ -0,0 +1,36 @@
+import { encodePairingCode, decodePairingCode } from '@/pairing'
+
+const PEER_ID = '0da0d142-9859-4371-96b7-decb180fcd37'
+
+describe('Pairing codes', () => {
+  test('a pairing code round trips', () => {
+    const code = encodePairingCode({ peerID: PEER_ID, publicKey: 'a_public_key', displayName: 'Front Door' })
+    expect(JSON.parse(code)).toEqual({
+      type: 'ambianic-pairing',
+      v: 1,
+      peer_id: PEER_ID,
+      public_key: 'a_public_key',
+      name: 'Front Door'
+    })
+    expect(decodePairingCode(code)).toEqual(
+      { peerID: PEER_ID, publicKey: 'a_public_key', displayName: 'Front Door' })
+  })
+
+  test('public key and display name are optional', () => {
+    const code = encodePairingCode({ peerID: PEER_ID })
+    expect(JSON.parse(code)).toEqual({ type: 'ambianic-pairing', v: 1, peer_id: PEER_ID })
+    expect(decodePairingCode(code)).toEqual(
+      { peerID: PEER_ID, publicKey: undefined, displayName: undefined })
+  })
+
+  test('other QR codes are rejected', () => {
+    expect(() => decodePairingCode('https://ambianic.ai'))
+      .toThrow('This is not an Ambianic pairing code.')
+    expect(() => decodePairingCode('{"peer_id": "' + PEER_ID + '"}'))
+      .toThrow('This is not an Ambianic pairing code.')
+    expect(() => decodePairingCode('{"type": "ambianic-pairing", "v": 2, "peer_id": "' + PEER_ID + '"}'))
+      .toThrow('newer version')
+    expect(() => decodePairingCode('{"type": "ambianic-pairing", "v": 1, "peer_id": "not-a-peer-id"}'))
+      .toThrow('does not hold a valid device ID')
+  })
+})
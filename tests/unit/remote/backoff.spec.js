@@ -0,0 +1,27 @@
+import { backoffDelay } from '@/remote/backoff'
+
+describe('backoffDelay', () => {
+  test('delay doubles with every attempt', () => {
+    const random = () => 1
+    expect(backoffDelay(1, { random })).toEqual(1000)
+    expect(backoffDelay(2, { random })).toEqual(2000)
+    expect(backoffDelay(4, { random })).toEqual(8000)
+  })
+
+  test('delay is capped', () => {
+    const random = () => 1
+    expect(backoffDelay(7, { random })).toEqual(60000)
+    expect(backoffDelay(50, { random })).toEqual(60000)
+    expect(backoffDelay(3, { baseDelay: 100, maxDelay: 300, random })).toEqual(300)
+  })
+
+  test('jitter takes off up to half of the delay', () => {
+    expect(backoffDelay(4, { random: () => 0 })).toEqual(4000)
+    expect(backoffDelay(4, { random: () => 0.5 })).toEqual(6000)
+    for (let i = 0; i < 20; i++) {
+      const delay = backoffDelay(3)
+      expect(delay).toBeGreaterThanOrEqual(2000)
+      expect(delay).toBeLessThanOrEqual(4000)
+    }
+  })
+})
@@ -0,0 +1,38 @@
+import { compress, decompress } from '@/remote/compression'
+import { CompressionStream, DecompressionStream, ReadableStream } from 'stream/web'
+import pako from 'pako'
+
+describe('PeerFetch payload compression', () => {
+  const text = 'Ambianic timeline page '.repeat(100)
+  const data = new Uint8Array(Buffer.from(text))
+
+  afterEach(() => {
+    delete global.CompressionStream
+    delete global.DecompressionStream
+    delete global.ReadableStream
+  })
+
+  test.each(['gzip', 'deflate'])('%s round trip with JS fallback', async (encoding) => {
+    const compressed = await compress(data, encoding)
+    expect(compressed.byteLength).toBeLessThan(data.byteLength)
+    const decompressed = await decompress(compressed, encoding)
+    expect(Buffer.from(decompressed).toString()).toEqual(text)
+  })
+
+  test.each(['gzip', 'deflate'])('%s round trip with compression streams', async (encoding) => {
+    global.CompressionStream = CompressionStream
+    global.DecompressionStream = DecompressionStream
+    global.ReadableStream = ReadableStream
+    const compressed = await compress(data, encoding)
+    // streams and the JS fallback produce compatible formats
+    const inflated = encoding === 'gzip' ? pako.ungzip(compressed) : pako.inflate(compressed)
+    expect(Buffer.from(inflated).toString()).toEqual(text)
+    const decompressed = await decompress(pako.gzip(data), 'gzip')
+    expect(Buffer.from(decompressed).toString()).toEqual(text)
+  })
+
+  test('unsupported encodings are rejected', async () => {
+    await expect(compress(data, 'br')).rejects.toThrow('Unsupported content encoding: br')
+    await expect(decompress(data, 'br')).rejects.toThrow('Unsupported content encoding: br')
+  })
+})
@@ -1,6 +1,10 @@
 import { EdgeAPI } from '@/remote/edgeAPI.js'
 import { PEER_CONNECTED, PEER_DISCONNECTED } from '@/store/mutation-types'
 import { ambianicConf } from '@/config.js'
+import { HTTP_TRANSPORT, WEBRTC_TRANSPORT } from '@/remote/transport'
+import { ResponseCache } from '@/remote/response-cache'
+import { PartialDownloads } from '@/remote/partial-downloads'
+import flushPromises from 'flush-promises'
 
 const API_HOST = ambianicConf.AMBIANIC_EDGE_HOST
 const API_SCHEMA = ambianicConf.AMBIANIC_EDGE_API_SCHEMA
@@ -135,7 +139,8 @@ describe('PeerRoom class coverage - p2p communication layer', () => {
     expect(pnp.state.peerFetch.request).toHaveBeenCalledTimes(1)
     expect(pnp.state.peerFetch.request).toHaveBeenCalledWith({
       method: 'GET',
-      url: `${API_SCHEMA}://${API_HOST}:${API_PORT}/${API_ROOT}/status`
+      url: `${API_SCHEMA}://${API_HOST}:${API_PORT}/${API_ROOT}/status`,
+      priority: 'high'
     })
 
     expect(response).toEqual('{ status: "OK",  version: "1.14.7"}')
@@ -149,7 +154,8 @@ describe('PeerRoom class coverage - p2p communication layer', () => {
     expect(pnp.state.peerFetch.request).toHaveBeenCalledTimes(1)
     expect(pnp.state.peerFetch.request).toHaveBeenCalledWith({
       method: 'GET',
-      url: `${API_SCHEMA}://${API_HOST}:${API_PORT}/${API_ROOT}/data/detection123/snapshot.png`
+      url: `${API_SCHEMA}://${API_HOST}:${API_PORT}/${API_ROOT}/data/detection123/snapshot.png`,
+      priority: 'low'
     })
     expect(localImageURL).toMatch('http://localstore')
   })
@@ -168,4 +174,315 @@ describe('PeerRoom class coverage - p2p communication layer', () => {
     const localImageURL = await edgeAPI.getLocalImageURL('detection123', 'snapshot.png')
     expect(localImageURL).toBeUndefined()
   })
+
+  test('EdgeAPI.getLocalImageURL() aborted', async () => {
+    const controller = new AbortController()
+    pnp.state.peerFetch.request = jest.fn().mockImplementation(async () => {
+      throw new DOMException('The request was aborted.', 'AbortError')
+    })
+    const cerror = jest.spyOn(console, 'error').mockImplementation(() => {})
+    const edgeAPI = new EdgeAPI(pnp)
+    const localImageURL = await edgeAPI.getLocalImageURL('detection123', 'snapshot.png',
+      { signal: controller.signal })
+    expect(pnp.state.peerFetch.request).toHaveBeenCalledWith({
+      method: 'GET',
+      url: `${API_SCHEMA}://${API_HOST}:${API_PORT}/${API_ROOT}/data/detection123/snapshot.png`,
+      priority: 'low',
+      // shared with identical requests, cancelled once all callers abort
+      signal: expect.any(AbortSignal)
+    })
+    expect(localImageURL).toBeUndefined()
+    expect(cerror).not.toHaveBeenCalled()
+    cerror.mockRestore()
+  })
+
+  test('EdgeAPI response interceptor rejects HTTP error status', async () => {
+    pnp.state.peerFetch.request = jest.fn().mockReturnValue({ header: { status: 404 } })
+    pnp.state.peerFetch.jsonify = jest.fn()
+    const edgeAPI = new EdgeAPI(pnp)
+    await expect(edgeAPI.getEdgeStatus()).rejects.toThrow('HTTP Error Code: 404')
+    expect(pnp.state.peerFetch.jsonify).not.toHaveBeenCalled()
+  })
+
+  test('EdgeAPI registers its own interceptors', async () => {
+    pnp.state.peerFetch.request = jest.fn().mockReturnValue({
+      header: { status: 200 },
+      content: '{"status": "OK"}'
+    })
+    pnp.state.peerFetch.jsonify = jest.fn().mockImplementation((data) => JSON.parse(data))
+    const edgeAPI = new EdgeAPI(pnp)
+    edgeAPI.interceptors.request.use(config => {
+      config.headers = { 'X-Client': 'ambianic-ui' }
+      return config
+    })
+    const onResponse = jest.fn().mockImplementation(response => response)
+    edgeAPI.interceptors.response.use(onResponse)
+    const status = await edgeAPI.getEdgeStatus()
+    expect(status).toEqual({ status: 'OK' })
+    expect(pnp.state.peerFetch.request).toHaveBeenCalledWith({
+      method: 'GET',
+      url: `${API_SCHEMA}://${API_HOST}:${API_PORT}/${API_ROOT}/status`,
+      priority: 'high',
+      headers: { 'X-Client': 'ambianic-ui' }
+    })
+    expect(onResponse).toHaveBeenCalledTimes(1)
+  })
+
+  test('EdgeAPI uses WebRTC until a transport is selected', () => {
+    const edgeAPI = new EdgeAPI(pnp)
+    expect(edgeAPI.activeTransport).toEqual(WEBRTC_TRANSPORT)
+  })
+
+  test('EdgeAPI selects the first available transport', async () => {
+    const lanResponse = { header: { status: 200 }, content: '{"status": "OK"}' }
+    const lan = {
+      name: HTTP_TRANSPORT,
+      isAvailable: jest.fn().mockResolvedValue(true),
+      request: jest.fn().mockResolvedValue(lanResponse)
+    }
+    pnp.state.peerFetch.request = jest.fn()
+    pnp.state.peerFetch.jsonify = jest.fn().mockImplementation((data) => JSON.parse(data))
+    const edgeAPI = new EdgeAPI(pnp, { transports: [lan] })
+    expect(await edgeAPI.selectTransport()).toEqual(HTTP_TRANSPORT)
+    expect(edgeAPI.activeTransport).toEqual(HTTP_TRANSPORT)
+    expect(await edgeAPI.getEdgeStatus()).toEqual({ status: 'OK' })
+    expect(lan.request).toHaveBeenCalledTimes(1)
+    expect(pnp.state.peerFetch.request).not.toHaveBeenCalled()
+  })
+
+  test('EdgeAPI only uses WebRTC until the edge reports its LAN origin', async () => {
+    pnp.state.peerFetch.request = jest.fn().mockResolvedValue({
+      header: { status: 200 },
+      content: '{"status": "OK", "lan_origin": "http://192.168.1.20:8778/"}'
+    })
+    pnp.state.peerFetch.jsonify = jest.fn().mockImplementation((data) => JSON.parse(data))
+    const edgeAPI = new EdgeAPI(pnp)
+    expect(edgeAPI.transports.map(transport => transport.name)).toEqual([WEBRTC_TRANSPORT])
+    const lanOrigin = await edgeAPI.getLanOrigin()
+    expect(lanOrigin).toEqual('http://192.168.1.20:8778')
+    edgeAPI.useLanOrigin(lanOrigin)
+    expect(edgeAPI.transports.map(transport => transport.name)).toEqual([HTTP_TRANSPORT, WEBRTC_TRANSPORT])
+    expect(edgeAPI.transports[0].origin).toEqual('http://192.168.1.20:8778')
+  })
+
+  test('EdgeAPI ignores LAN origins that are not http URLs', async () => {
+    pnp.state.peerFetch.request = jest.fn().mockResolvedValue({
+      header: { status: 200 },
+      content: '{"status": "OK", "lan_origin": "javascript:alert(1)"}'
+    })
+    pnp.state.peerFetch.jsonify = jest.fn().mockImplementation((data) => JSON.parse(data))
+    const edgeAPI = new EdgeAPI(pnp)
+    expect(await edgeAPI.getLanOrigin()).toBeUndefined()
+  })
+
+  test('EdgeAPI falls back to WebRTC when no transport is available', async () => {
+    const lan = {
+      name: HTTP_TRANSPORT,
+      isAvailable: jest.fn().mockResolvedValue(false),
+      request: jest.fn()
+    }
+    pnp.state.peerFetch.request = jest.fn().mockReturnValue({ header: { status: 200 } })
+    const edgeAPI = new EdgeAPI(pnp, { transports: [lan] })
+    expect(await edgeAPI.selectTransport()).toEqual(WEBRTC_TRANSPORT)
+    await edgeAPI._get({ url: 'status' })
+    expect(lan.request).not.toHaveBeenCalled()
+    expect(pnp.state.peerFetch.request).toHaveBeenCalledTimes(1)
+  })
+
+  test('EdgeAPI.getLocalImageURL() revalidates cached images', async () => {
+    window.URL.createObjectURL = jest.fn().mockReturnValue('blob:image')
+    const cache = new ResponseCache()
+    await cache.clear()
+    pnp.state.remotePeerId = 'cached_device'
+    pnp.state.peerFetch.request = jest.fn().mockResolvedValueOnce({
+      header: { status: 200, headers: { ETag: '"v1"' } },
+      content: new Uint8Array([1, 2, 3]).buffer
+    }).mockResolvedValueOnce({
+      header: { status: 304 }
+    })
+    const edgeAPI = new EdgeAPI(pnp, { responseCache: cache })
+    await edgeAPI.getLocalImageURL('detection123', 'cached.png')
+    const localImageURL = await edgeAPI.getLocalImageURL('detection123', 'cached.png')
+    expect(localImageURL).toEqual('blob:image')
+    expect(pnp.state.peerFetch.request).toHaveBeenCalledTimes(2)
+    expect(pnp.state.peerFetch.request.mock.calls[1][0].headers)
+      .toEqual({ 'If-None-Match': '"v1"' })
+    const blob = window.URL.createObjectURL.mock.calls[1][0]
+    expect(blob.size).toEqual(3)
+  })
+
+  test('EdgeAPI.getLocalImageURL() works when the cache fails', async () => {
+    window.URL.createObjectURL = jest.fn().mockReturnValue('blob:image')
+    const cache = {
+      get: jest.fn().mockRejectedValue(new Error('QuotaExceededError')),
+      put: jest.fn().mockRejectedValue(new Error('QuotaExceededError'))
+    }
+    const cwarn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    pnp.state.peerFetch.request = jest.fn().mockResolvedValue({
+      header: { status: 200 },
+      content: 'binary_image_data'
+    })
+    const edgeAPI = new EdgeAPI(pnp, { responseCache: cache })
+    const localImageURL = await edgeAPI.getLocalImageURL('detection123', 'snapshot.png')
+    expect(localImageURL).toEqual('blob:image')
+    expect(cwarn).toHaveBeenCalledTimes(2)
+    cwarn.mockRestore()
+  })
+
+  test('EdgeAPI.getLocalImageURL() resumes interrupted downloads', async () => {
+    window.URL.createObjectURL = jest.fn().mockReturnValue('blob:image')
+    const partialDownloads = new PartialDownloads()
+    pnp.state.remotePeerId = 'resume_device'
+    const timeout = Error('PeerFetch Timeout while waiting for response.')
+    timeout.response = {
+      header: { status: 200, content_length: 5, headers: { ETag: '"v1"' } },
+      content: new Uint8Array([1, 2]).buffer,
+      receivedAll: false
+    }
+    pnp.state.peerFetch.request = jest.fn().mockRejectedValueOnce(timeout)
+      .mockImplementationOnce(async (config) => {
+        config.onDownloadProgress({ loaded: 1, total: 3 })
+        return {
+          header: {
+            status: 206,
+            content_length: 3,
+            headers: { ETag: '"v1"', 'Content-Range': 'bytes 2-4/5' }
+          },
+          content: new Uint8Array([3, 4, 5]).buffer
+        }
+      })
+    const responseCache = { get: jest.fn(), put: jest.fn() }
+    const cerror = jest.spyOn(console, 'error').mockImplementation(() => {})
+    const edgeAPI = new EdgeAPI(pnp, { partialDownloads, responseCache })
+    expect(await edgeAPI.getLocalImageURL('detection123', 'resume.jpg')).toBeUndefined()
+    const partial = await partialDownloads.get('resume_device', 'data/detection123/resume.jpg')
+    expect(partial.content.byteLength).toEqual(2)
+    expect(partial.total).toEqual(5)
+    const onDownloadProgress = jest.fn()
+    const localImageURL = await edgeAPI.getLocalImageURL('detection123', 'resume.jpg',
+      { onDownloadProgress })
+    expect(localImageURL).toEqual('blob:image')
+    const resumed = pnp.state.peerFetch.request.mock.calls[1][0]
+    expect(resumed.headers).toEqual({ Range: 'bytes=2-', 'If-Range': '"v1"' })
+    // progress covers the whole image
+    expect(onDownloadProgress).toHaveBeenCalledWith({ loaded: 3, total: 5, progress: 0.6 })
+    const [, , response] = responseCache.put.mock.calls[0]
+    expect(response.header.status).toEqual(200)
+    expect(Array.from(new Uint8Array(response.content))).toEqual([1, 2, 3, 4, 5])
+    expect(await partialDownloads.get('resume_device', 'data/detection123/resume.jpg'))
+      .toBeUndefined()
+    cerror.mockRestore()
+  })
+
+  test('EdgeAPI.getLocalImageURL() restarts downloads of changed images', async () => {
+    window.URL.createObjectURL = jest.fn().mockReturnValue('blob:image')
+    const partialDownloads = new PartialDownloads()
+    pnp.state.remotePeerId = 'resume_device'
+    const path = 'data/detection123/changed.jpg'
+    await partialDownloads.put('resume_device', path, {
+      content: new Uint8Array([1, 2]).buffer,
+      total: 5,
+      header: { headers: { ETag: '"v1"' } }
+    })
+    pnp.state.peerFetch.request = jest.fn().mockResolvedValue({
+      header: { status: 200, headers: { ETag: '"v2"' } },
+      content: new Uint8Array([9, 9, 9]).buffer
+    })
+    const edgeAPI = new EdgeAPI(pnp, { partialDownloads })
+    await edgeAPI.getLocalImageURL('detection123', 'changed.jpg')
+    const blob = window.URL.createObjectURL.mock.calls[0][0]
+    expect(blob.size).toEqual(3)
+    expect(await partialDownloads.get('resume_device', path)).toBeUndefined()
+  })
+
+  test('EdgeAPI.getLocalImageURL() starts over when the range is not satisfiable', async () => {
+    window.URL.createObjectURL = jest.fn().mockReturnValue('blob:image')
+    const partialDownloads = new PartialDownloads()
+    pnp.state.remotePeerId = 'resume_device'
+    const path = 'data/detection123/shrunk.jpg'
+    await partialDownloads.put('resume_device', path, {
+      content: new Uint8Array([1, 2]).buffer,
+      total: 5,
+      header: { headers: { 'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT' } }
+    })
+    pnp.state.peerFetch.request = jest.fn()
+      .mockResolvedValueOnce({ header: { status: 416 } })
+      .mockResolvedValueOnce({
+        header: { status: 200 },
+        content: new Uint8Array([7]).buffer
+      })
+    const edgeAPI = new EdgeAPI(pnp, { partialDownloads })
+    expect(await edgeAPI.getLocalImageURL('detection123', 'shrunk.jpg')).toEqual('blob:image')
+    expect(pnp.state.peerFetch.request.mock.calls[1][0].headers).toBeUndefined()
+    expect(await partialDownloads.get('resume_device', path)).toBeUndefined()
+  })
+
+  test('EdgeAPI shares identical GET requests in flight', async () => {
+    let respond
+    pnp.state.remotePeerId = 'dedup_device'
+    pnp.state.peerFetch.request = jest.fn().mockImplementation(() =>
+      new Promise(resolve => { respond = resolve }))
+    pnp.state.peerFetch.jsonify = jest.fn().mockImplementation(content => JSON.parse(content))
+    const edgeAPI = new EdgeAPI(pnp)
+    const first = edgeAPI.getEdgeStatus()
+    const second = edgeAPI.getEdgeStatus()
+    await flushPromises()
+    respond({ header: { status: 200 }, content: '{"status":"OK"}' })
+    expect(await first).toEqual({ status: 'OK' })
+    expect(await second).toEqual({ status: 'OK' })
+    expect(pnp.state.peerFetch.request).toHaveBeenCalledTimes(1)
+    // once settled, the next call goes to the device again
+    pnp.state.peerFetch.request.mockResolvedValue({ header: { status: 200 }, content: '{}' })
+    await edgeAPI.getEdgeStatus()
+    expect(pnp.state.peerFetch.request).toHaveBeenCalledTimes(2)
+  })
+
+  test('EdgeAPI does not share GET requests with different params', async () => {
+    pnp.state.peerFetch.request = jest.fn().mockResolvedValue({ header: { status: 200 }, content: '[]' })
+    pnp.state.peerFetch.jsonify = jest.fn().mockReturnValue([])
+    const edgeAPI = new EdgeAPI(pnp)
+    await Promise.all([edgeAPI.getTimelinePage(1), edgeAPI.getTimelinePage(2)])
+    expect(pnp.state.peerFetch.request).toHaveBeenCalledTimes(2)
+  })
+  test('EdgeAPI.subscribeTimeline() needs the events capability', () => {
+    pnp.state.peerFetch.hasCapability = jest.fn().mockReturnValue(false)
+    pnp.state.peerFetch.subscribe = jest.fn()
+    const edgeAPI = new EdgeAPI(pnp)
+    expect(edgeAPI.subscribeTimeline(jest.fn())).toBeUndefined()
+    expect(pnp.state.peerFetch.subscribe).not.toHaveBeenCalled()
+  })
+
+  test('EdgeAPI.subscribeTimeline() subscribes to the timeline topic', () => {
+    const unsubscribe = jest.fn()
+    pnp.state.peerFetch.hasCapability = jest.fn().mockReturnValue(true)
+    pnp.state.peerFetch.subscribe = jest.fn().mockReturnValue(unsubscribe)
+    const edgeAPI = new EdgeAPI(pnp)
+    const listener = jest.fn()
+    const onOpen = jest.fn()
+    const onClose = jest.fn()
+    expect(edgeAPI.subscribeTimeline(listener, { lastEventId: 'e7', onOpen, onClose }))
+      .toBe(unsubscribe)
+    expect(pnp.state.peerFetch.hasCapability).toHaveBeenCalledWith('events')
+    expect(pnp.state.peerFetch.subscribe).toHaveBeenCalledWith('timeline', listener,
+      { lastEventId: 'e7', onOpen, onClose })
+  })
+  test('EdgeAPI.uploadFile() puts the file to the edge device', async () => {
+    pnp.state.peerFetch.request = jest.fn().mockResolvedValue(
+      { header: { status: 201 }, content: '{"size": 4}' })
+    pnp.state.peerFetch.jsonify = jest.fn().mockImplementation(content => JSON.parse(content))
+    const edgeAPI = new EdgeAPI(pnp)
+    const file = new Uint8Array([1, 2, 3, 4])
+    const abortController = new AbortController()
+    const onUploadProgress = jest.fn()
+    const result = await edgeAPI.uploadFile('faces/Jane Doe.jpg', file,
+      { signal: abortController.signal, onUploadProgress })
+    expect(result).toEqual({ size: 4 })
+    expect(pnp.state.peerFetch.request).toHaveBeenCalledWith({
+      method: 'PUT',
+      url: `${API_SCHEMA}://${API_HOST}:${API_PORT}/${API_ROOT}/faces/Jane%20Doe.jpg`,
+      data: file,
+      signal: abortController.signal,
+      onUploadProgress
+    })
+  })
 })
@@ -0,0 +1,134 @@
+import { EventChannel } from '@/remote/event-channel'
+
+function mockDataConnection () {
+  const handlers = {}
+  return {
+    handlers,
+    on: jest.fn((event, handler) => { handlers[event] = handler }),
+    send: jest.fn(),
+    close: jest.fn()
+  }
+}
+
+function sentMessages (dataConnection) {
+  return dataConnection.send.mock.calls.map(call => JSON.parse(call[0]))
+}
+
+describe('EventChannel', () => {
+  let channel
+
+  beforeEach(() => {
+    channel = new EventChannel({ textDecode: data => Buffer.from(data).toString() })
+  })
+
+  test('subscriptions made before the channel opens are sent on open', () => {
+    const dataConnection = mockDataConnection()
+    channel.subscribe('timeline', jest.fn())
+    channel.attach(dataConnection)
+    expect(dataConnection.send).not.toHaveBeenCalled()
+    dataConnection.handlers.open()
+    expect(sentMessages(dataConnection)).toEqual([
+      { type: 'subscribe', id: 1, topic: 'timeline' }
+    ])
+    channel.subscribe('status', jest.fn(), { lastEventId: 'e7' })
+    expect(sentMessages(dataConnection)[1]).toEqual(
+      { type: 'subscribe', id: 2, topic: 'status', last_event_id: 'e7' })
+  })
+
+  test('events go to the listener of their subscription', () => {
+    const dataConnection = mockDataConnection()
+    const timelineListener = jest.fn()
+    const statusListener = jest.fn()
+    channel.subscribe('timeline', timelineListener)
+    channel.subscribe('status', statusListener)
+    channel.attach(dataConnection)
+    dataConnection.handlers.open()
+    dataConnection.handlers.data(
+      '{"type": "event", "id": 1, "event_id": "e1", "data": {"label": "person"}}')
+    // binary messages are decoded to text
+    dataConnection.handlers.data(
+      Buffer.from('{"type": "event", "id": 2, "event_id": "s1", "data": "OK"}'))
+    expect(timelineListener).toHaveBeenCalledTimes(1)
+    expect(timelineListener).toHaveBeenCalledWith(
+      { label: 'person' }, { topic: 'timeline', eventId: 'e1' })
+    expect(statusListener).toHaveBeenCalledWith('OK', { topic: 'status', eventId: 's1' })
+  })
+
+  test('a new channel resumes from the last event received', () => {
+    const first = mockDataConnection()
+    channel.subscribe('timeline', jest.fn())
+    channel.attach(first)
+    first.handlers.open()
+    first.handlers.data('{"type": "event", "id": 1, "event_id": "e5", "data": {}}')
+    const second = mockDataConnection()
+    channel.attach(second)
+    expect(first.close).toHaveBeenCalledTimes(1)
+    // messages on the replaced channel are ignored
+    first.handlers.data('{"type": "event", "id": 1, "event_id": "e6", "data": {}}')
+    second.handlers.open()
+    expect(sentMessages(second)).toEqual([
+      { type: 'subscribe', id: 1, topic: 'timeline', last_event_id: 'e5' }
+    ])
+  })
+
+  test('unsubscribe stops delivery and tells the remote peer', () => {
+    const dataConnection = mockDataConnection()
+    const listener = jest.fn()
+    const unsubscribe = channel.subscribe('timeline', listener)
+    channel.attach(dataConnection)
+    dataConnection.handlers.open()
+    unsubscribe()
+    unsubscribe()
+    expect(sentMessages(dataConnection)).toEqual([
+      { type: 'subscribe', id: 1, topic: 'timeline' },
+      { type: 'unsubscribe', id: 1 }
+    ])
+    dataConnection.handlers.data('{"type": "event", "id": 1, "event_id": "e1", "data": {}}')
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  test('malformed messages and listener errors do not break the channel', () => {
+    const dataConnection = mockDataConnection()
+    const listener = jest.fn()
+      .mockImplementationOnce(() => { throw new Error('listener failed') })
+    channel.subscribe('timeline', listener)
+    channel.attach(dataConnection)
+    dataConnection.handlers.open()
+    dataConnection.handlers.data('not json')
+    dataConnection.handlers.data('{"type": "surprise", "id": 1}')
+    dataConnection.handlers.data('{"type": "event", "id": 1, "event_id": "e1", "data": {}}')
+    dataConnection.handlers.data('{"type": "event", "id": 1, "event_id": "e2", "data": {}}')
+    expect(listener).toHaveBeenCalledTimes(2)
+  })
+
+  test('subscribers learn when events start and stop flowing', () => {
+    const onOpen = jest.fn()
+    const onClose = jest.fn()
+    channel.subscribe('timeline', jest.fn(), { onOpen, onClose })
+    const first = mockDataConnection()
+    channel.attach(first)
+    expect(onOpen).not.toHaveBeenCalled()
+    first.handlers.open()
+    expect(onOpen).toHaveBeenCalledTimes(1)
+    first.handlers.close()
+    expect(onClose).toHaveBeenCalledTimes(1)
+    const second = mockDataConnection()
+    channel.attach(second)
+    second.handlers.open()
+    expect(onOpen).toHaveBeenCalledTimes(2)
+    // replacing an open channel closes it
+    channel.attach(mockDataConnection())
+    expect(onClose).toHaveBeenCalledTimes(2)
+    second.handlers.close()
+    expect(onClose).toHaveBeenCalledTimes(2)
+  })
+
+  test('subscriptions are not sent after the channel closes', () => {
+    const dataConnection = mockDataConnection()
+    channel.attach(dataConnection)
+    dataConnection.handlers.open()
+    dataConnection.handlers.close()
+    channel.subscribe('timeline', jest.fn())
+    expect(dataConnection.send).not.toHaveBeenCalled()
+  })
+})
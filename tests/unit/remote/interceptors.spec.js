@@ -0,0 +1,51 @@
+import { InterceptorManager, createInterceptors, dispatchWithInterceptors } from '@/remote/interceptors'
+
+describe('Interceptors - request and response middleware', () => {
+  test('InterceptorManager use() and eject()', () => {
+    const manager = new InterceptorManager()
+    const first = jest.fn()
+    const second = jest.fn()
+    const firstId = manager.use(first)
+    const secondId = manager.use(second)
+    expect(firstId).toEqual(0)
+    expect(secondId).toEqual(1)
+    manager.eject(firstId)
+    const handlers = []
+    manager.forEach(handler => handlers.push(handler.fulfilled))
+    expect(handlers).toEqual([second])
+    manager.clear()
+    manager.forEach(handler => handlers.push(handler.fulfilled))
+    expect(handlers).toEqual([second])
+  })
+
+  test('dispatchWithInterceptors() runs interceptors in axios order', async () => {
+    const interceptors = createInterceptors()
+    const calls = []
+    interceptors.request.use(config => { calls.push('request 1'); return { ...config, first: true } })
+    interceptors.request.use(config => { calls.push('request 2'); return { ...config, second: true } })
+    interceptors.response.use(response => { calls.push('response 1'); return response + 1 })
+    interceptors.response.use(response => { calls.push('response 2'); return response * 10 })
+    const dispatch = jest.fn().mockImplementation(async () => { calls.push('dispatch'); return 1 })
+    const response = await dispatchWithInterceptors(interceptors, { url: 'status' }, dispatch)
+    expect(calls).toEqual(['request 2', 'request 1', 'dispatch', 'response 1', 'response 2'])
+    expect(dispatch).toHaveBeenCalledWith({ url: 'status', first: true, second: true })
+    expect(response).toEqual(20)
+  })
+
+  test('dispatchWithInterceptors() lets a response interceptor recover from errors', async () => {
+    const interceptors = createInterceptors()
+    let attempts = 0
+    const dispatch = jest.fn().mockImplementation(async (config) => {
+      attempts++
+      if (attempts === 1) {
+        throw Error('PeerFetch Timeout while waiting for response.')
+      }
+      return 'ok'
+    })
+    // retry once on error
+    interceptors.response.use(undefined, error => dispatch(error.config))
+    const response = await dispatchWithInterceptors(interceptors, { url: 'status' }, dispatch)
+    expect(response).toEqual('ok')
+    expect(dispatch).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,45 @@
+import { LinkMetrics } from '@/remote/link-metrics'
+
+describe('LinkMetrics', () => {
+  test('round-trip times are smoothed', () => {
+    const metrics = new LinkMetrics()
+    metrics.recordRtt(80)
+    expect(metrics.snapshot()).toMatchObject({ rtt: 80, rttSmoothed: 80, rttMin: 80 })
+    metrics.recordRtt(160)
+    expect(metrics.snapshot()).toMatchObject({ rtt: 160, rttSmoothed: 90, rttMin: 80 })
+  })
+
+  test('throughput is averaged over the window', () => {
+    let now = 10000
+    const metrics = new LinkMetrics({ windowMs: 2000, now: () => now })
+    metrics.recordBytes('received', 1000)
+    now += 1000
+    metrics.recordBytes('received', 3000)
+    metrics.recordBytes('sent', 500)
+    expect(metrics.bytesPerSecond('received')).toEqual(2000)
+    expect(metrics.bytesPerSecond('sent')).toEqual(250)
+    // the first sample falls out of the window
+    now += 1000
+    expect(metrics.bytesPerSecond('received')).toEqual(1500)
+    now += 5000
+    expect(metrics.snapshot().bytesPerSecondReceived).toEqual(0)
+  })
+
+  test('timeout and error rates count per request', () => {
+    const metrics = new LinkMetrics()
+    expect(metrics.snapshot()).toMatchObject({ timeoutRate: 0, errorRate: 0 })
+    for (let i = 0; i < 4; i++) {
+      metrics.recordRequest()
+    }
+    metrics.recordTimeout()
+    metrics.recordError()
+    metrics.recordError()
+    expect(metrics.snapshot()).toMatchObject({
+      requests: 4,
+      timeouts: 1,
+      errors: 2,
+      timeoutRate: 0.25,
+      errorRate: 0.5
+    })
+  })
+})
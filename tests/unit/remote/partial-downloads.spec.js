@@ -0,0 +1,62 @@
+import {
+  PartialDownloads,
+  rangeHeaders,
+  parseContentRange,
+  concatContent
+} from '@/remote/partial-downloads'
+
+describe('PartialDownloads', () => {
+  let partialDownloads
+
+  beforeEach(async () => {
+    partialDownloads = new PartialDownloads({ maxEntries: 2 })
+    await partialDownloads._table.clear()
+  })
+
+  test('put() and get() keep content and validators', async () => {
+    await partialDownloads.put('device1', 'data/a.jpg', {
+      content: new Uint8Array([1, 2]).buffer,
+      total: 10,
+      header: { headers: { etag: '"v1"', 'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT' } }
+    })
+    const entry = await partialDownloads.get('device1', 'data/a.jpg')
+    expect(entry.content.byteLength).toEqual(2)
+    expect(entry.total).toEqual(10)
+    expect(entry.etag).toEqual('"v1"')
+    expect(entry.lastModified).toEqual('Wed, 21 Oct 2015 07:28:00 GMT')
+    await partialDownloads.delete('device1', 'data/a.jpg')
+    expect(await partialDownloads.get('device1', 'data/a.jpg')).toBeUndefined()
+  })
+
+  test('put() drops the oldest entries over the limit', async () => {
+    const now = jest.spyOn(Date, 'now')
+    for (const [i, path] of ['a', 'b', 'c'].entries()) {
+      now.mockReturnValue(1000 + i)
+      await partialDownloads.put('device1', path, { content: new ArrayBuffer(1), total: 2 })
+    }
+    now.mockRestore()
+    expect(await partialDownloads.get('device1', 'a')).toBeUndefined()
+    expect(await partialDownloads.get('device1', 'c')).toBeDefined()
+  })
+
+  test('rangeHeaders() resumes only with a validator', () => {
+    const content = new ArrayBuffer(4)
+    expect(rangeHeaders({ content, etag: '"v1"', lastModified: 'yesterday' }))
+      .toEqual({ Range: 'bytes=4-', 'If-Range': '"v1"' })
+    expect(rangeHeaders({ content, lastModified: 'yesterday' }))
+      .toEqual({ Range: 'bytes=4-', 'If-Range': 'yesterday' })
+    expect(rangeHeaders({ content })).toEqual({})
+  })
+
+  test('parseContentRange() parses byte ranges', () => {
+    expect(parseContentRange('bytes 4-9/10')).toEqual({ start: 4, end: 9, total: 10 })
+    expect(parseContentRange('bytes 4-9/*')).toEqual({ start: 4, end: 9, total: undefined })
+    expect(parseContentRange('bytes */10')).toBeUndefined()
+    expect(parseContentRange(undefined)).toBeUndefined()
+  })
+
+  test('concatContent() joins byte arrays', () => {
+    const content = concatContent(new Uint8Array([1]).buffer, new Uint8Array([2, 3]).buffer)
+    expect(Array.from(new Uint8Array(content))).toEqual([1, 2, 3])
+  })
+})
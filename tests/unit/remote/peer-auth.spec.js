@@ -0,0 +1,77 @@
+import { webcrypto } from 'crypto'
+import {
+  createNonce,
+  challengeMessage,
+  parseChallengeResponse,
+  verifyChallengeResponse
+} from '@/remote/peer-auth'
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' }
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' }
+
+async function edgeKeyPair () {
+  const { privateKey, publicKey } = await webcrypto.subtle.generateKey(
+    KEY_ALGORITHM, true, ['sign', 'verify'])
+  const spki = await webcrypto.subtle.exportKey('spki', publicKey)
+  return { privateKey, publicKey: Buffer.from(spki).toString('base64') }
+}
+
+async function sign (privateKey, message) {
+  const signature = await webcrypto.subtle.sign(
+    SIGNATURE_ALGORITHM, privateKey, Buffer.from(message))
+  return Buffer.from(signature).toString('base64')
+}
+
+describe('Challenge-response authentication', () => {
+  test('nonces are random and base64 encoded', () => {
+    const nonce = createNonce({ crypto: webcrypto })
+    expect(Buffer.from(nonce, 'base64')).toHaveLength(32)
+    expect(createNonce({ crypto: webcrypto })).not.toEqual(nonce)
+  })
+
+  test('challenge responses are parsed from JSON', () => {
+    expect(parseChallengeResponse('{"public_key": "a_key", "signature": "a_signature"}'))
+      .toEqual({ publicKey: 'a_key', signature: 'a_signature' })
+    // answers of edge devices that predate challenges
+    expect(parseChallengeResponse('Ambianic Edge')).toBeUndefined()
+    expect(parseChallengeResponse('{"name": "Ambianic Edge"}')).toBeUndefined()
+    expect(parseChallengeResponse('null')).toBeUndefined()
+  })
+
+  test('a signature by the edge device key verifies', async () => {
+    const { privateKey, publicKey } = await edgeKeyPair()
+    const nonce = createNonce({ crypto: webcrypto })
+    const signature = await sign(privateKey, challengeMessage('an_edge_peer_id', nonce))
+    const response = { publicKey, signature, nonce }
+    expect(await verifyChallengeResponse({ ...response, peerID: 'an_edge_peer_id' },
+      { crypto: webcrypto })).toBeTrue()
+    // the signature is bound to the peer id and the nonce
+    expect(await verifyChallengeResponse({ ...response, peerID: 'another_peer_id' },
+      { crypto: webcrypto })).toBeFalse()
+    expect(await verifyChallengeResponse({ ...response, peerID: 'an_edge_peer_id', nonce: 'replayed' },
+      { crypto: webcrypto })).toBeFalse()
+  })
+
+  test('a signature by another key does not verify', async () => {
+    const edge = await edgeKeyPair()
+    const impostor = await edgeKeyPair()
+    const signature = await sign(impostor.privateKey, challengeMessage('an_edge_peer_id', 'a_nonce'))
+    expect(await verifyChallengeResponse(
+      { publicKey: edge.publicKey, signature, peerID: 'an_edge_peer_id', nonce: 'a_nonce' },
+      { crypto: webcrypto })).toBeFalse()
+  })
+
+  test('malformed keys do not verify', async () => {
+    const cwarn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    expect(await verifyChallengeResponse(
+      { publicKey: 'bm90IGEga2V5', signature: 'c2lnbmF0dXJl', peerID: 'an_edge_peer_id', nonce: 'a_nonce' },
+      { crypto: webcrypto })).toBeFalse()
+    cwarn.mockRestore()
+  })
+
+  test('verification needs WebCrypto', async () => {
+    await expect(verifyChallengeResponse(
+      { publicKey: 'a_key', signature: 'a_signature', peerID: 'an_edge_peer_id', nonce: 'a_nonce' },
+      { crypto: {} })).rejects.toThrow('WebCrypto is not available')
+  })
+})
@@ -0,0 +1,66 @@
+import { PeerFetch, PROTOCOL_VERSION, CAPABILITY_CHUNKING } from '@/remote/peer-fetch'
+
+/**
+ * Measures the round trip latency PeerFetch adds on top of the data channel.
+ *
+ * The mock remote peer responds on the next event loop turn,
+ * so any measured latency is overhead of PeerFetch itself.
+ * Before responses were delivered from the data handler,
+ * each request waited for a 200ms polling cycle
+ * and every next request waited another 50ms to be sent.
+ */
+describe('PeerFetch response latency benchmark', () => {
+  const REQUEST_COUNT = 20
+
+  function mockRemotePeer () {
+    const dataConnection = jest.fn()
+    const handlers = {}
+    dataConnection.on = jest.fn().mockImplementation((event, handler) => {
+      handlers[event] = handler
+    })
+    dataConnection.send = jest.fn().mockImplementation((jsonRequest) => {
+      const { id } = JSON.parse(jsonRequest)
+      setImmediate(() => {
+        handlers.data(`{"id": ${id}, "status": 200, "content_length": 0}`)
+      })
+    })
+    return dataConnection
+  }
+
+  afterEach(() => {
+    jest.clearAllTimers()
+  })
+
+  test('sequential requests resolve without polling delay', async () => {
+    jest.useRealTimers()
+    const peerFetch = new PeerFetch(mockRemotePeer())
+    peerFetch._stopPing()
+    peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING])
+    const latencies = []
+    for (let i = 0; i < REQUEST_COUNT; i++) {
+      const start = Date.now()
+      await peerFetch.get('status')
+      latencies.push(Date.now() - start)
+    }
+    const total = latencies.reduce((sum, latency) => sum + latency, 0)
+    const average = total / REQUEST_COUNT
+    // the former polling loop needed at least 200ms per request
+    expect(average).toBeLessThan(50)
+  })
+
+  test('concurrent requests resolve without polling delay', async () => {
+    jest.useRealTimers()
+    const peerFetch = new PeerFetch(mockRemotePeer())
+    peerFetch._stopPing()
+    peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING])
+    const start = Date.now()
+    const requests = []
+    for (let i = 0; i < REQUEST_COUNT; i++) {
+      requests.push(peerFetch.get('status'))
+    }
+    await Promise.all(requests)
+    const total = Date.now() - start
+    // the former FIFO queue needed at least 250ms per request
+    expect(total).toBeLessThan(REQUEST_COUNT * 50)
+  })
+})
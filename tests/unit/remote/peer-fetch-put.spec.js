@@ -37,13 +37,106 @@ describe('PeerFetch class coverage - p2p communication layer', () => {
     const mockResponse = jest.fn()
     const peerFetch = new PeerFetch(dataConnection)
     dataConnection.send = jest.fn().mockImplementation((jsonRequest) => {
-      const pair = peerFetch._requestMap.get(peerFetch._nextTicketInLine)
+      const pair = peerFetch._requestMap.get(JSON.parse(jsonRequest).id)
       pair.response = mockResponse
       pair.response.receivedAll = true
+      peerFetch._deliverResponses()
     })
     jest.useRealTimers()
     const nextResponse = await peerFetch.get({ url: '/testlink', params: { a: 'one', b: 'two' } })
     expect(dataConnection.send).toHaveBeenCalledTimes(1)
     expect(nextResponse).toBe(mockResponse)
   })
+
+  /**
+   * Return the request packet and the reassembled request body
+   * sent over a mock data connection.
+   */
+  function sentRequest (dataConnection) {
+    const [jsonRequest, ...frames] = dataConnection.send.mock.calls.map(call => call[0])
+    const request = JSON.parse(jsonRequest)
+    const body = Buffer.concat(frames.map(frame => {
+      const view = new DataView(frame)
+      expect(view.getUint32(0)).toEqual(request.id)
+      return Buffer.from(frame, 8)
+    }))
+    return { request, body, frames }
+  }
+
+  function mockDataConnection (peerFetchRef) {
+    const dataConnection = jest.fn()
+    dataConnection.on = jest.fn()
+    dataConnection.send = jest.fn().mockImplementation((message) => {
+      if (typeof message === 'string') {
+        const pair = peerFetchRef.peerFetch._requestMap.get(JSON.parse(message).id)
+        pair.response = { header: { status: 204 }, receivedAll: true }
+        peerFetchRef.peerFetch._deliverResponses()
+      }
+    })
+    return dataConnection
+  }
+
+  test('PeerFetch put() sends JSON body and headers', async () => {
+    const ref = {}
+    const dataConnection = mockDataConnection(ref)
+    ref.peerFetch = new PeerFetch(dataConnection)
+    jest.useRealTimers()
+    const response = await ref.peerFetch.put('/device/display_name',
+      { display_name: 'Front Door' },
+      { headers: { Authorization: 'Bearer token' } })
+    expect(response.header.status).toEqual(204)
+    const { request, body } = sentRequest(dataConnection)
+    expect(request.method).toEqual('PUT')
+    expect(request.headers).toEqual({
+      Authorization: 'Bearer token',
+      'Content-Type': 'application/json'
+    })
+    expect(request.content_length).toEqual(body.length)
+    expect(JSON.parse(body.toString())).toEqual({ display_name: 'Front Door' })
+  })
+
+  test('PeerFetch post() sends binary body in multiple frames', async () => {
+    const ref = {}
+    const dataConnection = mockDataConnection(ref)
+    ref.peerFetch = new PeerFetch(dataConnection)
+    jest.useRealTimers()
+    const data = new Uint8Array(40 * 1024).map((v, i) => i % 256)
+    await ref.peerFetch.post('/upload', data)
+    const { request, body, frames } = sentRequest(dataConnection)
+    expect(request.method).toEqual('POST')
+    expect(request.headers['Content-Type']).toEqual('application/octet-stream')
+    expect(request.content_length).toEqual(data.byteLength)
+    expect(frames).toHaveLength(3)
+    frames.forEach((frame, seq) => expect(new DataView(frame).getUint32(4)).toEqual(seq))
+    expect(new Uint8Array(body)).toEqual(data)
+  })
+
+  test('PeerFetch patch() keeps explicit Content-Type header', async () => {
+    const ref = {}
+    const dataConnection = mockDataConnection(ref)
+    ref.peerFetch = new PeerFetch(dataConnection)
+    jest.useRealTimers()
+    await ref.peerFetch.patch('/config', 'key: value', { headers: { 'content-type': 'application/yaml' } })
+    const { request, body } = sentRequest(dataConnection)
+    expect(request.method).toEqual('PATCH')
+    expect(request.headers).toEqual({ 'content-type': 'application/yaml' })
+    expect(body.toString()).toEqual('key: value')
+  })
+
+  test('PeerFetch delete() and fetch() without body', async () => {
+    const ref = {}
+    const dataConnection = mockDataConnection(ref)
+    ref.peerFetch = new PeerFetch(dataConnection)
+    jest.useRealTimers()
+    await ref.peerFetch.delete('/device/face/1')
+    let { request, frames } = sentRequest(dataConnection)
+    expect(request).toEqual({ id: 0, url: '/device/face/1?', method: 'DELETE' })
+    expect(frames).toHaveLength(0)
+    dataConnection.send.mockClear()
+    await ref.peerFetch.fetch('/notifications', { method: 'POST', body: 'hi', headers: { 'X-Test': '1' } });
+    ({ request, frames } = sentRequest(dataConnection))
+    expect(request.method).toEqual('POST')
+    expect(request.headers['X-Test']).toEqual('1')
+    expect(frames).toHaveLength(1)
+  })
 })
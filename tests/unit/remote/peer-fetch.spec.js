@@ -1,6 +1,24 @@
-import { PeerFetch } from '@/remote/peer-fetch'
+import {
+  PeerFetch,
+  PRIORITY_HIGH,
+  PRIORITY_NORMAL,
+  PRIORITY_LOW,
+  PROTOCOL_VERSION,
+  CAPABILITY_CHUNKING,
+  CAPABILITY_MULTIPLEXING,
+  CAPABILITY_COMPRESSION,
+  CAPABILITY_EVENTS
+} from '@/remote/peer-fetch'
+import pako from 'pako'
 import fetchMock from 'jest-fetch-mock'
 
+// let pending promise callbacks run without advancing (possibly fake) timers
+async function flushMicrotasks () {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve()
+  }
+}
+
 describe('PeerFetch class coverage - p2p communication layer', () => {
 // global
 
@@ -37,8 +55,9 @@ describe('PeerFetch class coverage - p2p communication layer', () => {
     const peerFetch = new PeerFetch(dataConnection)
     expect(peerFetch._dataConnection).toBe(dataConnection)
     expect(peerFetch._requestMap).toBeEmpty()
-    expect(peerFetch._nextAvailableTicket).toEqual(0)
-    expect(peerFetch._nextTicketInLine).toEqual(0)
+    expect(peerFetch._nextRequestId).toEqual(0)
+    expect(peerFetch._requestQueue).toBeEmpty()
+    expect(peerFetch._requestsInFlight).toBeEmpty()
     expect(peerFetch._dataConnection.on).toHaveBeenCalledTimes(3)
     expect(peerFetch._dataConnection.on).toHaveBeenCalledWith(
       'data', expect.anything()
@@ -60,9 +79,10 @@ test('PeerFetch get()', async () => {
   const mockResponse = jest.fn()
   const peerFetch = new PeerFetch(dataConnection)
   dataConnection.send = jest.fn().mockImplementation((jsonRequest) => {
-    const pair = peerFetch._requestMap.get(peerFetch._nextTicketInLine)
+    const pair = peerFetch._requestMap.get(JSON.parse(jsonRequest).id)
     pair.response = mockResponse
     pair.response.receivedAll = true
+    peerFetch._deliverResponses()
   })
   jest.useRealTimers()
   const nextResponse = await peerFetch.get({ url: '/testlink', params: { a: 'one', b: 'two' } })
@@ -79,34 +99,161 @@ test('PeerFetch _schedulePing()', async () => {
   var fetchResponse
   dataConnection.send = jest.fn().mockImplementation((jsonRequest) => {
     fetchRequest = jsonRequest
-    const pair = peerFetch._requestMap.get(peerFetch._nextTicketInLine)
+    const pair = peerFetch._requestMap.get(JSON.parse(jsonRequest).id)
     pair.response = mockResponse
     fetchResponse = mockResponse
     pair.response.receivedAll = true
+    peerFetch._deliverResponses()
   })
   jest.useFakeTimers()
   await peerFetch._schedulePing()
-  // check if the ping task was scheduled
-  expect(setInterval).toHaveBeenCalledTimes(1)
-  expect(setInterval).toHaveBeenCalledWith(expect.anything(), 1000)
-  await jest.runOnlyPendingTimers()
-  expect(fetchRequest).toEqual('{"url":"ping?","method":"GET"}')
+  // check if the first ping was scheduled
+  expect(setTimeout).toHaveBeenCalledWith(expect.anything(), 1000)
+  await jest.advanceTimersByTime(1000)
+  await flushMicrotasks()
+  expect(fetchRequest).toEqual('{"url":"ping?","method":"GET","id":0}')
   expect(fetchResponse).toBe(mockResponse)
+  peerFetch._stopPing()
 })
 
 test('PeerFetch _stopPing()', async () => {
   const dataConnection = jest.fn()
   dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
   const peerFetch = new PeerFetch(dataConnection)
   jest.useFakeTimers()
   await peerFetch._schedulePing()
-  // check if the ping task was scheduled
-  expect(setInterval).toHaveBeenCalledTimes(1)
-  expect(setInterval).toHaveBeenCalledWith(expect.anything(), 1000)
   const timer = peerFetch._keepAlive
   await peerFetch._stopPing()
-  expect(clearInterval).toHaveBeenCalledTimes(1)
-  expect(clearInterval).toHaveBeenCalledWith(timer)
+  expect(clearTimeout).toHaveBeenCalledWith(timer)
+  jest.advanceTimersByTime(60 * 1000)
+  expect(dataConnection.send).not.toHaveBeenCalled()
+})
+
+/**
+ * Helper that answers every ping sent over a mock data connection
+ * unless `answer` returns false.
+ */
+function answerPings (peerFetch, dataConnection, answer = () => true) {
+  dataConnection.send = jest.fn().mockImplementation((jsonRequest) => {
+    const request = JSON.parse(jsonRequest)
+    if (request.url === 'ping?' && answer()) {
+      const pair = peerFetch._requestMap.get(request.id)
+      pair.response = { header: { status: 200 }, content: 'pong', receivedAll: true }
+      peerFetch._deliverResponses()
+    }
+  })
+}
+
+test('PeerFetch keepalive interval grows while pings succeed', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  jest.useFakeTimers()
+  const peerFetch = new PeerFetch(dataConnection)
+  answerPings(peerFetch, dataConnection)
+  expect(peerFetch._pingInterval).toEqual(1000)
+  jest.advanceTimersByTime(1000)
+  await flushMicrotasks()
+  expect(dataConnection.send).toHaveBeenCalledTimes(1)
+  expect(peerFetch._pingInterval).toEqual(1500)
+  // no ping until the longer interval passes
+  jest.advanceTimersByTime(1499)
+  expect(dataConnection.send).toHaveBeenCalledTimes(1)
+  jest.advanceTimersByTime(1)
+  await flushMicrotasks()
+  expect(dataConnection.send).toHaveBeenCalledTimes(2)
+  expect(peerFetch._pingInterval).toEqual(2250)
+  // the interval does not grow past the maximum
+  for (let i = 0; i < 20; i++) {
+    jest.advanceTimersByTime(peerFetch._pingInterval)
+    await flushMicrotasks()
+  }
+  expect(peerFetch._pingInterval).toEqual(15 * 1000)
+  peerFetch._stopPing()
+})
+
+test('PeerFetch keepalive interval stays below an observed NAT timeout', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  jest.useFakeTimers()
+  const peerFetch = new PeerFetch(dataConnection)
+  let isLinkUp = true
+  answerPings(peerFetch, dataConnection, () => isLinkUp)
+  isLinkUp = false
+  // pongs never arrive after 8 seconds of idle time, twice in a row
+  for (let i = 0; i < 2; i++) {
+    peerFetch._pingInterval = 8000
+    peerFetch._schedulePing()
+    jest.advanceTimersByTime(8000)
+    await flushMicrotasks()
+    jest.advanceTimersByTime(5000)
+    await flushMicrotasks()
+  }
+  expect(peerFetch._natTimeoutBound).toEqual(8000)
+  expect(peerFetch._pingInterval).toEqual(1000)
+  isLinkUp = true
+  for (let i = 0; i < 20; i++) {
+    jest.advanceTimersByTime(peerFetch._pingInterval)
+    await flushMicrotasks()
+  }
+  expect(peerFetch._pingInterval).toEqual(4000)
+  peerFetch._stopPing()
+})
+
+test('PeerFetch keepalive interval recovers after a single lost pong', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  jest.useFakeTimers()
+  const peerFetch = new PeerFetch(dataConnection)
+  let isLinkUp = false
+  answerPings(peerFetch, dataConnection, () => isLinkUp)
+  // the first pong is lost
+  jest.advanceTimersByTime(1000)
+  await flushMicrotasks()
+  jest.advanceTimersByTime(5000)
+  await flushMicrotasks()
+  expect(peerFetch._pingInterval).toEqual(1000)
+  isLinkUp = true
+  for (let i = 0; i < 20; i++) {
+    jest.advanceTimersByTime(peerFetch._pingInterval)
+    await flushMicrotasks()
+  }
+  expect(peerFetch._natTimeoutBound).toBeUndefined()
+  expect(peerFetch._pingInterval).toEqual(15 * 1000)
+  peerFetch._stopPing()
+})
+
+test('PeerFetch pauses pings while the page is hidden', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  jest.useFakeTimers()
+  let visibilityState = 'visible'
+  const visibility = jest.spyOn(document, 'visibilityState', 'get')
+    .mockImplementation(() => visibilityState)
+  const peerFetch = new PeerFetch(dataConnection)
+  answerPings(peerFetch, dataConnection)
+  peerFetch._pingInterval = 4000
+  peerFetch._schedulePing()
+  visibilityState = 'hidden'
+  document.dispatchEvent(new Event('visibilitychange'))
+  jest.advanceTimersByTime(60 * 1000)
+  expect(dataConnection.send).not.toHaveBeenCalled()
+  // an immediate liveness check when the page is visible again
+  visibilityState = 'visible'
+  document.dispatchEvent(new Event('visibilitychange'))
+  await flushMicrotasks()
+  expect(dataConnection.send).toHaveBeenCalledTimes(1)
+  expect(peerFetch.metrics.rtt).toBeDefined()
+  // pings resume from the shortest interval
+  expect(peerFetch._pingInterval).toEqual(1000)
+  jest.advanceTimersByTime(1000)
+  await flushMicrotasks()
+  expect(dataConnection.send).toHaveBeenCalledTimes(2)
+  peerFetch._stopPing()
+  // a closed connection no longer follows the page visibility
+  document.dispatchEvent(new Event('visibilitychange'))
+  expect(dataConnection.send).toHaveBeenCalledTimes(2)
+  visibility.mockRestore()
 })
 
 test('PeerFetch _dataConnection.on("data", ...)', async () => {
@@ -125,7 +272,8 @@ test('PeerFetch _dataConnection.on("data", ...)', async () => {
     url: '/',
     method: 'GET'
   }
-  const ticket = peerFetch._enqueueRequest(request)
+  const requestId = peerFetch._enqueueRequest(request)
+  const pair = peerFetch._requestMap.get(requestId)
   // test sub-use case: initial response packet has no status attribute
   const cwarn = jest.spyOn(console, 'warn').mockImplementation(() => {})
   onDataCallback('{}')
@@ -141,16 +289,15 @@ test('PeerFetch _dataConnection.on("data", ...)', async () => {
   onDataCallback('{"status": 200}')
   expect(cdebug2).toHaveBeenCalledWith('Received web server final response header', expect.anything())
   cdebug2.mockReset()
-  let pair = peerFetch._requestMap.get(ticket)
   expect(pair.response.receivedAll).toBeFalsy()
   // test sub-use case: response packet with content arrives
   const cdebug3 = jest.spyOn(console, 'debug').mockImplementation(() => {})
   onDataCallback('some content')
   expect(cdebug3).toHaveBeenCalledWith('Processing response content')
   cdebug3.mockReset()
-  pair = peerFetch._requestMap.get(ticket)
-  expect(pair.response.receivedAll).toBeTrue()
-  expect(pair.response.content).toEqual('some content')
+  const response = await pair.responsePromise
+  expect(response.receivedAll).toBeTrue()
+  expect(response.content).toEqual('some content')
 })
 
 test('PeerFetch _dataConnection.on("open", ...)', async () => {
@@ -175,3 +322,671 @@ test('PeerFetch _dataConnection.on("close", ...)', async () => {
   onCloseCallback()
   expect(peerFetch._stopPing).toHaveBeenCalledTimes(1)
 })
+
+/**
+ * Helper to build a binary chunk frame:
+ * 4 byte big-endian request id and 4 byte big-endian sequence number
+ * followed by the payload bytes.
+ */
+function chunkFrame (requestId, seq, text) {
+  const payload = Buffer.from(text)
+  const frame = new Uint8Array(8 + payload.length)
+  const view = new DataView(frame.buffer)
+  view.setUint32(0, requestId)
+  view.setUint32(4, seq)
+  frame.set(payload, 8)
+  return frame.buffer
+}
+
+test('PeerFetch chunked response content reassembled in sequence order', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING])
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const requestId = peerFetch._enqueueRequest({ url: '/', method: 'GET' })
+  const pair = peerFetch._requestMap.get(requestId)
+  onDataCallback(`{"id": ${requestId}, "status": 200, "content_length": 11}`)
+  expect(pair.response.receivedAll).toBeFalsy()
+  // chunks may arrive out of order
+  onDataCallback(chunkFrame(requestId, 1, ' world'))
+  expect(pair.response.receivedAll).toBeFalsy()
+  onDataCallback(chunkFrame(requestId, 0, 'hello'))
+  const response = await pair.responsePromise
+  expect(response.receivedAll).toBeTrue()
+  expect(response.error).toBeUndefined()
+  expect(Buffer.from(response.content).toString()).toEqual('hello world')
+  expect(peerFetch._requestMap).toBeEmpty()
+})
+
+test('PeerFetch chunked response with zero content length', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING])
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const requestId = peerFetch._enqueueRequest({ url: '/', method: 'GET' })
+  const pair = peerFetch._requestMap.get(requestId)
+  onDataCallback(`{"id": ${requestId}, "status": 200, "content_length": 0}`)
+  const response = await pair.responsePromise
+  expect(response.receivedAll).toBeTrue()
+  expect(response.content.byteLength).toEqual(0)
+})
+
+test('PeerFetch legacy response with content length arrives in a single message', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const requestId = peerFetch._enqueueRequest({ url: '/', method: 'GET' })
+  const pair = peerFetch._requestMap.get(requestId)
+  // a peer without the chunking capability does not frame its content
+  onDataCallback(`{"id": ${requestId}, "status": 200, "content_length": 11}`)
+  onDataCallback(Uint8Array.from(Buffer.from('hello world')))
+  const response = await pair.responsePromise
+  expect(response.receivedAll).toBeTrue()
+  expect(Buffer.from(response.content).toString()).toEqual('hello world')
+})
+
+test('PeerFetch chunked response fails integrity check', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING])
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  // duplicate sequence number
+  let requestId = peerFetch._enqueueRequest({ url: '/', method: 'GET' })
+  let pair = peerFetch._requestMap.get(requestId)
+  onDataCallback(`{"id": ${requestId}, "status": 200, "content_length": 10}`)
+  onDataCallback(chunkFrame(requestId, 0, 'hello'))
+  onDataCallback(chunkFrame(requestId, 0, 'hello'))
+  // the pending request is rejected instead of resolving with corrupt content
+  await expect(pair.responsePromise)
+    .rejects
+    .toThrow('PeerFetch response integrity error: Duplicate response chunk received: 0')
+  expect(pair.response.receivedAll).toBeFalsy()
+  // gap in the chunk sequence
+  requestId = peerFetch._enqueueRequest({ url: '/', method: 'GET' })
+  pair = peerFetch._requestMap.get(requestId)
+  onDataCallback(`{"id": ${requestId}, "status": 200, "content_length": 10}`)
+  onDataCallback(chunkFrame(requestId, 0, 'hello'))
+  onDataCallback(chunkFrame(requestId, 2, 'world'))
+  await expect(pair.responsePromise)
+    .rejects
+    .toThrow('PeerFetch response integrity error: Response chunk missing from sequence: 1')
+  expect(pair.response.receivedAll).toBeFalsy()
+  // more content than announced
+  requestId = peerFetch._enqueueRequest({ url: '/', method: 'GET' })
+  pair = peerFetch._requestMap.get(requestId)
+  onDataCallback(`{"id": ${requestId}, "status": 200, "content_length": 3}`)
+  onDataCallback(chunkFrame(requestId, 0, 'hello'))
+  await expect(pair.responsePromise)
+    .rejects
+    .toThrow('PeerFetch response integrity error: Response content exceeds announced content length.')
+})
+
+test('PeerFetch multiple requests in flight with responses out of order', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const first = peerFetch._enqueueRequest({ url: '/first', method: 'GET' })
+  const second = peerFetch._enqueueRequest({ url: '/second', method: 'GET' })
+  const third = peerFetch._enqueueRequest({ url: '/third', method: 'GET' })
+  const [firstPair, secondPair, thirdPair] = [first, second, third]
+    .map(requestId => peerFetch._requestMap.get(requestId))
+  // until multiplexing is agreed in the handshake, only one request is sent
+  expect(dataConnection.send).toHaveBeenCalledTimes(1)
+  expect(JSON.parse(dataConnection.send.mock.calls[0][0]).id).toEqual(first)
+  peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING, CAPABILITY_MULTIPLEXING])
+  // the queued requests go out right away
+  expect(dataConnection.send).toHaveBeenCalledTimes(3)
+  onDataCallback(`{"id": ${first}, "status": 200, "content_length": 5}`)
+  expect(peerFetch._requestsInFlight).toEqual(new Set([first, second, third]))
+  const cassert = jest.spyOn(console, 'assert')
+  // responses arrive in a different order than the requests were sent
+  onDataCallback(`{"id": ${third}, "status": 200, "content_length": 5}`)
+  onDataCallback(`{"id": ${second}, "status": 204}`)
+  onDataCallback(chunkFrame(third, 0, 'three'))
+  onDataCallback(chunkFrame(first, 0, 'first'))
+  expect((await secondPair.responsePromise).header.status).toEqual(204)
+  expect(Buffer.from((await thirdPair.responsePromise).content).toString()).toEqual('three')
+  expect(Buffer.from((await firstPair.responsePromise).content).toString()).toEqual('first')
+  expect(peerFetch._requestMap).toBeEmpty()
+  expect(peerFetch._requestsInFlight).toBeEmpty()
+  expect(cassert).not.toHaveBeenCalledWith(false, expect.anything())
+  // late chunks for unknown requests are ignored
+  const cerror = jest.spyOn(console, 'error').mockImplementation(() => {})
+  onDataCallback(chunkFrame(first, 1, 'late'))
+  expect(cerror).toHaveBeenCalledWith(
+    'Response chunk received but no matching request is awaiting content',
+    { requestId: first, seq: 1 })
+})
+
+test('PeerFetch request times out', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const first = peerFetch.get('/slow', { timeout: 5000 })
+  const second = peerFetch.get('/queued')
+  await flushMicrotasks()
+  expect(peerFetch._requestQueue).toEqual([1])
+  jest.advanceTimersByTime(5000)
+  await expect(first).rejects.toThrow('PeerFetch Timeout while waiting for response.')
+  // the timed out request frees its slot for the next request in line
+  expect(peerFetch._requestsInFlight).toEqual(new Set([1]))
+  expect(dataConnection.send).toHaveBeenCalledTimes(2)
+  jest.advanceTimersByTime(20 * 1000)
+  await expect(second).rejects.toThrow('PeerFetch Timeout while waiting for response.')
+  expect(peerFetch._requestMap).toBeEmpty()
+})
+
+test('PeerFetch link metrics leave out requests that time out in the queue', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const first = peerFetch.get('/slow', { timeout: 10000 })
+  const queued = peerFetch.get('/queued', { timeout: 1000 })
+  await flushMicrotasks()
+  jest.advanceTimersByTime(1000)
+  await expect(queued).rejects.toThrow('PeerFetch Timeout while waiting for response.')
+  expect(peerFetch.metrics.snapshot()).toMatchObject({ requests: 1, timeouts: 0, timeoutRate: 0 })
+  jest.advanceTimersByTime(9000)
+  await expect(first).rejects.toThrow('PeerFetch Timeout while waiting for response.')
+  expect(peerFetch.metrics.snapshot()).toMatchObject({ requests: 1, timeouts: 1, timeoutRate: 1 })
+})
+
+test('PeerFetch timeout error carries the content received so far', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING])
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const request = peerFetch.request({ url: '/image.jpg', timeout: 5000 })
+  await flushMicrotasks()
+  const requestId = JSON.parse(dataConnection.send.mock.calls[0][0]).id
+  onDataCallback(`{"id": ${requestId}, "status": 200, "content_length": 15}`)
+  onDataCallback(chunkFrame(requestId, 0, 'hello'))
+  onDataCallback(chunkFrame(requestId, 2, 'world'))
+  jest.advanceTimersByTime(5000)
+  const error = await request.catch(error => error)
+  expect(error.message).toEqual('PeerFetch Timeout while waiting for response.')
+  // only the gap-free part from the start can be resumed
+  expect(error.response.receivedAll).toBeFalse()
+  expect(error.response.header.content_length).toEqual(15)
+  expect(Buffer.from(error.response.content).toString()).toEqual('hello')
+})
+
+test('PeerFetch measures link metrics', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  let now = 1000
+  const dateNow = jest.spyOn(Date, 'now').mockImplementation(() => now)
+  const listener = jest.fn()
+  const unsubscribe = peerFetch.onMetrics(listener)
+  // keepalive tick sends a ping and reports metrics
+  jest.advanceTimersByTime(1000)
+  await flushMicrotasks()
+  expect(listener).toHaveBeenCalledTimes(1)
+  const ping = JSON.parse(dataConnection.send.mock.calls[0][0])
+  expect(ping.url).toEqual('ping?')
+  now += 40
+  onDataCallback(`{"id": ${ping.id}, "status": 200, "content_length": 4}`)
+  onDataCallback(chunkFrame(ping.id, 0, 'pong'))
+  await flushMicrotasks()
+  expect(peerFetch.metrics.rtt).toEqual(40)
+  // an unanswered request times out
+  const slow = peerFetch.get('/slow', { timeout: 500 })
+  await flushMicrotasks()
+  jest.advanceTimersByTime(500)
+  await expect(slow).rejects.toThrow('PeerFetch Timeout while waiting for response.')
+  jest.advanceTimersByTime(500)
+  const snapshot = listener.mock.calls[listener.mock.calls.length - 1][0]
+  expect(snapshot.requests).toEqual(2)
+  expect(snapshot.timeouts).toEqual(1)
+  expect(snapshot.bytesPerSecondSent).toBeGreaterThan(0)
+  expect(snapshot.bytesPerSecondReceived).toBeGreaterThan(0)
+  unsubscribe()
+  jest.advanceTimersByTime(1000)
+  expect(listener).toHaveBeenCalledTimes(2)
+  peerFetch._stopPing()
+  dateNow.mockRestore()
+})
+
+test('PeerFetch request aborted while waiting in queue is never sent', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  jest.useRealTimers()
+  const first = peerFetch.get('/first')
+  const controller = new AbortController()
+  const second = peerFetch.get('/second', { signal: controller.signal })
+  await flushMicrotasks()
+  // second request is waiting in the queue behind the first one
+  expect(dataConnection.send).toHaveBeenCalledTimes(1)
+  expect(peerFetch._requestQueue).toEqual([1])
+  controller.abort()
+  expect(peerFetch._requestQueue).toBeEmpty()
+  expect(peerFetch._requestMap.has(1)).toBeFalse()
+  await expect(second).rejects.toThrow('The request was aborted.')
+  // complete the first request, the aborted one does not go out
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  onDataCallback('{"id": 0, "status": 204}')
+  await first
+  expect(dataConnection.send).toHaveBeenCalledTimes(1)
+})
+
+test('PeerFetch ignores late response of an aborted request in flight', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  jest.useRealTimers()
+  const controller = new AbortController()
+  const pending = peerFetch.get('/image', { signal: controller.signal })
+  await flushMicrotasks()
+  expect(peerFetch._requestsInFlight).toEqual(new Set([0]))
+  controller.abort()
+  await expect(pending).rejects.toThrow('The request was aborted.')
+  // the request slot is held until the late response arrives
+  expect(peerFetch._requestsInFlight).toEqual(new Set([0]))
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  onDataCallback('{"id": 0, "status": 200, "content_length": 5}')
+  onDataCallback(chunkFrame(0, 0, 'image'))
+  expect(peerFetch._requestsInFlight).toBeEmpty()
+  expect(peerFetch._requestMap).toBeEmpty()
+})
+
+test('PeerFetch request with an already aborted signal', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  const controller = new AbortController()
+  controller.abort()
+  await expect(peerFetch.fetch('/status', { signal: controller.signal }))
+    .rejects.toThrow('The request was aborted.')
+  expect(dataConnection.send).not.toHaveBeenCalled()
+})
+
+test('PeerFetch request and response interceptors', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  peerFetch.interceptors.request.use(config => {
+    config.headers = { Authorization: 'Bearer token' }
+    return config
+  })
+  peerFetch.interceptors.response.use(response => {
+    response.intercepted = true
+    return response
+  })
+  const pending = peerFetch.get('status')
+  await flushMicrotasks()
+  const request = JSON.parse(dataConnection.send.mock.calls[0][0])
+  expect(request.headers).toEqual({ Authorization: 'Bearer token' })
+  onDataCallback(`{"id": ${request.id}, "status": 204}`)
+  const response = await pending
+  expect(response.intercepted).toBeTrue()
+  expect(response.config.url).toEqual('status')
+})
+
+test('PeerFetch sends queued requests in order of priority', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  // a legacy remote peer takes one request at a time
+  const busy = peerFetch._enqueueRequest({ url: '/timeline', method: 'GET' })
+  const low = peerFetch._enqueueRequest({ url: '/thumbnail', method: 'GET' }, { priority: PRIORITY_LOW })
+  const normal = peerFetch._enqueueRequest({ url: '/timeline', method: 'GET' }, { priority: PRIORITY_NORMAL })
+  const high = peerFetch._enqueueRequest({ url: '/display_name', method: 'PUT' }, { priority: PRIORITY_HIGH })
+  const low2 = peerFetch._enqueueRequest({ url: '/thumbnail2', method: 'GET' }, { priority: PRIORITY_LOW })
+  expect(peerFetch._requestQueue).toEqual([high, normal, low, low2])
+  const sentIds = () => dataConnection.send.mock.calls.map(call => JSON.parse(call[0]).id)
+  expect(sentIds()).toEqual([busy])
+  // each response frees the request slot for the next queued request
+  for (let i = 0; i < 4; i++) {
+    onDataCallback('{"status": 204}')
+  }
+  expect(sentIds()).toEqual([busy, high, normal, low, low2])
+})
+
+test('PeerFetch low priority requests leave a request slot free', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  peerFetch._maxRequestsInFlight = 3
+  const thumbnails = [1, 2, 3, 4].map(i => peerFetch._enqueueRequest(
+    { url: `/thumbnail${i}`, method: 'GET' }, { priority: PRIORITY_LOW }))
+  expect(dataConnection.send).toHaveBeenCalledTimes(2)
+  expect(peerFetch._requestQueue).toEqual(thumbnails.slice(2))
+  const status = peerFetch._enqueueRequest({ url: '/status', method: 'GET' }, { priority: PRIORITY_HIGH })
+  expect(dataConnection.send).toHaveBeenCalledTimes(3)
+  expect(JSON.parse(dataConnection.send.mock.calls[2][0]).id).toEqual(status)
+})
+
+test('PeerFetch rejects unknown request priority', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  await expect(peerFetch.get('status', { priority: 'urgent' }))
+    .rejects.toThrow('Unknown PeerFetch request priority: urgent')
+  expect(dataConnection.send).not.toHaveBeenCalled()
+})
+
+test('PeerFetch reports download progress as response chunks arrive', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING])
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const onDownloadProgress = jest.fn()
+  const pending = peerFetch.get('data/image.jpg', { onDownloadProgress })
+  await flushMicrotasks()
+  const request = JSON.parse(dataConnection.send.mock.calls[0][0])
+  onDataCallback(`{"id": ${request.id}, "status": 200, "content_length": 8}`)
+  onDataCallback(chunkFrame(request.id, 0, 'abc'))
+  onDataCallback(chunkFrame(request.id, 1, 'defgh'))
+  const response = await pending
+  expect(Buffer.from(response.content).toString()).toEqual('abcdefgh')
+  expect(onDownloadProgress.mock.calls.map(call => call[0])).toEqual([
+    { loaded: 0, total: 8, progress: 0 },
+    { loaded: 3, total: 8, progress: 0.375 },
+    { loaded: 8, total: 8, progress: 1 }
+  ])
+})
+
+test('PeerFetch reports download progress of single message responses', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const onDownloadProgress = jest.fn().mockImplementation(() => {
+    throw Error('callback bug')
+  })
+  const cerror = jest.spyOn(console, 'error').mockImplementation(() => {})
+  const pending = peerFetch.get('timeline', { onDownloadProgress })
+  await flushMicrotasks()
+  onDataCallback('{"status": 200}')
+  onDataCallback('[]')
+  // errors in the callback do not fail the request
+  const response = await pending
+  expect(response.content).toEqual('[]')
+  expect(onDownloadProgress).toHaveBeenCalledWith({ loaded: 2, total: 2, progress: 1 })
+  expect(cerror).toHaveBeenCalledWith('Error in onDownloadProgress callback', expect.anything())
+  cerror.mockRestore()
+})
+
+/**
+ * Return the id of the handshake request sent over a mock data connection.
+ */
+async function sentHandshakeId (peerFetch) {
+  await flushMicrotasks()
+  const sent = peerFetch._dataConnection.send.mock.calls.map(call => call[0])
+  const request = JSON.parse(sent.find(message => typeof message === 'string'))
+  expect(request.url).toEqual('handshake?')
+  expect(request.method).toEqual('POST')
+  return request.id
+}
+
+test('PeerFetch handshake agrees on common capabilities', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const handshake = peerFetch.handshake()
+  const requestId = await sentHandshakeId(peerFetch)
+  onDataCallback(`{"id": ${requestId}, "status": 200}`)
+  onDataCallback('{"protocol_version": 1, "capabilities": ["chunking", "multiplexing", "teleportation"]}')
+  const body = JSON.parse(Buffer.concat(dataConnection.send.mock.calls.slice(1)
+    .map(call => Buffer.from(call[0], 8))).toString())
+  expect(body).toEqual({
+    protocol_version: PROTOCOL_VERSION,
+    capabilities: [CAPABILITY_CHUNKING, CAPABILITY_MULTIPLEXING, CAPABILITY_COMPRESSION, CAPABILITY_EVENTS],
+    encodings: ['gzip', 'deflate']
+  })
+  expect(await handshake).toEqual({
+    version: 1,
+    capabilities: [CAPABILITY_CHUNKING, CAPABILITY_MULTIPLEXING],
+    encoding: undefined
+  })
+  expect(peerFetch.hasCapability(CAPABILITY_MULTIPLEXING)).toBeTrue()
+  expect(peerFetch.hasCapability(CAPABILITY_COMPRESSION)).toBeFalse()
+  expect(peerFetch._maxRequestsInFlight).toBeGreaterThan(1)
+})
+
+test('PeerFetch handshake does not multiplex without chunking', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const handshake = peerFetch.handshake()
+  const requestId = await sentHandshakeId(peerFetch)
+  onDataCallback(`{"id": ${requestId}, "status": 200}`)
+  onDataCallback('{"protocol_version": 1, "capabilities": ["multiplexing"]}')
+  expect(await handshake).toEqual({ version: 1, capabilities: [], encoding: undefined })
+  expect(peerFetch.hasCapability(CAPABILITY_MULTIPLEXING)).toBeFalse()
+  // untagged response bodies must not be matched against concurrent requests
+  expect(peerFetch._maxRequestsInFlight).toEqual(1)
+})
+
+test('PeerFetch handshake falls back to legacy protocol', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const handshake = peerFetch.handshake()
+  await sentHandshakeId(peerFetch)
+  // legacy edge devices pass the unknown url on to their web server
+  onDataCallback('{"status": 404}')
+  onDataCallback('Not Found')
+  expect(await handshake).toEqual({ version: 0, capabilities: [], encoding: undefined })
+  expect(peerFetch._maxRequestsInFlight).toEqual(1)
+})
+
+test('PeerFetch handshake rejects incompatible protocol versions', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  let handshake = peerFetch.handshake()
+  let requestId = await sentHandshakeId(peerFetch)
+  onDataCallback(`{"id": ${requestId}, "status": 200}`)
+  onDataCallback(`{"protocol_version": ${PROTOCOL_VERSION + 1}, "capabilities": []}`)
+  await expect(handshake).rejects.toThrow('Please update Ambianic UI.')
+  dataConnection.send.mockClear()
+  handshake = peerFetch.handshake()
+  requestId = await sentHandshakeId(peerFetch)
+  onDataCallback(`{"id": ${requestId}, "status": 200}`)
+  onDataCallback('{"capabilities": []}')
+  await expect(handshake).rejects.toThrow('Please upgrade Ambianic Edge.')
+})
+
+test('PeerFetch handshake agrees on a compression encoding', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  let handshake = peerFetch.handshake()
+  let requestId = await sentHandshakeId(peerFetch)
+  onDataCallback(`{"id": ${requestId}, "status": 200}`)
+  onDataCallback('{"protocol_version": 1, "capabilities": ["compression"], "encodings": ["br", "deflate"]}')
+  expect(await handshake).toEqual({
+    version: 1,
+    capabilities: [CAPABILITY_COMPRESSION],
+    encoding: 'deflate'
+  })
+  // compression without a common encoding is not usable
+  dataConnection.send.mockClear()
+  handshake = peerFetch.handshake()
+  requestId = await sentHandshakeId(peerFetch)
+  onDataCallback(`{"id": ${requestId}, "status": 200}`)
+  onDataCallback('{"protocol_version": 1, "capabilities": ["compression"], "encodings": ["br"]}')
+  expect(await handshake).toEqual({ version: 1, capabilities: [], encoding: undefined })
+})
+
+test('PeerFetch compresses large request bodies', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING, CAPABILITY_MULTIPLEXING, CAPABILITY_COMPRESSION], 'gzip')
+  const events = Array(100).fill({ label: 'person', confidence: 0.9 })
+  peerFetch.post('timeline', events)
+  await flushMicrotasks()
+  const [jsonRequest, ...frames] = dataConnection.send.mock.calls.map(call => call[0])
+  const request = JSON.parse(jsonRequest)
+  expect(request.content_encoding).toEqual('gzip')
+  const body = Buffer.concat(frames.map(frame => Buffer.from(frame, 8)))
+  expect(request.content_length).toEqual(body.length)
+  expect(JSON.parse(pako.ungzip(body, { to: 'string' }))).toEqual(events)
+  const stats = peerFetch.debugStats()
+  expect(stats.requestWireBytes).toEqual(body.length)
+  expect(stats.requestContentBytes).toEqual(JSON.stringify(events).length)
+  expect(stats.requestCompressionRatio).toBeGreaterThan(10)
+  // small bodies are sent as is
+  dataConnection.send.mockClear()
+  peerFetch.post('timeline', { label: 'person' })
+  await flushMicrotasks()
+  expect(JSON.parse(dataConnection.send.mock.calls[0][0]).content_encoding).toBeUndefined()
+})
+
+test('PeerFetch decompresses response content', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING, CAPABILITY_COMPRESSION], 'deflate')
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const timeline = JSON.stringify(Array(100).fill({ label: 'person', confidence: 0.9 }))
+  const compressed = pako.deflate(timeline)
+  const pending = peerFetch.get('timeline')
+  await flushMicrotasks()
+  const request = JSON.parse(dataConnection.send.mock.calls[0][0])
+  onDataCallback(`{"id": ${request.id}, "status": 200, "content_length": ${compressed.byteLength}, "content_encoding": "deflate"}`)
+  const frame = new Uint8Array(8 + compressed.byteLength)
+  new DataView(frame.buffer).setUint32(0, request.id)
+  frame.set(compressed, 8)
+  onDataCallback(frame.buffer)
+  const response = await pending
+  expect(Buffer.from(response.content).toString()).toEqual(timeline)
+  const stats = peerFetch.debugStats()
+  expect(stats.responseWireBytes).toEqual(compressed.byteLength)
+  expect(stats.responseContentBytes).toEqual(timeline.length)
+  expect(stats.responseCompressionRatio).toBeGreaterThan(10)
+})
+
+test('PeerFetch rejects responses that fail to decompress', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  const pending = peerFetch.get('timeline')
+  await flushMicrotasks()
+  const request = JSON.parse(dataConnection.send.mock.calls[0][0])
+  onDataCallback(`{"id": ${request.id}, "status": 200, "content_length": 8, "content_encoding": "gzip"}`)
+  onDataCallback(chunkFrame(request.id, 0, 'not gzip'))
+  await expect(pending).rejects.toThrow('PeerFetch response decompression error')
+})
+
+test('PeerFetch reports upload progress as body frames go out', async () => {
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.send = jest.fn()
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const onDataCallback = peerFetch._dataConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'data')[1]
+  peerFetch._useProtocol(PROTOCOL_VERSION, [CAPABILITY_CHUNKING, CAPABILITY_MULTIPLEXING])
+  const onUploadProgress = jest.fn()
+  const file = new Uint8Array(40 * 1024).fill(7)
+  const pending = peerFetch.put('models/detector.tflite', file, { onUploadProgress })
+  await flushMicrotasks()
+  const [jsonRequest, ...frames] = dataConnection.send.mock.calls.map(call => call[0])
+  const request = JSON.parse(jsonRequest)
+  expect(request.content_length).toEqual(file.byteLength)
+  expect(frames).toHaveLength(3)
+  expect(onUploadProgress.mock.calls.map(call => call[0])).toEqual([
+    { loaded: 16384, total: 40960, progress: 0.4 },
+    { loaded: 32768, total: 40960, progress: 0.8 },
+    { loaded: 40960, total: 40960, progress: 1 }
+  ])
+  onDataCallback(`{"id": ${request.id}, "status": 201, "content_length": 0}`)
+  const response = await pending
+  expect(response.header.status).toEqual(201)
+})
+
+test('PeerFetch paces uploads to the send buffer and stops when aborted', async () => {
+  jest.useFakeTimers()
+  const dataConnection = jest.fn()
+  dataConnection.on = jest.fn()
+  dataConnection.dataChannel = { bufferedAmount: 0 }
+  // every body frame fills up the send buffer
+  dataConnection.send = jest.fn().mockImplementation(message => {
+    if (typeof message !== 'string') {
+      dataConnection.dataChannel.bufferedAmount = 2 * 1024 * 1024
+    }
+  })
+  const peerFetch = new PeerFetch(dataConnection)
+  peerFetch._stopPing()
+  const frameCount = () => dataConnection.send.mock.calls
+    .filter(call => typeof call[0] !== 'string').length
+  const abortController = new AbortController()
+  const pending = peerFetch.put('config/config.yaml',
+    new Uint8Array(64 * 1024), { signal: abortController.signal })
+  await flushMicrotasks()
+  expect(frameCount()).toEqual(1)
+  // a full buffer holds back the next frame but does not time out the request
+  jest.advanceTimersByTime(15 * 1000)
+  await flushMicrotasks()
+  expect(frameCount()).toEqual(1)
+  dataConnection.dataChannel.bufferedAmount = 0
+  jest.advanceTimersByTime(50)
+  await flushMicrotasks()
+  expect(frameCount()).toEqual(2)
+  jest.advanceTimersByTime(15 * 1000)
+  abortController.abort()
+  await expect(pending).rejects.toThrow('The request was aborted.')
+  dataConnection.dataChannel.bufferedAmount = 0
+  jest.advanceTimersByTime(50)
+  await flushMicrotasks()
+  expect(frameCount()).toEqual(2)
+})
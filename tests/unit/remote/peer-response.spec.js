@@ -0,0 +1,95 @@
+import { PeerFetch, PeerResponse } from '@/remote/peer-fetch'
+
+describe('PeerResponse - fetch compatible responses from PeerFetch', () => {
+  let peerFetch
+
+  beforeEach(() => {
+    const dataConnection = jest.fn()
+    dataConnection.on = jest.fn()
+    dataConnection.send = jest.fn()
+    peerFetch = new PeerFetch(dataConnection)
+    peerFetch._stopPing()
+  })
+
+  /**
+   * Mock the remote peer replying to every request with the given response.
+   */
+  function respondWith (response) {
+    peerFetch._dataConnection.send.mockImplementation((message) => {
+      if (typeof message === 'string') {
+        const pair = peerFetch._requestMap.get(JSON.parse(message).id)
+        pair.response = { ...response, receivedAll: true }
+        peerFetch._deliverResponses()
+      }
+    })
+  }
+
+  test('fetch() resolves with a Response-like object', async () => {
+    const content = peerFetch.textEncode('{"status":"OK"}').buffer
+    respondWith({
+      header: { status: 200, content_type: 'application/json', content_length: content.byteLength },
+      content
+    })
+    const response = await peerFetch.fetch('/api/status')
+    expect(response).toBeInstanceOf(PeerResponse)
+    expect(response.ok).toBeTrue()
+    expect(response.status).toEqual(200)
+    expect(response.url).toEqual('/api/status')
+    expect(response.headers.get('Content-Type')).toEqual('application/json')
+    expect(response.headers.get('content-length')).toEqual('15')
+    expect(response.bodyUsed).toBeFalse()
+    expect(await response.json()).toEqual({ status: 'OK' })
+    expect(response.bodyUsed).toBeTrue()
+  })
+
+  test('fetch() resolves with ok false for HTTP error statuses', async () => {
+    respondWith({ header: { status: 404, statusText: 'Not Found' }, content: 'missing' })
+    const response = await peerFetch.fetch('/api/unknown')
+    expect(response.ok).toBeFalse()
+    expect(response.status).toEqual(404)
+    expect(response.statusText).toEqual('Not Found')
+    expect(await response.text()).toEqual('missing')
+  })
+
+  test('response body can be read as text, ArrayBuffer or Blob', async () => {
+    const bytes = new Uint8Array([104, 105])
+    const newResponse = () => new PeerResponse(
+      { header: { status: 200, headers: { 'Content-Type': 'image/jpeg' } }, content: bytes.buffer },
+      { peerFetch })
+    expect(await newResponse().text()).toEqual('hi')
+    const arrayBuffer = await newResponse().arrayBuffer()
+    expect(new Uint8Array(arrayBuffer)).toEqual(bytes)
+    const blob = await newResponse().blob()
+    expect(blob).toBeInstanceOf(Blob)
+    expect(blob.size).toEqual(2)
+    expect(blob.type).toEqual('image/jpeg')
+  })
+
+  test('response body can only be consumed once', async () => {
+    const response = new PeerResponse({ header: { status: 200 }, content: 'once' }, { peerFetch })
+    expect(await response.text()).toEqual('once')
+    await expect(response.text()).rejects.toThrow(TypeError)
+  })
+
+  test('empty response body reads as empty text and ArrayBuffer', async () => {
+    respondWith({ header: { status: 204 } })
+    const response = await peerFetch.fetch('/api/notifications/test', { method: 'POST' })
+    expect(response.ok).toBeTrue()
+    expect(await response.text()).toEqual('')
+    const arrayBuffer = await new PeerResponse({ header: { status: 204 } }, { peerFetch }).arrayBuffer()
+    expect(arrayBuffer.byteLength).toEqual(0)
+  })
+
+  test('fetch() accepts a Request-like input and header pairs', async () => {
+    respondWith({ header: { status: 204 } })
+    await peerFetch.fetch({ url: '/api/device' }, {
+      method: 'PUT',
+      headers: [['X-Test', '1']],
+      body: 'name'
+    })
+    const request = JSON.parse(peerFetch._dataConnection.send.mock.calls[0][0])
+    expect(request.url).toEqual('/api/device?')
+    expect(request.method).toEqual('PUT')
+    expect(request.headers['X-Test']).toEqual('1')
+  })
+})
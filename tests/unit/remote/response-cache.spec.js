@@ -0,0 +1,69 @@
+import { ResponseCache, conditionalHeaders } from '@/remote/response-cache'
+
+describe('ResponseCache - IndexedDB cache of edge responses', () => {
+  let cache
+  let now
+
+  beforeEach(async () => {
+    cache = new ResponseCache({ maxEntries: 2 })
+    await cache.clear()
+    now = 1000
+    jest.spyOn(Date, 'now').mockImplementation(() => now++)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  function imageResponse (content, headers = {}) {
+    return { header: { status: 200, headers }, content }
+  }
+
+  test('put() and get() responses keyed by device and path', async () => {
+    await cache.put('device_1', 'data/a.jpg', imageResponse('image a', {
+      'Content-Type': 'image/jpeg',
+      ETag: '"abc"',
+      'Last-Modified': 'Sun, 10 May 2020 19:05:45 GMT'
+    }))
+    const entry = await cache.get('device_1', 'data/a.jpg')
+    expect(entry.content).toEqual('image a')
+    expect(entry.contentType).toEqual('image/jpeg')
+    expect(entry.etag).toEqual('"abc"')
+    expect(entry.lastModified).toEqual('Sun, 10 May 2020 19:05:45 GMT')
+    expect(await cache.get('device_2', 'data/a.jpg')).toBeUndefined()
+  })
+
+  test('binary content survives the round trip', async () => {
+    const bytes = new Uint8Array([1, 2, 3])
+    await cache.put('device_1', 'data/b.jpg', imageResponse(bytes.buffer))
+    const entry = await cache.get('device_1', 'data/b.jpg')
+    expect(new Uint8Array(entry.content)).toEqual(bytes)
+  })
+
+  test('least recently used entries are evicted', async () => {
+    await cache.put('device_1', 'data/a.jpg', imageResponse('a'))
+    await cache.put('device_1', 'data/b.jpg', imageResponse('b'))
+    // touch a so that b becomes the least recently used entry
+    await cache.get('device_1', 'data/a.jpg')
+    await cache.put('device_1', 'data/c.jpg', imageResponse('c'))
+    expect(await cache.get('device_1', 'data/a.jpg')).toBeDefined()
+    expect(await cache.get('device_1', 'data/b.jpg')).toBeUndefined()
+    expect(await cache.get('device_1', 'data/c.jpg')).toBeDefined()
+  })
+
+  test('clear() removes entries of one device', async () => {
+    await cache.put('device_1', 'data/a.jpg', imageResponse('a'))
+    await cache.put('device_2', 'data/a.jpg', imageResponse('a'))
+    await cache.clear('device_1')
+    expect(await cache.get('device_1', 'data/a.jpg')).toBeUndefined()
+    expect(await cache.get('device_2', 'data/a.jpg')).toBeDefined()
+  })
+
+  test('conditionalHeaders() uses available validators', () => {
+    expect(conditionalHeaders({})).toEqual({})
+    expect(conditionalHeaders({ etag: '"abc"', lastModified: 'yesterday' })).toEqual({
+      'If-None-Match': '"abc"',
+      'If-Modified-Since': 'yesterday'
+    })
+  })
+})
@@ -0,0 +1,93 @@
+import { SharedRequest, requestKey } from '@/remote/shared-request'
+
+describe('SharedRequest', () => {
+  function deferred () {
+    const result = {}
+    result.promise = new Promise((resolve, reject) => {
+      result.resolve = resolve
+      result.reject = reject
+    })
+    return result
+  }
+
+  test('callers share one dispatched request', async () => {
+    const response = deferred()
+    const dispatchRequest = jest.fn().mockReturnValue(response.promise)
+    const shared = new SharedRequest({ url: 'status' }, dispatchRequest)
+    const first = shared.join()
+    const second = shared.join()
+    response.resolve('OK')
+    expect(await first).toEqual('OK')
+    expect(await second).toEqual('OK')
+    expect(dispatchRequest).toHaveBeenCalledTimes(1)
+    expect(dispatchRequest).toHaveBeenCalledWith({ url: 'status' })
+  })
+
+  test('errors reach all callers', async () => {
+    const shared = new SharedRequest({ url: 'status' },
+      jest.fn().mockRejectedValue(new Error('offline')))
+    await expect(shared.join()).rejects.toThrow('offline')
+    await expect(shared.join()).rejects.toThrow('offline')
+  })
+
+  test('aborting one caller does not cancel the others', async () => {
+    const response = deferred()
+    const dispatchRequest = jest.fn().mockReturnValue(response.promise)
+    const first = new AbortController()
+    const second = new AbortController()
+    const shared = new SharedRequest({ url: 'image', signal: first.signal }, dispatchRequest)
+    const sharedSignal = dispatchRequest.mock.calls[0][0].signal
+    const firstResult = shared.join({ signal: first.signal })
+    const secondResult = shared.join({ signal: second.signal })
+    first.abort()
+    await expect(firstResult).rejects.toThrow('The request was aborted.')
+    expect(sharedSignal.aborted).toBeFalse()
+    second.abort()
+    await expect(secondResult).rejects.toThrow('The request was aborted.')
+    // nobody is waiting anymore
+    expect(sharedSignal.aborted).toBeTrue()
+  })
+
+  test('a caller without a signal keeps the request alive', async () => {
+    const response = deferred()
+    const dispatchRequest = jest.fn().mockReturnValue(response.promise)
+    const controller = new AbortController()
+    const shared = new SharedRequest({ url: 'image', signal: controller.signal }, dispatchRequest)
+    const sharedSignal = dispatchRequest.mock.calls[0][0].signal
+    const aborted = shared.join({ signal: controller.signal })
+    const kept = shared.join()
+    controller.abort()
+    await expect(aborted).rejects.toThrow('The request was aborted.')
+    expect(sharedSignal.aborted).toBeFalse()
+    response.resolve('image')
+    expect(await kept).toEqual('image')
+  })
+
+  test('progress goes to every caller', async () => {
+    const response = deferred()
+    const dispatchRequest = jest.fn().mockReturnValue(response.promise)
+    const first = jest.fn()
+    const second = jest.fn()
+    const shared = new SharedRequest({ url: 'image', onDownloadProgress: first }, dispatchRequest)
+    const report = dispatchRequest.mock.calls[0][0].onDownloadProgress
+    shared.join({ onDownloadProgress: first })
+    report({ loaded: 1, total: 4, progress: 0.25 })
+    // a late caller catches up with the latest progress
+    shared.join({ onDownloadProgress: second })
+    expect(second).toHaveBeenCalledWith({ loaded: 1, total: 4, progress: 0.25 })
+    report({ loaded: 4, total: 4, progress: 1 })
+    expect(first).toHaveBeenCalledTimes(2)
+    expect(second).toHaveBeenCalledTimes(2)
+    response.resolve('image')
+  })
+
+  test('requestKey() tells apart devices, URLs, params and headers', () => {
+    const key = requestKey('device1', { url: 'timeline', params: { page: 1 } })
+    expect(requestKey('device1', { url: 'timeline', params: { page: 1 } })).toEqual(key)
+    expect(requestKey('device2', { url: 'timeline', params: { page: 1 } })).not.toEqual(key)
+    expect(requestKey('device1', { url: 'status', params: { page: 1 } })).not.toEqual(key)
+    expect(requestKey('device1', { url: 'timeline', params: { page: 2 } })).not.toEqual(key)
+    expect(requestKey('device1', { url: 'timeline', params: { page: 1 }, headers: { Range: 'bytes=2-' } }))
+      .not.toEqual(key)
+  })
+})
@@ -0,0 +1,143 @@
+import {
+  HTTPTransport,
+  WebRTCTransport,
+  HTTP_TRANSPORT,
+  WEBRTC_TRANSPORT
+} from '@/remote/transport'
+import { PEER_CONNECTED, PEER_DISCONNECTED } from '@/store/mutation-types'
+import fetchMock from 'jest-fetch-mock'
+
+describe('EdgeAPI transports', () => {
+  beforeAll(() => {
+    fetchMock.enableMocks()
+  })
+
+  afterEach(() => {
+    fetchMock.resetMocks()
+  })
+
+  test('WebRTCTransport passes requests to PeerFetch', async () => {
+    const response = { header: { status: 200 }, content: 'pong' }
+    const pnp = { state: { peerConnectionStatus: PEER_CONNECTED, peerFetch: {} } }
+    pnp.state.peerFetch.request = jest.fn().mockResolvedValue(response)
+    const transport = new WebRTCTransport(pnp)
+    expect(transport.name).toEqual(WEBRTC_TRANSPORT)
+    expect(await transport.isAvailable()).toBeTrue()
+    expect(await transport.request({ url: 'ping' })).toBe(response)
+    expect(pnp.state.peerFetch.request).toHaveBeenCalledWith({ url: 'ping' })
+  })
+
+  test('WebRTCTransport is unavailable without a peer connection', async () => {
+    const pnp = { state: { peerConnectionStatus: PEER_DISCONNECTED } }
+    const transport = new WebRTCTransport(pnp)
+    expect(await transport.isAvailable()).toBeFalse()
+    await expect(transport.request({ url: 'ping' }))
+      .rejects.toThrow('Edge device peer not connected.')
+  })
+
+  test('HTTPTransport probes the edge status endpoint', async () => {
+    fetchMock.mockResponseOnce('{"status":"OK"}')
+    const transport = new HTTPTransport({ origin: 'http://192.168.1.20:8778' })
+    expect(transport.name).toEqual(HTTP_TRANSPORT)
+    expect(await transport.isAvailable()).toBeTrue()
+    expect(fetchMock.mock.calls[0][0]).toEqual('http://192.168.1.20:8778/api/status')
+  })
+
+  test('HTTPTransport is unavailable when the edge is unreachable', async () => {
+    fetchMock.mockRejectOnce(new TypeError('Failed to fetch'))
+    const transport = new HTTPTransport({ origin: 'http://192.168.1.20:8778' })
+    expect(await transport.isAvailable()).toBeFalse()
+    fetchMock.mockResponseOnce('', { status: 503 })
+    expect(await transport.isAvailable()).toBeFalse()
+  })
+
+  test('HTTPTransport request() returns a PeerFetch shaped response', async () => {
+    fetchMock.mockResponseOnce('[{"id":1}]', {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    })
+    const transport = new HTTPTransport({ origin: 'http://192.168.1.20:8778' })
+    const response = await transport.request({
+      url: 'http://localhost:8778/api/timeline',
+      params: { page: 2 }
+    })
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toEqual('http://192.168.1.20:8778/api/timeline?page=2')
+    expect(init.method).toEqual('GET')
+    expect(response.receivedAll).toBeTrue()
+    expect(response.header.status).toEqual(200)
+    expect(response.header.headers['content-type']).toEqual('application/json')
+    expect(Buffer.from(response.content).toString()).toEqual('[{"id":1}]')
+  })
+
+  test('HTTPTransport request() sends JSON bodies', async () => {
+    fetchMock.mockResponseOnce('', { status: 204 })
+    const transport = new HTTPTransport({ origin: 'http://192.168.1.20:8778' })
+    await transport.request({
+      url: 'http://localhost:8778/api/device/display_name',
+      method: 'PUT',
+      data: { display_name: 'Front Door' }
+    })
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toEqual('http://192.168.1.20:8778/api/device/display_name')
+    expect(init.method).toEqual('PUT')
+    expect(init.headers).toEqual({ 'Content-Type': 'application/json' })
+    expect(JSON.parse(init.body)).toEqual({ display_name: 'Front Door' })
+  })
+
+  test('HTTPTransport request() reports download progress', async () => {
+    fetchMock.mockResponseOnce('image', {
+      status: 200,
+      headers: { 'Content-Length': '5' }
+    })
+    const onDownloadProgress = jest.fn()
+    const transport = new HTTPTransport({ origin: 'http://192.168.1.20:8778' })
+    const response = await transport.request({
+      url: 'http://localhost:8778/api/data/image.jpg',
+      onDownloadProgress
+    })
+    expect(response.content.byteLength).toEqual(5)
+    expect(onDownloadProgress).toHaveBeenLastCalledWith({ loaded: 5, total: 5, progress: 1 })
+  })
+  test('HTTPTransport request() reports upload progress once the body is sent', async () => {
+    fetchMock.mockResponseOnce('', { status: 201 })
+    const onUploadProgress = jest.fn()
+    const transport = new HTTPTransport({ origin: 'http://192.168.1.20:8778' })
+    await transport.request({
+      url: 'http://localhost:8778/api/models/detector.tflite',
+      method: 'PUT',
+      data: new Uint8Array(300),
+      onUploadProgress
+    })
+    expect(onUploadProgress).toHaveBeenCalledTimes(1)
+    expect(onUploadProgress).toHaveBeenCalledWith({ loaded: 300, total: 300, progress: 1 })
+  })
+
+  test('HTTPTransport needs the LAN origin of the edge device', () => {
+    expect(() => new HTTPTransport()).toThrow('HTTPTransport needs the LAN origin of the edge device.')
+  })
+
+  test('HTTPTransport request() times out when the edge does not answer', async () => {
+    jest.useFakeTimers()
+    // emulate a LAN request that hangs until aborted
+    fetchMock.mockImplementationOnce((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+    }))
+    const transport = new HTTPTransport({ origin: 'http://192.168.1.20:8778' })
+    const request = transport.request({ url: 'http://localhost:8778/api/status', timeout: 3000 })
+    jest.advanceTimersByTime(3000)
+    await expect(request).rejects.toThrow('Edge HTTP API Timeout while waiting for response.')
+    jest.useRealTimers()
+  })
+
+  test('HTTPTransport request() can be aborted by the caller', async () => {
+    fetchMock.mockImplementationOnce((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+    }))
+    const abortController = new AbortController()
+    const transport = new HTTPTransport({ origin: 'http://192.168.1.20:8778' })
+    const request = transport.request({ url: 'http://localhost:8778/api/status', signal: abortController.signal })
+    abortController.abort()
+    await expect(request).rejects.toThrow('Aborted')
+  })
+})
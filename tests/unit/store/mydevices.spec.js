@@ -71,4 +71,31 @@ describe('MyDevices module', () => {
 
     expect(store.state.myDevices.currentDeviceCard.version).toBeFalsy()
   })
+  test('myDevices/pinPublicKey does not add devices', async () => {
+    expect(await store.dispatch('myDevices/pinPublicKey', {
+      peerID: 'unknown_peerID',
+      publicKey: 'a_public_key'
+    })).toBeFalse()
+    expect(store.state.myDevices.allDeviceCards.has('unknown_peerID')).toBeFalse()
+    expect(await store.dispatch('myDevices/getPublicKey', 'unknown_peerID')).toBeUndefined()
+  })
+  test('myDevices/pinPublicKey keeps the key across remote updates', async () => {
+    expect(await store.dispatch('myDevices/getPublicKey', 'pinned_peerID')).toBeUndefined()
+    await store.dispatch('myDevices/updateFromRemote', { peerID: 'pinned_peerID' })
+    expect(await store.dispatch('myDevices/pinPublicKey', {
+      peerID: 'pinned_peerID',
+      publicKey: 'a_public_key'
+    })).toBeTrue()
+    expect(store.state.myDevices.allDeviceCards.get('pinned_peerID').publicKey).toEqual('a_public_key')
+    await store.dispatch('myDevices/updateFromRemote', {
+      peerID: 'pinned_peerID',
+      display_name: 'Front Door',
+      version: '1.5.1'
+    })
+    expect(await store.dispatch('myDevices/getPublicKey', 'pinned_peerID')).toEqual('a_public_key')
+    const deviceCard = store.state.myDevices.allDeviceCards.get('pinned_peerID')
+    expect(deviceCard.displayName).toEqual('Front Door')
+    await store.dispatch('myDevices/forget', 'pinned_peerID')
+    expect(await store.dispatch('myDevices/getPublicKey', 'pinned_peerID')).toBeUndefined()
+  })
 })
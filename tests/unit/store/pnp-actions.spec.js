@@ -1,7 +1,9 @@
 import { createLocalVue } from '@vue/test-utils'
 import Vuex from 'vuex'
 import { cloneDeep } from 'lodash'
+import { webcrypto } from 'crypto'
 import { pnpStoreModule, _auth } from '@/store/pnp.js'
+import { myDevicesStoreModule } from '@/store/mydevices'
 import {
   PEER_DISCONNECTED,
   PEER_CONNECTING,
@@ -16,7 +18,9 @@ import {
   USER_MESSAGE,
   NEW_PEER_ID,
   NEW_REMOTE_PEER_ID
-  , PEER_CONNECTION_ERROR
+  , PEER_CONNECTION_ERROR,
+  PEER_RECONNECT_SCHEDULED,
+  PAIRING_KEY
 } from '@/store/mutation-types.js'
 import {
   INITIALIZE_PNP,
@@ -26,9 +30,16 @@ import {
   PEER_CONNECT,
   PEER_AUTHENTICATE,
   REMOVE_REMOTE_PEER_ID,
-  CHANGE_REMOTE_PEER_ID
+  CHANGE_REMOTE_PEER_ID,
+  PEER_DISCONNECT,
+  LOAD_PNP_SETTINGS,
+  SAVE_PNP_SETTINGS,
+  RESET_PNP_SETTINGS
 } from '@/store/action-types.js'
 import { ambianicConf } from '@/config'
+import { settingsDB } from '@/store/db'
+import { localdb } from '@/store/localdb'
+import { PNP_SETTINGS_KEY, defaultPnpSettings } from '@/store/pnp-settings'
 
 import Peer from 'peerjs'
 import { PeerRoom } from '@/remote/peer-room'
@@ -62,12 +73,19 @@ describe('PnP state machine actions - p2p communication layer', () => {
     global.Storage.prototype.setItem = jest.fn()
     global.Storage.prototype.getItem = jest.fn()
     global.Storage.prototype.removeItem = jest.fn()
+    // jsdom does not implement WebCrypto
+    Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true })
   })
 
   beforeEach(() => {
     localVue = createLocalVue()
     localVue.use(Vuex)
-    store = new Vuex.Store({ modules: { pnp: cloneDeep(pnpStoreModule) } })
+    store = new Vuex.Store({
+      modules: {
+        pnp: cloneDeep(pnpStoreModule),
+        myDevices: cloneDeep(myDevicesStoreModule)
+      }
+    })
     // mocking window.RTCPeerConnection
     const mockPeerConnection = jest.fn()
     // mocking the RTCPeerConnection.on() method
@@ -83,6 +101,12 @@ describe('PnP state machine actions - p2p communication layer', () => {
     jest.resetAllMocks()
   })
 
+  // emulate the state of the connection to a remote peer in the registry
+  function emulateConnection (peerID, fields) {
+    store.commit(PEER_DISCONNECTED, peerID)
+    Object.assign(store.getters.deviceConnection(peerID), fields)
+  }
+
   // test Vuex actions
 
   // Tests functions are async since Vuex actions are async.
@@ -104,11 +128,77 @@ describe('PnP state machine actions - p2p communication layer', () => {
         host: ambianicConf.AMBIANIC_PNP_HOST,
         port: ambianicConf.AMBIANIC_PNP_PORT,
         secure: ambianicConf.AMBIANIC_PNP_SECURE,
-        config: ambianicConf.ICE_CONFIG,
+        config: { ...ambianicConf.ICE_CONFIG, iceServers: defaultPnpSettings().iceServers },
         debug: 3
       })
   })
 
+  test('INITIALIZE_PNP replaces an existing peer', async () => {
+    await store.dispatch(PNP_SERVICE_CONNECT)
+    const oldPeer = store.state.pnp.peer
+    await store.dispatch(INITIALIZE_PNP)
+    // the old peer must not reconnect itself to the signaling server
+    expect(oldPeer.removeAllListeners).toHaveBeenCalledTimes(1)
+    expect(oldPeer.destroy).toHaveBeenCalledTimes(1)
+    expect(Peer).toHaveBeenCalledTimes(2)
+    expect(store.state.pnp.peer).not.toBe(oldPeer)
+    expect(store.state.pnp.pnpServiceConnectionStatus).toBe(PNP_SERVICE_CONNECTING)
+  })
+
+  test('SAVE_PNP_SETTINGS reconnects to the PnP service with the new servers', async () => {
+    // IndexedDB needs real timers
+    jest.useRealTimers()
+    await store.dispatch(PNP_SERVICE_CONNECT)
+    const oldPeer = store.state.pnp.peer
+    const iceServers = [{ urls: 'turn:turn.example.com:3478', username: 'ambianic', credential: 'secret' }]
+    await store.dispatch(SAVE_PNP_SETTINGS, { host: 'pnp.example.com', port: '9779', secure: false, iceServers })
+    expect(oldPeer.destroy).toHaveBeenCalledTimes(1)
+    expect(Peer).toHaveBeenLastCalledWith(store.state.myPeerId, expect.objectContaining({
+      host: 'pnp.example.com',
+      port: 9779,
+      secure: false,
+      config: expect.objectContaining({ iceServers })
+    }))
+    expect(await settingsDB.get(PNP_SETTINGS_KEY)).toEqual(store.state.pnp.pnpSettings)
+    // a fresh store picks up the saved settings
+    const otherStore = new Vuex.Store({ modules: { pnp: cloneDeep(pnpStoreModule) } })
+    await otherStore.dispatch(LOAD_PNP_SETTINGS)
+    expect(otherStore.state.pnp.pnpSettings).toEqual(store.state.pnp.pnpSettings)
+    // back to the defaults
+    await store.dispatch(RESET_PNP_SETTINGS)
+    expect(store.state.pnp.pnpSettings).toEqual(defaultPnpSettings())
+    expect(Peer).toHaveBeenCalledTimes(3)
+    expect(await settingsDB.get(PNP_SETTINGS_KEY)).toBeUndefined()
+  })
+
+  test('PNP_SERVICE_CONNECT waits for the saved PnP settings to load', async () => {
+    // IndexedDB needs real timers
+    jest.useRealTimers()
+    await settingsDB.set(PNP_SETTINGS_KEY, { ...defaultPnpSettings(), host: 'pnp.example.com', port: 9779 })
+    // as on app start, the settings load while the first device connects
+    const loading = store.dispatch(LOAD_PNP_SETTINGS)
+    await store.dispatch(PNP_SERVICE_CONNECT)
+    expect(Peer).toHaveBeenCalledTimes(1)
+    expect(Peer).toHaveBeenCalledWith(store.state.myPeerId, expect.objectContaining({
+      host: 'pnp.example.com',
+      port: 9779
+    }))
+    await loading
+    // no second peer with the loaded settings is needed
+    expect(Peer).toHaveBeenCalledTimes(1)
+    await settingsDB.delete(PNP_SETTINGS_KEY)
+  })
+
+  test('SAVE_PNP_SETTINGS rejects invalid settings and keeps the connection', async () => {
+    jest.useRealTimers()
+    await store.dispatch(PNP_SERVICE_CONNECT)
+    const peer = store.state.pnp.peer
+    await expect(store.dispatch(SAVE_PNP_SETTINGS, { ...defaultPnpSettings(), host: 'https://pnp.example.com' }))
+      .rejects.toThrow('Must be a host name or IP address without http:// or a path.')
+    expect(store.state.pnp.peer).toBe(peer)
+    expect(store.state.pnp.pnpSettings).toEqual(defaultPnpSettings())
+  })
+
   test('PNP_SERVICE_CONNECT on app start', async () => {
     expect(store.state.pnp.peerConnection).toBe(undefined)
     expect(store.state.pnp.peerConnectionStatus).toBe(PEER_DISCONNECTED)
@@ -304,8 +394,6 @@ describe('PnP state machine actions - p2p communication layer', () => {
   })
 
   test('PEER_CONNECT attempt connection to a remote peer that is not responding', async () => {
-    // emulate peer is disconnected
-    store.state.pnp.peerConnectionStatus = PEER_DISCONNECTED
     // emulate PNP signaling service connection exists
     store.commit(PNP_SERVICE_CONNECTED)
     // emulate peer instance exists and local peer id is known
@@ -314,17 +402,17 @@ describe('PnP state machine actions - p2p communication layer', () => {
     peer.id = 'some_ID'
     expect(Peer).toHaveBeenCalledTimes(1)
     store.state.pnp.myPeerId = 'some_saved_ID'
-    // emulate a dangling peerConnection still exists
-    const peerConnection = jest.fn()
-    store.state.pnp.peerConnection = peerConnection
-    peerConnection.close = jest.fn()
     // emulate a known remote peer id
     const remotePeerId = 'a_known_remote_peer_id'
+    // emulate peer is disconnected and a dangling peerConnection still exists
+    const peerConnection = jest.fn()
+    peerConnection.close = jest.fn()
+    emulateConnection(remotePeerId, { peerConnection })
     // emulate PEER_CONNECT vuex action
     await store.dispatch(PEER_CONNECT, remotePeerId)
 
-    expect(store.state.pnp.peerConnection.close).toHaveBeenCalledTimes(1)
-    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTING)
+    expect(peerConnection.close).toHaveBeenCalledTimes(1)
+    expect(store.getters.deviceConnection(remotePeerId).peerConnectionStatus).toBe(PEER_CONNECTING)
 
     // At this point in time, there should have been a single call to
     // setTimeout to schedule a check on pending connections in 30 seconds
@@ -361,8 +449,6 @@ describe('PnP state machine actions - p2p communication layer', () => {
   })
 
   test('PEER_CONNECT attempt when peer already CONNECTING', async () => {
-    // emulate peer is disconnected
-    store.state.pnp.peerConnectionStatus = PEER_CONNECTING
     // emulate PNP signaling service connection exists
     store.state.pnp.pnpServiceConnectionStatus = PNP_SERVICE_CONNECTED
     // emulate peer instance exists and local peer id is known
@@ -371,25 +457,23 @@ describe('PnP state machine actions - p2p communication layer', () => {
     peer.id = 'some_ID'
     expect(Peer).toHaveBeenCalledTimes(1)
     store.state.pnp.myPeerId = 'some_saved_ID'
-    // emulate a dangling peerConnection still exists
+    // emulate a known remote peer id
+    const remotePeerId = 'a_known_remote_peer_id'
+    // emulate the peer connection is in progress
     const peerConnection = jest.fn()
-    store.state.pnp.peerConnection = peerConnection
     peerConnection.close = jest.fn()
     peerConnection.connect = jest.fn()
-    // emulate a known remote peer id
-    const remotePeerId = 'a_known_remote_peer_id'
+    emulateConnection(remotePeerId, { peerConnection, peerConnectionStatus: PEER_CONNECTING })
     // emulate PEER_CONNECT vuex action
     await store.dispatch(PEER_CONNECT, remotePeerId)
-    expect(store.state.pnp.peerConnection.close).toHaveBeenCalledTimes(0)
-    expect(store.state.pnp.peerConnection.connect).toHaveBeenCalledTimes(0)
+    expect(peerConnection.close).toHaveBeenCalledTimes(0)
+    expect(peerConnection.connect).toHaveBeenCalledTimes(0)
     expect(setTimeout).toHaveBeenCalledTimes(0)
     expect(peer.destroy).toHaveBeenCalledTimes(0)
-    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTING)
+    expect(store.getters.deviceConnection(remotePeerId).peerConnectionStatus).toBe(PEER_CONNECTING)
   })
 
   test('PEER_CONNECT attempt when peer already CONNECTED', async () => {
-    // emulate peer is disconnected
-    store.state.pnp.peerConnectionStatus = PEER_CONNECTED
     // emulate PNP signaling service connection exists
     store.state.pnp.pnpServiceConnectionStatus = PNP_SERVICE_CONNECTED
     // emulate peer instance exists and local peer id is known
@@ -398,20 +482,20 @@ describe('PnP state machine actions - p2p communication layer', () => {
     peer.id = 'some_ID'
     expect(Peer).toHaveBeenCalledTimes(1)
     store.state.pnp.myPeerId = 'some_saved_ID'
-    // emulate a dangling peerConnection still exists
+    // emulate a known remote peer id
+    const remotePeerId = 'a_known_remote_peer_id'
+    // emulate the peer connection is in progress
     const peerConnection = jest.fn()
-    store.state.pnp.peerConnection = peerConnection
     peerConnection.close = jest.fn()
     peerConnection.connect = jest.fn()
-    // emulate a known remote peer id
-    const remotePeerId = 'a_known_remote_peer_id'
+    emulateConnection(remotePeerId, { peerConnection, peerConnectionStatus: PEER_CONNECTED })
     // emulate PEER_CONNECT vuex action
     await store.dispatch(PEER_CONNECT, remotePeerId)
-    expect(store.state.pnp.peerConnection.close).toHaveBeenCalledTimes(0)
-    expect(store.state.pnp.peerConnection.connect).toHaveBeenCalledTimes(0)
+    expect(peerConnection.close).toHaveBeenCalledTimes(0)
+    expect(peerConnection.connect).toHaveBeenCalledTimes(0)
     expect(setTimeout).toHaveBeenCalledTimes(0)
     expect(peer.destroy).toHaveBeenCalledTimes(0)
-    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    expect(store.getters.deviceConnection(remotePeerId).peerConnectionStatus).toBe(PEER_CONNECTED)
   })
 
   test('pnp service "error" callback: Peer.on("error")', async () => {
@@ -556,6 +640,11 @@ describe('PnP state machine actions - p2p communication layer', () => {
     expect(PeerFetch).toHaveBeenCalledWith(peerConnection)
     const peerFetch = PeerFetch.mock.instances[0]
     expect(store.state.pnp.peerFetch).toBe(peerFetch)
+    // link metrics of the connection are published in the store
+    expect(peerFetch.onMetrics).toHaveBeenCalledTimes(1)
+    const onMetrics = peerFetch.onMetrics.mock.calls[0][0]
+    onMetrics({ rtt: 42 })
+    expect(store.state.pnp.linkMetrics).toEqual({ rtt: 42 })
     // check if the peer authentication sequence has been scheduled
     expect(setTimeout).toHaveBeenCalledTimes(1)
   })
@@ -596,7 +685,7 @@ describe('PnP state machine actions - p2p communication layer', () => {
         peerConnection.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'error')
     // emulate peerConnection.on('error')
     onPeerConnectionOpenCallback[1]()
-    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTION_ERROR)
+    expect(store.getters.deviceConnection('a_remote_peer_id').peerConnectionStatus).toBe(PEER_CONNECTION_ERROR)
     expect(store.state.pnp.userMessage).toEqual(expect.stringContaining('Error in connection to remote peer ID'))
   })
 
@@ -625,9 +714,9 @@ describe('PnP state machine actions - p2p communication layer', () => {
         return 'Ambianic'
       }
     )
-    store.state.pnp.peerFetch = peerFetch
     // mock reused remote peer id
     store.state.pnp.remotePeerId = peerConnection.peer
+    emulateConnection(peerConnection.peer, { peerFetch })
     let newRemotePeerIdCommitted = false
     let newRemotePeerIdValue
     const unsub = store.subscribe((mutation, state) => {
@@ -639,18 +728,100 @@ describe('PnP state machine actions - p2p communication layer', () => {
       console.debug('mutation.payload', mutation.payload)
     })
     await store.dispatch(PEER_AUTHENTICATE, peerConnection)
-    expect(peerFetch.request).toHaveBeenCalledTimes(1)
-    expect(peerFetch.request).toHaveBeenCalledWith({ method: 'GET', url: 'http://localhost:8778/' })
+    expect(peerFetch.request).toHaveBeenCalledTimes(2)
+    expect(peerFetch.request).toHaveBeenNthCalledWith(1, {
+      method: 'GET',
+      url: 'http://localhost:8778/',
+      priority: 'high',
+      headers: { 'X-Ambianic-Challenge': expect.any(String) }
+    })
+    // the authenticated device is asked for its LAN address
+    expect(peerFetch.request).toHaveBeenLastCalledWith(
+      expect.objectContaining({ url: 'http://localhost:8778/api/status' }))
     expect(store.state.pnp.peerConnection).toBe(peerConnection)
     expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
     expect(window.localStorage.setItem).not.toHaveBeenCalled()
+    expect(store.state.pnp.edgeTransport).toBe('webrtc')
     expect(newRemotePeerIdCommitted).toBeFalsy()
     expect(newRemotePeerIdValue).toBeUndefined()
     // release mutation subscription
     unsub()
   })
 
-  test('PEER_AUTHENTICATE with 200 response and authentication passing and a new remote peer id.', async () => {
+  test('PEER_AUTHENTICATE offers direct LAN access only at the origin the edge device reports.', async () => {
+    const peerConnection = jest.fn()
+    peerConnection.peer = 'a_remote_peer_id'
+    const peerFetch = new PeerFetch()
+    jest.spyOn(PeerFetch.prototype, 'request')
+      .mockImplementationOnce(() => ({ header: { status: 200 } }))
+      .mockImplementationOnce(() => ({ header: { status: 200 }, content: 'status' }))
+    jest.spyOn(PeerFetch.prototype, 'textDecode').mockImplementationOnce(() => 'Ambianic')
+    jest.spyOn(PeerFetch.prototype, 'jsonify').mockImplementationOnce(
+      () => ({ status: 'OK', lan_origin: 'http://192.168.1.20:8778' }))
+    store.state.pnp.remotePeerId = peerConnection.peer
+    emulateConnection(peerConnection.peer, { peerFetch })
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    const transports = store.state.pnp.edgeAPI.transports
+    expect(transports.map(transport => transport.name)).toEqual(['http', 'webrtc'])
+    expect(transports[0].origin).toEqual('http://192.168.1.20:8778')
+  })
+
+  test('PEER_AUTHENTICATE opens an event channel when the remote peer pushes events.', async () => {
+    const peerConnection = jest.fn()
+    peerConnection.peer = 'a_remote_peer_id'
+    const peerFetch = new PeerFetch()
+    jest.spyOn(PeerFetch.prototype, 'request').mockImplementationOnce(
+      () => ({ header: { status: 200 } })
+    )
+    jest.spyOn(PeerFetch.prototype, 'textDecode').mockImplementationOnce(
+      () => 'Ambianic'
+    )
+    jest.spyOn(PeerFetch.prototype, 'hasCapability').mockImplementation(
+      (capability) => capability === 'events'
+    )
+    const eventConnection = { on: jest.fn() }
+    const peer = new Peer()
+    peer.connect = jest.fn().mockReturnValue(eventConnection)
+    store.state.pnp.peer = peer
+    store.state.pnp.remotePeerId = peerConnection.peer
+    emulateConnection(peerConnection.peer, { peerFetch })
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    expect(peer.connect).toHaveBeenCalledTimes(1)
+    expect(peer.connect).toHaveBeenCalledWith('a_remote_peer_id', {
+      label: 'events', reliable: true, serialization: 'raw'
+    })
+    expect(eventConnection.on).toHaveBeenCalledWith('error', expect.anything())
+    expect(peerFetch.attachEventChannel).toHaveBeenCalledWith(eventConnection)
+  })
+
+  test('PEER_AUTHENTICATE keeps a separate connection for each device.', async () => {
+    store.state.pnp.remotePeerId = 'peer_a'
+    for (const peerID of ['peer_a', 'peer_b']) {
+      const peerConnection = jest.fn()
+      peerConnection.peer = peerID
+      emulateConnection(peerID, { peerFetch: new PeerFetch() })
+      jest.spyOn(PeerFetch.prototype, 'request').mockImplementationOnce(
+        () => ({ header: { status: 200 } })
+      )
+      jest.spyOn(PeerFetch.prototype, 'textDecode').mockImplementationOnce(() => 'Ambianic')
+      await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    }
+    expect(store.getters.connectedPeerIds).toEqual(['peer_a', 'peer_b'])
+    // authenticating another device does not change the current one
+    expect(store.state.pnp.remotePeerId).toBe('peer_a')
+    const connectionA = store.getters.deviceConnection('peer_a')
+    const connectionB = store.getters.deviceConnection('peer_b')
+    expect(store.state.pnp.edgeAPI).toBe(connectionA.edgeAPI)
+    expect(connectionB.edgeAPI).not.toBe(connectionA.edgeAPI)
+    // each EdgeAPI talks to its own device
+    expect(connectionB.edgeAPI.pnp.state.remotePeerId).toBe('peer_b')
+    expect(connectionB.edgeAPI.pnp.state.peerFetch).toBe(connectionB.peerFetch)
+    expect(connectionB.peerFetch).not.toBe(connectionA.peerFetch)
+  })
+
+  test('PEER_AUTHENTICATE with 200 response and authentication passing and no current remote peer id.', async () => {
     // emulate an RTCPeerConnection has been established
     const peerConnection = jest.fn()
     peerConnection.dataChannel = jest.fn()
@@ -675,9 +846,9 @@ describe('PnP state machine actions - p2p communication layer', () => {
         return 'Ambianic'
       }
     )
-    store.state.pnp.peerFetch = peerFetch
-    // mock using a new remote peer id
-    store.state.pnp.remotePeerId = 'a_saved_remote_peer_id'
+    emulateConnection(peerConnection.peer, { peerFetch })
+    // mock there is no current remote peer yet
+    store.state.pnp.remotePeerId = undefined
     let newRemotePeerIdCommitted = false
     let newRemotePeerIdValue
     const unsub = store.subscribe((mutation, state) => {
@@ -689,8 +860,16 @@ describe('PnP state machine actions - p2p communication layer', () => {
       console.debug('mutation.payload', mutation.payload)
     })
     await store.dispatch(PEER_AUTHENTICATE, peerConnection)
-    expect(peerFetch.request).toHaveBeenCalledTimes(1)
-    expect(peerFetch.request).toHaveBeenCalledWith({ method: 'GET', url: 'http://localhost:8778/' })
+    expect(peerFetch.request).toHaveBeenCalledTimes(2)
+    expect(peerFetch.request).toHaveBeenNthCalledWith(1, {
+      method: 'GET',
+      url: 'http://localhost:8778/',
+      priority: 'high',
+      headers: { 'X-Ambianic-Challenge': expect.any(String) }
+    })
+    // the authenticated device is asked for its LAN address
+    expect(peerFetch.request).toHaveBeenLastCalledWith(
+      expect.objectContaining({ url: 'http://localhost:8778/api/status' }))
     expect(store.state.pnp.peerConnection).toBe(peerConnection)
     expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
     console.debug('window.localStorage', window.localStorage)
@@ -702,6 +881,158 @@ describe('PnP state machine actions - p2p communication layer', () => {
     expect(window.localStorage.setItem).toHaveBeenCalledWith(`${STORAGE_KEY}.remotePeerId`, 'a_new_remote_peer_id')
   })
 
+  // emulate an edge device that answers authentication challenges
+  async function mockChallengeResponse ({ privateKey, publicKey }) {
+    const spki = await webcrypto.subtle.exportKey('spki', publicKey)
+    jest.spyOn(PeerFetch.prototype, 'request').mockImplementationOnce(
+      async (request) => {
+        const nonce = request.headers['X-Ambianic-Challenge']
+        const message = `ambianic-peer-auth-v1:a_remote_peer_id:${nonce}`
+        const signature = await webcrypto.subtle.sign(
+          { name: 'ECDSA', hash: 'SHA-256' }, privateKey, Buffer.from(message))
+        return {
+          header: { status: 200 },
+          content: JSON.stringify({
+            public_key: Buffer.from(spki).toString('base64'),
+            signature: Buffer.from(signature).toString('base64')
+          })
+        }
+      }
+    )
+    jest.spyOn(PeerFetch.prototype, 'textDecode').mockImplementationOnce(content => content)
+    return Buffer.from(spki).toString('base64')
+  }
+
+  function generateEdgeKey () {
+    return webcrypto.subtle.generateKey(
+      { name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify'])
+  }
+
+  test('PEER_AUTHENTICATE pins the key of an edge device that signs the challenge.', async () => {
+    const peerConnection = jest.fn()
+    peerConnection.peer = 'a_remote_peer_id'
+    store.state.pnp.remotePeerId = peerConnection.peer
+    emulateConnection(peerConnection.peer, { peerFetch: new PeerFetch() })
+    await store.dispatch('myDevices/updateFromRemote', { peerID: peerConnection.peer })
+    const publicKey = await mockChallengeResponse(await generateEdgeKey())
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    expect(await store.dispatch('myDevices/getPublicKey', 'a_remote_peer_id')).toEqual(publicKey)
+    expect(store.state.pnp.pairingKeys).toEqual({})
+    await store.dispatch('myDevices/forget', 'a_remote_peer_id')
+  })
+
+  test('PEER_AUTHENTICATE does not add an edge device that is not in My Devices.', async () => {
+    const peerConnection = jest.fn()
+    peerConnection.peer = 'a_remote_peer_id'
+    peerConnection.close = jest.fn()
+    store.state.pnp.remotePeerId = peerConnection.peer
+    emulateConnection(peerConnection.peer, { peerFetch: new PeerFetch() })
+    const edgeKey = await generateEdgeKey()
+    const publicKey = await mockChallengeResponse(edgeKey)
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    expect(await localdb.myDevices.get(peerConnection.peer)).toBeUndefined()
+    // the proven key is kept until the device is added
+    expect(store.state.pnp.pairingKeys).toEqual({ [peerConnection.peer]: publicKey })
+    // and expected from it meanwhile
+    await mockChallengeResponse(await generateEdgeKey())
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTION_ERROR)
+    expect(peerConnection.close).toHaveBeenCalledTimes(1)
+    expect(await localdb.myDevices.get(peerConnection.peer)).toBeUndefined()
+  })
+
+  test('PEER_AUTHENTICATE pins the key from a pairing code only after the edge device proves it holds it.', async () => {
+    const peerConnection = jest.fn()
+    peerConnection.peer = 'a_remote_peer_id'
+    peerConnection.close = jest.fn()
+    store.state.pnp.remotePeerId = peerConnection.peer
+    emulateConnection(peerConnection.peer, { peerFetch: new PeerFetch() })
+    const edgeKey = await generateEdgeKey()
+    const spki = await webcrypto.subtle.exportKey('spki', edgeKey.publicKey)
+    const pairingKey = Buffer.from(spki).toString('base64')
+    // a device that does not hold the key from the pairing code is blocked
+    store.commit(PAIRING_KEY, { peerID: peerConnection.peer, publicKey: pairingKey })
+    await mockChallengeResponse(await generateEdgeKey())
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTION_ERROR)
+    expect(store.state.pnp.userMessage).toEqual(expect.stringContaining('the one in the pairing code'))
+    expect(peerConnection.close).toHaveBeenCalledTimes(1)
+    // and no device card is added for it
+    expect(await localdb.myDevices.get(peerConnection.peer)).toBeUndefined()
+    expect(store.state.pnp.pairingKeys).toEqual({})
+    // so is one that presents the key from the pairing code without holding it
+    store.commit(PAIRING_KEY, { peerID: peerConnection.peer, publicKey: pairingKey })
+    const otherKey = await generateEdgeKey()
+    await mockChallengeResponse({ privateKey: otherKey.privateKey, publicKey: edgeKey.publicKey })
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTION_ERROR)
+    expect(store.state.pnp.userMessage).toEqual(expect.stringContaining('Security warning'))
+    expect(peerConnection.close).toHaveBeenCalledTimes(2)
+    expect(await localdb.myDevices.get(peerConnection.peer)).toBeUndefined()
+    // an authentication that fails for other reasons keeps the pairing key
+    store.commit(PAIRING_KEY, { peerID: peerConnection.peer, publicKey: pairingKey })
+    jest.spyOn(PeerFetch.prototype, 'request').mockImplementationOnce(
+      () => ({ header: { status: 500 } }))
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTION_ERROR)
+    expect(store.state.pnp.pairingKeys).toEqual({ [peerConnection.peer]: pairingKey })
+    // the genuine device is accepted and its key pinned once it is added
+    await mockChallengeResponse(edgeKey)
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    expect(await localdb.myDevices.get(peerConnection.peer)).toBeUndefined()
+    expect(store.state.pnp.pairingKeys).toEqual({ [peerConnection.peer]: pairingKey })
+    await store.dispatch('myDevices/updateFromRemote', { peerID: peerConnection.peer })
+    await mockChallengeResponse(edgeKey)
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    expect(await store.dispatch('myDevices/getPublicKey', 'a_remote_peer_id')).toEqual(pairingKey)
+    expect(store.state.pnp.pairingKeys).toEqual({})
+    await store.dispatch('myDevices/forget', 'a_remote_peer_id')
+  })
+
+  test('PEER_AUTHENTICATE blocks an edge device with a different key.', async () => {
+    const peerConnection = jest.fn()
+    peerConnection.peer = 'a_remote_peer_id'
+    peerConnection.close = jest.fn()
+    store.state.pnp.remotePeerId = peerConnection.peer
+    emulateConnection(peerConnection.peer, { peerFetch: new PeerFetch() })
+    await store.dispatch('myDevices/updateFromRemote', { peerID: peerConnection.peer })
+    const edgeKey = await generateEdgeKey()
+    await mockChallengeResponse(edgeKey)
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    // the genuine device connects again with its pinned key
+    await mockChallengeResponse(edgeKey)
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    expect(peerConnection.close).not.toHaveBeenCalled()
+    // an impostor with the same peer id but another key is blocked
+    // and not retried, even when it answered a reconnect attempt
+    store.commit(PEER_RECONNECT_SCHEDULED,
+      { peerID: peerConnection.peer, attempt: 2, delay: 0, timer: undefined })
+    await mockChallengeResponse(await generateEdgeKey())
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTION_ERROR)
+    expect(store.state.pnp.userMessage).toEqual(expect.stringContaining('Security warning'))
+    expect(store.state.pnp.userMessage).toEqual(expect.stringContaining('different key'))
+    expect(peerConnection.close).toHaveBeenCalledTimes(1)
+    expect(store.state.pnp.peerReconnect.attempt).toBe(0)
+    expect(store.state.pnp.peerReconnectTimer).toBeUndefined()
+    // so is one that does not answer the challenge at all
+    jest.spyOn(PeerFetch.prototype, 'request').mockImplementationOnce(
+      () => ({ header: { status: 200 }, content: 'Ambianic Edge' }))
+    jest.spyOn(PeerFetch.prototype, 'textDecode').mockImplementationOnce(content => content)
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTION_ERROR)
+    expect(store.state.pnp.userMessage).toEqual(expect.stringContaining('did not prove its identity'))
+    expect(peerConnection.close).toHaveBeenCalledTimes(2)
+    expect(store.state.pnp.peerReconnectTimer).toBeUndefined()
+    await store.dispatch('myDevices/forget', 'a_remote_peer_id')
+  })
+
   test('Exception thrown while handling PEER_AUTHENTICATE.', async () => {
     // emulate an RTCPeerConnection has been established
     const peerConnection = jest.fn()
@@ -716,7 +1047,7 @@ describe('PnP state machine actions - p2p communication layer', () => {
         throw new Error('Some kind of problem occured during peer discovery.')
       }
     )
-    store.state.pnp.peerFetch = peerFetch
+    emulateConnection(peerConnection.peer, { peerFetch })
     let userMessage
     const unsub = store.subscribe((mutation, state) => {
       if (mutation.type === USER_MESSAGE) {
@@ -727,17 +1058,47 @@ describe('PnP state machine actions - p2p communication layer', () => {
     })
     await store.dispatch(PEER_AUTHENTICATE, peerConnection)
     expect(peerFetch.request).toHaveBeenCalledTimes(1)
-    expect(peerFetch.request).toHaveBeenCalledWith({ method: 'GET', url: 'http://localhost:8778/' })
+    expect(peerFetch.request).toHaveBeenCalledWith({
+      method: 'GET',
+      url: 'http://localhost:8778/',
+      priority: 'high',
+      headers: { 'X-Ambianic-Challenge': expect.any(String) }
+    })
     expect(userMessage).toBe('Remote peer authentication failed.')
     // release mutation subscription
     unsub()
   })
 
+  test('PEER_AUTHENTICATE fails with a clear message on protocol mismatch.', async () => {
+    const peerConnection = jest.fn()
+    peerConnection.peer = 'a_remote_peer_id'
+    const peerFetch = new PeerFetch()
+    const errMsg = 'Edge device uses protocol version 2, which is newer than this app supports. Please update Ambianic UI.'
+    peerFetch.handshake.mockRejectedValueOnce(new Error(errMsg))
+    peerConnection.close = jest.fn()
+    store.state.pnp.remotePeerId = peerConnection.peer
+    // emulate a reconnect attempt, which must not be retried
+    emulateConnection(peerConnection.peer, { peerFetch, peerReconnect: { attempt: 2 } })
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(peerFetch.request).not.toHaveBeenCalled()
+    expect(peerConnection.close).toHaveBeenCalledTimes(1)
+    expect(store.state.pnp.userMessage).toBe(errMsg)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTION_ERROR)
+    expect(store.state.pnp.peerReconnect.attempt).toBe(0)
+    expect(store.state.pnp.peerReconnectTimer).toBeFalsy()
+  })
+
   test('CHANGE_REMOTE_PEER_ID action', async () => {
     // emulate PNP signaling server connection established
     store.commit(PNP_SERVICE_CONNECTED)
     // emulate existing peer instance
     store.state.pnp.peer = new Peer()
+    // emulate a connected current device
+    store.state.pnp.remotePeerId = 'a_previous_remote_peer_id'
+    const previousConnection = jest.fn()
+    previousConnection.close = jest.fn()
+    emulateConnection('a_previous_remote_peer_id',
+      { peerConnection: previousConnection, peerConnectionStatus: PEER_CONNECTED })
     let newRemotePeerIdCommitted = false
     let newRemotePeerIdValue
     const unsub = store.subscribe((mutation, state) => {
@@ -759,16 +1120,19 @@ describe('PnP state machine actions - p2p communication layer', () => {
     expect(store.state.pnp.peerConnection).toBeUndefined()
     expect(store.state.pnp.peerFetch).toBeUndefined()
     expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTING)
+    // the previous device stays connected
+    expect(previousConnection.close).not.toHaveBeenCalled()
+    expect(store.getters.isDeviceConnected('a_previous_remote_peer_id')).toBeTrue()
   })
 
   test('REMOVE_REMOTE_PEER_ID action', async () => {
     // emulate existing peer instance
     store.state.pnp.peer = new Peer()
     // emulate existing peerConnection
-    store.state.pnp.peerConnectionStatus = PEER_CONNECTED
+    store.state.pnp.remotePeerId = 'a_remote_peer_id'
     const peerConnection = jest.fn()
     peerConnection.close = jest.fn()
-    store.state.pnp.peerConnection = peerConnection
+    emulateConnection('a_remote_peer_id', { peerConnection, peerConnectionStatus: PEER_CONNECTED })
     const mutations = []
     const unsub = store.subscribe((mutation, state) => {
       mutations.push(mutation.type)
@@ -788,7 +1152,7 @@ describe('PnP state machine actions - p2p communication layer', () => {
     // emulate existing peer instance
     store.state.pnp.peer = new Peer()
     // emulate existing peerConnection
-    store.state.pnp.peerConnectionStatus = PEER_CONNECTED
+    store.state.pnp.remotePeerId = 'a_remote_peer_id'
     const peerConnection = jest.fn()
     // emulate exception thrown on connection close
     peerConnection.close = jest.fn().mockImplementationOnce(
@@ -796,7 +1160,7 @@ describe('PnP state machine actions - p2p communication layer', () => {
         throw new Error('Error while closing peerConnection.')
       }
     )
-    store.state.pnp.peerConnection = peerConnection
+    emulateConnection('a_remote_peer_id', { peerConnection, peerConnectionStatus: PEER_CONNECTED })
     const mutations = []
     const unsub = store.subscribe((mutation, state) => {
       mutations.push(mutation.type)
@@ -811,4 +1175,91 @@ describe('PnP state machine actions - p2p communication layer', () => {
     expect(mutations[2]).toBe('REMOTE_PEER_ID_REMOVED')
     expect(peerConnection.close).toHaveBeenCalledTimes(1)
   })
+
+  function peerConnectionCallback (peerConnection, event) {
+    const calls = peerConnection.on.mock.calls.filter(callbackDetails => callbackDetails[0] === event)
+    return calls[calls.length - 1][1]
+  }
+
+  test('lost peer connection is reconnected with backoff until the user disconnects', async () => {
+    await store.dispatch(PNP_SERVICE_CONNECT)
+    store.commit(PNP_SERVICE_CONNECTED)
+    const peer = store.state.pnp.peer
+    store.state.pnp.remotePeerId = 'a_remote_peer_id'
+    // emulate an established and authenticated peer connection
+    const onConnectionCallback = peer.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'connection')
+    const peerConnection = peer.connect('a_remote_peer_id')
+    peerConnection.peer = 'a_remote_peer_id'
+    onConnectionCallback[1](peerConnection)
+    store.commit(PEER_CONNECTED, peerConnection)
+    setTimeout.mockClear()
+    // emulate the connection dropping
+    peerConnectionCallback(peerConnection, 'close')()
+    await flushPromises()
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_DISCONNECTED)
+    expect(store.state.pnp.peerReconnect.attempt).toBe(1)
+    expect(setTimeout).toHaveBeenCalledTimes(1)
+    const firstDelay = setTimeout.mock.calls[0][1]
+    expect(firstDelay).toBeGreaterThanOrEqual(500)
+    expect(firstDelay).toBeLessThanOrEqual(1000)
+    // the first attempt connects to the last remote peer
+    peer.connect.mockClear()
+    jest.runOnlyPendingTimers()
+    await flushPromises()
+    expect(peer.connect).toHaveBeenCalledTimes(1)
+    expect(peer.connect).toHaveBeenCalledWith('a_remote_peer_id', expect.anything())
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTING)
+    // the attempt fails with an error and a close event,
+    // which schedule a single next attempt
+    setTimeout.mockClear()
+    peerConnectionCallback(peerConnection, 'error')()
+    peerConnectionCallback(peerConnection, 'close')()
+    await flushPromises()
+    expect(store.state.pnp.peerReconnect.attempt).toBe(2)
+    expect(setTimeout).toHaveBeenCalledTimes(1)
+    const secondDelay = setTimeout.mock.calls[0][1]
+    expect(secondDelay).toBeGreaterThanOrEqual(1000)
+    expect(secondDelay).toBeLessThanOrEqual(2000)
+    // the user disconnects explicitly
+    await store.dispatch(PEER_DISCONNECT)
+    expect(store.state.pnp.peerReconnect).toEqual({ attempt: 0, nextAttemptAt: undefined })
+    peer.connect.mockClear()
+    jest.runOnlyPendingTimers()
+    await flushPromises()
+    expect(peer.connect).not.toHaveBeenCalled()
+  })
+
+  test('explicit disconnect does not reconnect', async () => {
+    await store.dispatch(PNP_SERVICE_CONNECT)
+    const peer = store.state.pnp.peer
+    store.state.pnp.remotePeerId = 'a_remote_peer_id'
+    const onConnectionCallback = peer.on.mock.calls.find(callbackDetails => callbackDetails[0] === 'connection')
+    const peerConnection = peer.connect('a_remote_peer_id')
+    onConnectionCallback[1](peerConnection)
+    store.commit(PEER_CONNECTED, peerConnection)
+    // PeerJS emits the close event while closing the connection
+    peerConnection.close = jest.fn(() => peerConnectionCallback(peerConnection, 'close')())
+    setTimeout.mockClear()
+    await store.dispatch(PEER_DISCONNECT)
+    await flushPromises()
+    expect(peerConnection.close).toHaveBeenCalledTimes(1)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_DISCONNECTED)
+    expect(store.state.pnp.peerReconnect.attempt).toBe(0)
+    expect(setTimeout).not.toHaveBeenCalled()
+  })
+
+  test('successful reconnect stops the reconnection attempts', async () => {
+    const peerConnection = jest.fn()
+    peerConnection.peer = 'a_remote_peer_id'
+    store.state.pnp.remotePeerId = peerConnection.peer
+    emulateConnection(peerConnection.peer, { peerFetch: new PeerFetch() })
+    jest.spyOn(PeerFetch.prototype, 'request').mockImplementationOnce(
+      () => ({ header: { status: 200 } })
+    )
+    jest.spyOn(PeerFetch.prototype, 'textDecode').mockImplementationOnce(() => 'Ambianic')
+    store.commit(PEER_RECONNECT_SCHEDULED, { attempt: 3, delay: 0, timer: undefined })
+    await store.dispatch(PEER_AUTHENTICATE, peerConnection)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    expect(store.state.pnp.peerReconnect).toEqual({ attempt: 0, nextAttemptAt: undefined })
+  })
 })
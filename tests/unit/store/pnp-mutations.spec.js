@@ -18,7 +18,11 @@ import {
   NEW_PEER_ID,
   NEW_REMOTE_PEER_ID,
   REMOTE_PEER_ID_REMOVED,
-  PEER_FETCH
+  PEER_FETCH,
+  LINK_METRICS,
+  PEER_RECONNECT_SCHEDULED,
+  PEER_RECONNECTING,
+  PEER_RECONNECT_STOPPED
 } from '@/store/mutation-types.js'
 const STORAGE_KEY = 'ambianic-pnp-settings'
 
@@ -66,6 +70,14 @@ describe('PnP state machine mutations - p2p communication layer', () => {
     expect(store.state.pnp.peerFetch).toBe(undefined)
   })
 
+  test('LINK_METRICS', () => {
+    expect(store.state.pnp.linkMetrics).toBeUndefined()
+    store.commit(LINK_METRICS, { linkMetrics: { rtt: 42, timeouts: 0 } })
+    expect(store.state.pnp.linkMetrics).toEqual({ rtt: 42, timeouts: 0 })
+    store.commit(PEER_DISCONNECTED)
+    expect(store.state.pnp.linkMetrics).toBeUndefined()
+  })
+
   test('PEER_DISCOVERING_DONE', () => {
     store.commit(PEER_DISCONNECTED)
     expect(store.state.pnp.peerConnectionStatus).toBe(PEER_DISCONNECTED)
@@ -144,10 +156,55 @@ describe('PnP state machine mutations - p2p communication layer', () => {
   })
 
   test('PEER_FETCH', () => {
-    store.commit(PEER_FETCH, 'a peerFetch instance')
+    store.commit(PEER_FETCH, { peerFetch: 'a peerFetch instance' })
     expect(store.state.pnp.peerFetch).toBe('a peerFetch instance')
   })
 
+  test('PEER_RECONNECT_SCHEDULED, PEER_RECONNECTING and PEER_RECONNECT_STOPPED', () => {
+    expect(store.state.pnp.peerReconnect.attempt).toBe(0)
+    const before = Date.now()
+    store.commit(PEER_RECONNECT_SCHEDULED, { attempt: 3, delay: 8000, timer: 'a timer' })
+    expect(store.state.pnp.peerReconnect.attempt).toBe(3)
+    expect(store.state.pnp.peerReconnect.nextAttemptAt).toBeGreaterThanOrEqual(before + 8000)
+    expect(store.state.pnp.peerReconnectTimer).toBe('a timer')
+    store.commit(PEER_RECONNECTING)
+    expect(store.state.pnp.peerReconnectTimer).toBeUndefined()
+    expect(store.state.pnp.peerReconnect.attempt).toBe(3)
+    store.commit(PEER_RECONNECT_STOPPED)
+    expect(store.state.pnp.peerReconnect).toEqual({ attempt: 0, nextAttemptAt: undefined })
+  })
+
+  test('connections to several remote peers are kept apart', () => {
+    store.commit(NEW_REMOTE_PEER_ID, 'peer_a')
+    store.commit(PEER_CONNECTED, { peer: 'peer_a' })
+    store.commit(PEER_FETCH, { peerID: 'peer_a', peerFetch: 'peerFetch a' })
+    store.commit(PEER_CONNECTING, 'peer_b')
+    store.commit(PEER_FETCH, { peerID: 'peer_b', peerFetch: 'peerFetch b' })
+    // the current remote peer is mirrored at the top level
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTED)
+    expect(store.state.pnp.peerFetch).toBe('peerFetch a')
+    expect(store.state.pnp.connections.peer_b).toMatchObject({
+      remotePeerId: 'peer_b',
+      peerConnectionStatus: PEER_CONNECTING,
+      peerFetch: 'peerFetch b'
+    })
+    expect(store.getters.isDeviceConnected('peer_a')).toBeTrue()
+    expect(store.getters.isDeviceConnected('peer_b')).toBeFalse()
+    expect(store.getters.isDeviceConnected('peer_c')).toBeFalse()
+    expect(store.getters.connectedPeerIds).toEqual(['peer_a'])
+    // switching the current remote peer keeps both connections
+    store.commit(NEW_REMOTE_PEER_ID, 'peer_b')
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_CONNECTING)
+    expect(store.state.pnp.peerFetch).toBe('peerFetch b')
+    expect(store.getters.deviceConnection('peer_a').peerFetch).toBe('peerFetch a')
+    store.commit(PEER_DISCONNECTED, 'peer_a')
+    expect(store.getters.isDeviceConnected('peer_a')).toBeFalse()
+    expect(store.state.pnp.peerFetch).toBe('peerFetch b')
+    store.commit(REMOTE_PEER_ID_REMOVED)
+    expect(store.state.pnp.peerConnectionStatus).toBe(PEER_DISCONNECTED)
+    expect(store.state.pnp.peerFetch).toBeUndefined()
+  })
+
   test('getter isEdgeConnected', () => {
     store.state.pnp.peerConnectionStatus = PEER_CONNECTED
     console.debug('store.getters', store.getters)
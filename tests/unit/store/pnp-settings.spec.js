@@ -0,0 +1,146 @@
+import Peer from 'peerjs'
+import { ambianicConf } from '@/config'
+import { settingsDB } from '@/store/db'
+import {
+  PNP_SETTINGS_KEY,
+  defaultPnpSettings,
+  validateHost,
+  validatePort,
+  validateIceUrl,
+  validateIceCredentials,
+  pnpSettingsErrors,
+  normalizePnpSettings,
+  peerOptions,
+  loadPnpSettings,
+  savePnpSettings,
+  resetPnpSettings,
+  testPnpConnection
+} from '@/store/pnp-settings'
+
+jest.mock('peerjs') // Peer is now a mock class
+
+const selfHosted = {
+  host: 'pnp.example.com',
+  port: '9779',
+  secure: false,
+  iceServers: [
+    { urls: 'stun:stun.example.com:3478', username: '', credential: '' },
+    { urls: 'turn:turn.example.com:3478', username: 'ambianic', credential: 'secret' }
+  ]
+}
+
+describe('PnP signaling and ICE server settings', () => {
+  afterEach(async () => {
+    await settingsDB.clear()
+    jest.resetAllMocks()
+    jest.useRealTimers()
+  })
+
+  // emulate the events the signaling server sends to the test peer
+  function peerCallback (event) {
+    const peer = Peer.mock.instances[0]
+    return peer.on.mock.calls.find(callbackDetails => callbackDetails[0] === event)[1]
+  }
+
+  test('defaults come from ambianicConf', () => {
+    const settings = defaultPnpSettings()
+    expect(settings.host).toBe(ambianicConf.AMBIANIC_PNP_HOST)
+    expect(settings.port).toBe(ambianicConf.AMBIANIC_PNP_PORT)
+    expect(settings.secure).toBe(ambianicConf.AMBIANIC_PNP_SECURE)
+    expect(settings.iceServers).toHaveLength(ambianicConf.ICE_CONFIG.iceServers.length)
+    // deprecated `url` fields are read as `urls`
+    expect(settings.iceServers[0]).toEqual({ urls: 'stun:stun.l.google.com:19302' })
+    expect(pnpSettingsErrors(settings)).toEqual([])
+  })
+
+  test('host must be a bare host name or IP address', () => {
+    expect(validateHost('pnp.example.com')).toBeTrue()
+    expect(validateHost('localhost')).toBeTrue()
+    expect(validateHost('192.168.1.10')).toBeTrue()
+    expect(validateHost('')).toBe('Required.')
+    expect(validateHost('https://pnp.example.com')).toBeString()
+    expect(validateHost('pnp.example.com/path')).toBeString()
+    expect(validateHost('pnp example.com')).toBeString()
+  })
+
+  test('port must be a number from 1 to 65535', () => {
+    expect(validatePort(443)).toBeTrue()
+    expect(validatePort('9779')).toBeTrue()
+    expect(validatePort('')).toBeString()
+    expect(validatePort(0)).toBeString()
+    expect(validatePort(65536)).toBeString()
+    expect(validatePort('44.3')).toBeString()
+  })
+
+  test('ICE servers need STUN or TURN URLs and TURN servers need credentials', () => {
+    expect(validateIceUrl('stun:stun.example.com:3478')).toBeTrue()
+    expect(validateIceUrl('turns:turn.example.com:443?transport=tcp')).toBeTrue()
+    expect(validateIceUrl('')).toBe('Required.')
+    expect(validateIceUrl('http://turn.example.com')).toBeString()
+    expect(validateIceCredentials({ urls: 'stun:stun.example.com' })).toBeTrue()
+    expect(validateIceCredentials({ urls: 'turn:turn.example.com', username: 'u', credential: 'c' })).toBeTrue()
+    expect(validateIceCredentials({ urls: 'turn:turn.example.com', username: 'u' })).toBeString()
+    expect(pnpSettingsErrors({ ...selfHosted, host: '', iceServers: [{ urls: 'turn:turn.example.com' }] }))
+      .toEqual(['Required.', 'TURN servers need a username and credential.'])
+  })
+
+  test('form settings are normalized and turned into PeerJS options', () => {
+    const settings = normalizePnpSettings(selfHosted)
+    expect(settings).toEqual({
+      host: 'pnp.example.com',
+      port: 9779,
+      secure: false,
+      iceServers: [
+        { urls: 'stun:stun.example.com:3478' },
+        { urls: 'turn:turn.example.com:3478', username: 'ambianic', credential: 'secret' }
+      ]
+    })
+    const options = peerOptions(settings)
+    expect(options).toMatchObject({ host: 'pnp.example.com', port: 9779, secure: false })
+    expect(options.config.iceServers).toBe(settings.iceServers)
+  })
+
+  test('saved settings are loaded until reset', async () => {
+    expect(await loadPnpSettings()).toEqual(defaultPnpSettings())
+    const saved = await savePnpSettings(selfHosted)
+    expect(saved).toEqual(normalizePnpSettings(selfHosted))
+    expect(await loadPnpSettings()).toEqual(saved)
+    await resetPnpSettings()
+    expect(await settingsDB.get(PNP_SETTINGS_KEY)).toBeUndefined()
+    expect(await loadPnpSettings()).toEqual(defaultPnpSettings())
+  })
+
+  test('invalid settings are not saved', async () => {
+    await expect(savePnpSettings({ ...selfHosted, port: 'none' }))
+      .rejects.toThrow('Must be a port number from 1 to 65535.')
+    expect(await settingsDB.get(PNP_SETTINGS_KEY)).toBeUndefined()
+  })
+
+  test('invalid saved settings fall back to the defaults', async () => {
+    await settingsDB.set(PNP_SETTINGS_KEY, { ...selfHosted, host: '' })
+    expect(await loadPnpSettings()).toEqual(defaultPnpSettings())
+  })
+
+  test('connection test passes when the signaling server answers', async () => {
+    const result = testPnpConnection(selfHosted)
+    expect(Peer).toHaveBeenCalledWith(peerOptions(normalizePnpSettings(selfHosted)))
+    peerCallback('open')('a_test_peer_id')
+    await expect(result).resolves.toBeUndefined()
+    expect(Peer.mock.instances[0].destroy).toHaveBeenCalledTimes(1)
+  })
+
+  test('connection test fails with the signaling server error', async () => {
+    const result = testPnpConnection(selfHosted)
+    peerCallback('error')(Error('Lost connection to server.'))
+    await expect(result).rejects.toThrow('Unable to connect to the signaling server: Lost connection to server.')
+    expect(Peer.mock.instances[0].destroy).toHaveBeenCalledTimes(1)
+  })
+
+  test('connection test fails when the signaling server does not answer', async () => {
+    jest.useFakeTimers()
+    const result = testPnpConnection(selfHosted, { timeout: 5000 })
+    jest.advanceTimersByTime(5000)
+    await expect(result).rejects.toThrow('The signaling server did not answer in time.')
+    expect(Peer.mock.instances[0].destroy).toHaveBeenCalledTimes(1)
+  })
+})
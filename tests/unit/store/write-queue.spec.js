@@ -0,0 +1,205 @@
+import { createLocalVue } from '@vue/test-utils'
+import VueX from 'vuex'
+import { cloneDeep } from 'lodash'
+import { pnpStoreModule } from '@/store/pnp.js'
+import { myDevicesStoreModule } from '@/store/mydevices'
+import {
+  writeQueueStoreModule,
+  WRITE_FAILED,
+  WRITE_PENDING
+} from '@/store/write-queue'
+import { localdb, EdgeDeviceCard } from '@/store/localdb'
+import { EDGE_API, PEER_CONNECTED, PEER_DISCONNECTED } from '@/store/mutation-types'
+
+describe('Write queue module', () => {
+  const localVue = createLocalVue()
+  const peerID = 'queue_peerID'
+
+  let store, edgeAPI
+
+  localVue.use(VueX)
+
+  beforeEach(async () => {
+    await localdb.pendingWrites.clear()
+    store = new VueX.Store({
+      modules: {
+        myDevices: cloneDeep(myDevicesStoreModule),
+        pnp: cloneDeep(pnpStoreModule),
+        writeQueue: cloneDeep(writeQueueStoreModule)
+      }
+    })
+    const card = new EdgeDeviceCard()
+    card.peerID = peerID
+    card.displayName = 'Old Name'
+    card.notificationsEnabled = false
+    await store.dispatch('myDevices/add', card)
+    store.state.pnp.remotePeerId = peerID
+    edgeAPI = mockEdgeAPI()
+    store.commit(EDGE_API, { peerID, edgeAPI })
+  })
+
+  afterEach(async () => {
+    await localdb.myDevices.clear()
+  })
+
+  function mockEdgeAPI () {
+    return {
+      getEdgeStatus: jest.fn().mockResolvedValue({
+        display_name: 'Old Name',
+        notifications_enabled: false
+      }),
+      setDeviceDisplayName: jest.fn().mockResolvedValue({}),
+      enableNotifications: jest.fn().mockResolvedValue({})
+    }
+  }
+
+  function connect (deviceId = peerID) {
+    store.commit(PEER_CONNECTED, { peer: deviceId })
+  }
+
+  function queueDisplayName (value, deviceId = peerID) {
+    return store.dispatch('writeQueue/add', {
+      deviceId,
+      kind: 'displayName',
+      value,
+      baseValue: 'Old Name'
+    })
+  }
+
+  test('add() persists changes and coalesces changes of the same setting', async () => {
+    await queueDisplayName('Front Door')
+    await queueDisplayName('Back Door')
+    const writes = store.state.writeQueue.writes
+    expect(writes).toHaveLength(1)
+    expect(writes[0]).toMatchObject({
+      deviceId: peerID,
+      kind: 'displayName',
+      value: 'Back Door',
+      baseValue: 'Old Name',
+      status: WRITE_PENDING
+    })
+    expect(await localdb.pendingWrites.count()).toEqual(1)
+  })
+
+  test('add() rejects unknown settings', async () => {
+    await expect(store.dispatch('writeQueue/add', {
+      deviceId: peerID,
+      kind: 'unknown',
+      value: 1
+    })).rejects.toThrow('Unknown kind of device setting change: unknown')
+  })
+
+  test('replay() waits for a connected device', async () => {
+    await queueDisplayName('Front Door')
+    store.commit(PEER_DISCONNECTED, peerID)
+    await store.dispatch('writeQueue/replay')
+    expect(edgeAPI.setDeviceDisplayName).not.toHaveBeenCalled()
+    expect(store.state.writeQueue.writes).toHaveLength(1)
+  })
+
+  test('replay() applies changes in order and saves them locally', async () => {
+    await queueDisplayName('Front Door')
+    await store.dispatch('writeQueue/add', {
+      deviceId: peerID,
+      kind: 'notificationsEnabled',
+      value: true,
+      baseValue: false
+    })
+    const calls = []
+    edgeAPI.setDeviceDisplayName.mockImplementation(async () => calls.push('displayName'))
+    edgeAPI.enableNotifications.mockImplementation(async () => calls.push('notifications'))
+    connect()
+    await store.dispatch('writeQueue/replay')
+    expect(calls).toEqual(['displayName', 'notifications'])
+    expect(edgeAPI.setDeviceDisplayName).toHaveBeenCalledWith('Front Door')
+    expect(edgeAPI.enableNotifications).toHaveBeenCalledWith(true)
+    expect(store.state.writeQueue.writes).toHaveLength(0)
+    const card = await localdb.myDevices.get(peerID)
+    expect(card.displayName).toEqual('Front Door')
+    expect(card.notificationsEnabled).toBeTrue()
+  })
+
+  test('replay() marks changes that conflict with the device value as failed', async () => {
+    await queueDisplayName('Front Door')
+    edgeAPI.getEdgeStatus.mockResolvedValue({ display_name: 'Garage' })
+    connect()
+    await store.dispatch('writeQueue/replay')
+    expect(edgeAPI.setDeviceDisplayName).not.toHaveBeenCalled()
+    const [write] = store.state.writeQueue.writes
+    expect(write.status).toEqual(WRITE_FAILED)
+    expect(write.error).toEqual('Changed on the device to "Garage" in the meantime.')
+  })
+
+  test('retry() overwrites the device value a change conflicted with', async () => {
+    await queueDisplayName('Front Door')
+    edgeAPI.getEdgeStatus.mockResolvedValue({ display_name: 'Garage' })
+    connect()
+    await store.dispatch('writeQueue/replay')
+    const [write] = store.state.writeQueue.writes
+    expect(write.status).toEqual(WRITE_FAILED)
+    await store.dispatch('writeQueue/retry', write.id)
+    expect(edgeAPI.setDeviceDisplayName).toHaveBeenCalledWith('Front Door')
+    expect(store.state.writeQueue.writes).toHaveLength(0)
+  })
+
+  test('retry() detects a device value changed again since the conflict', async () => {
+    await queueDisplayName('Front Door')
+    edgeAPI.getEdgeStatus.mockResolvedValue({ display_name: 'Garage' })
+    connect()
+    await store.dispatch('writeQueue/replay')
+    edgeAPI.getEdgeStatus.mockResolvedValue({ display_name: 'Back Door' })
+    await store.dispatch('writeQueue/retry', store.state.writeQueue.writes[0].id)
+    expect(edgeAPI.setDeviceDisplayName).not.toHaveBeenCalled()
+    const [write] = store.state.writeQueue.writes
+    expect(write.status).toEqual(WRITE_FAILED)
+    expect(write.error).toEqual('Changed on the device to "Back Door" in the meantime.')
+  })
+
+  test('replay() keeps rejected changes for retry or discard', async () => {
+    await queueDisplayName('Front Door')
+    edgeAPI.setDeviceDisplayName.mockRejectedValueOnce(new Error('API error'))
+    connect()
+    await store.dispatch('writeQueue/replay')
+    let [write] = store.state.writeQueue.writes
+    expect(write.status).toEqual(WRITE_FAILED)
+    expect(write.error).toEqual('API error')
+    // a failed change is not replayed until the user retries it
+    await store.dispatch('writeQueue/replay')
+    expect(edgeAPI.setDeviceDisplayName).toHaveBeenCalledTimes(1)
+    await store.dispatch('writeQueue/retry', write.id)
+    expect(edgeAPI.setDeviceDisplayName).toHaveBeenCalledTimes(2)
+    expect(store.state.writeQueue.writes).toHaveLength(0)
+    // discard drops a change without sending it
+    edgeAPI.setDeviceDisplayName.mockRejectedValueOnce(new Error('API error'))
+    await queueDisplayName('Side Door')
+    await store.dispatch('writeQueue/replay')
+    write = store.state.writeQueue.writes[0]
+    await store.dispatch('writeQueue/discard', write.id)
+    expect(store.state.writeQueue.writes).toHaveLength(0)
+  })
+
+  test('concurrent replay() calls share one run', async () => {
+    await queueDisplayName('Front Door')
+    connect()
+    await Promise.all([
+      store.dispatch('writeQueue/replay'),
+      store.dispatch('writeQueue/replay')
+    ])
+    expect(edgeAPI.setDeviceDisplayName).toHaveBeenCalledTimes(1)
+  })
+
+  test('replay() sends changes to a connected device other than the current one', async () => {
+    const otherPeerID = 'queue_other_peerID'
+    const otherEdgeAPI = mockEdgeAPI()
+    store.commit(EDGE_API, { peerID: otherPeerID, edgeAPI: otherEdgeAPI })
+    connect(otherPeerID)
+    await queueDisplayName('Front Door')
+    await queueDisplayName('Garage', otherPeerID)
+    await store.dispatch('writeQueue/replay', otherPeerID)
+    expect(otherEdgeAPI.setDeviceDisplayName).toHaveBeenCalledWith('Garage')
+    // the current device is not connected and keeps its change
+    expect(edgeAPI.setDeviceDisplayName).not.toHaveBeenCalled()
+    expect(store.state.writeQueue.writes).toHaveLength(1)
+    expect(store.state.writeQueue.writes[0].deviceId).toEqual(peerID)
+  })
+})
@@ -0,0 +1,115 @@
+import Vue from 'vue'
+import { mount, createLocalVue } from '@vue/test-utils'
+import Vuetify from 'vuetify'
+import VueX from 'vuex'
+import VueRouter from 'vue-router'
+import AddDevice from '@/views/AddDevice.vue'
+import { CHANGE_REMOTE_PEER_ID } from '@/store/action-types'
+import { PAIRING_KEY } from '@/store/mutation-types'
+import { cloneDeep } from 'lodash'
+import { pnpStoreModule } from '@/store/pnp'
+import { myDevicesStoreModule } from '@/store/mydevices'
+import { encodePairingCode } from '@/pairing'
+import flushPromises from 'flush-promises'
+
+describe('AddDevice View', () => {
+  let wrapper
+
+  Vue.use(Vuetify)
+
+  const localVue = createLocalVue()
+  localVue.use(VueX)
+  localVue.use(VueRouter)
+
+  const vuetify = new Vuetify()
+  const router = new VueRouter()
+
+  const PEER_ID = '0da0d142-9859-4371-96b7-decb180fcd37'
+
+  let store, changeRemotePeerId
+
+  beforeEach(() => {
+    const pnp = cloneDeep(pnpStoreModule)
+    changeRemotePeerId = jest.fn()
+    pnp.actions[CHANGE_REMOTE_PEER_ID] = changeRemotePeerId
+    store = new VueX.Store({
+      modules: {
+        pnp,
+        myDevices: cloneDeep(myDevicesStoreModule)
+      }
+    })
+    // the stepper measures its content in the next animation frame,
+    // which may come after the view is destroyed
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => callback())
+    // mount into the document so that the stepper can measure its content
+    const div = document.createElement('div')
+    document.body.appendChild(div)
+    wrapper = mount(AddDevice, {
+      attachTo: div,
+      localVue,
+      vuetify,
+      router,
+      store,
+      stubs: {
+        AmbAppFrame: { template: '<div><slot /></div>' },
+        AmbQrScanner: true
+      }
+    })
+  })
+
+  afterEach(async () => {
+    wrapper.destroy()
+    window.requestAnimationFrame.mockRestore()
+    await store.dispatch('myDevices/forget', PEER_ID)
+  })
+
+  test('a scanned pairing code connects and expects the device key', async () => {
+    await wrapper.vm.chooseScanPairingCode()
+    await Vue.nextTick()
+    expect(wrapper.findComponent({ ref: 'qr-scanner' }).exists()).toBeTrue()
+    await wrapper.vm.onPairingCodeScanned(encodePairingCode(
+      { peerID: PEER_ID, publicKey: 'a_public_key', displayName: 'Front Door' }))
+    await flushPromises()
+    // the key is only pinned once the device proves it holds it
+    expect(await store.dispatch('myDevices/getPublicKey', PEER_ID)).toBeUndefined()
+    expect(store.state.pnp.pairingKeys[PEER_ID]).toEqual('a_public_key')
+    expect(wrapper.vm.edgePeerId).toEqual(PEER_ID)
+    expect(wrapper.vm.pairingDisplayName).toEqual('Front Door')
+    expect(wrapper.vm.addDeviceStep).toEqual(3)
+    expect(changeRemotePeerId).toHaveBeenCalledTimes(1)
+    expect(changeRemotePeerId.mock.calls[0][1]).toEqual(PEER_ID)
+    // the camera is released once the code is read
+    expect(wrapper.findComponent({ ref: 'qr-scanner' }).exists()).toBeFalse()
+  })
+
+  test('other QR codes do not connect', async () => {
+    await wrapper.vm.chooseScanPairingCode()
+    await wrapper.vm.onPairingCodeScanned('https://ambianic.ai')
+    expect(wrapper.vm.edgeDeviceError).toEqual('This is not an Ambianic pairing code.')
+    expect(wrapper.vm.addDeviceStep).toEqual(2)
+    expect(changeRemotePeerId).not.toHaveBeenCalled()
+  })
+
+  test('a pairing code with a different key than the pinned one is refused', async () => {
+    await store.dispatch('myDevices/updateFromRemote', { peerID: PEER_ID })
+    await store.dispatch('myDevices/pinPublicKey', { peerID: PEER_ID, publicKey: 'the_pinned_key' })
+    await wrapper.vm.chooseScanPairingCode()
+    await wrapper.vm.onPairingCodeScanned(encodePairingCode(
+      { peerID: PEER_ID, publicKey: 'another_key' }))
+    expect(wrapper.vm.edgeDeviceError).toEqual(expect.stringContaining('does not match the key'))
+    expect(await store.dispatch('myDevices/getPublicKey', PEER_ID)).toEqual('the_pinned_key')
+    expect(changeRemotePeerId).not.toHaveBeenCalled()
+  })
+  test('the key a new device proved is pinned once its card is added', async () => {
+    // PEER_AUTHENTICATE keeps the key of a device that is not in My Devices yet
+    store.commit(PAIRING_KEY, { peerID: PEER_ID, publicKey: 'a_proven_key' })
+    store.state.pnp.edgeAPI = {
+      getEdgeStatus: jest.fn().mockResolvedValue({ version: '1.2.3', display_name: 'Front Door' })
+    }
+    wrapper.vm.edgePeerId = PEER_ID
+    await wrapper.vm.fetchEdgeDetails()
+    expect(store.state.myDevices.allDeviceCards.get(PEER_ID).displayName).toEqual('Front Door')
+    expect(await store.dispatch('myDevices/getPublicKey', PEER_ID)).toEqual('a_proven_key')
+    expect(store.state.pnp.pairingKeys).toEqual({})
+  })
+})
@@ -5,7 +5,7 @@ import VueX from 'vuex'
 import VueRouter from 'vue-router'
 import DeviceNotificationsConfig from '@/views/DeviceNotificationsConfig'
 import { PEER_DISCOVER } from '@/store/action-types'
-import { PEER_CONNECTED, NEW_REMOTE_PEER_ID, PEER_DISCONNECTED } from '@/store/mutation-types'
+import { PEER_CONNECTED, NEW_REMOTE_PEER_ID, PEER_DISCONNECTED, EDGE_API } from '@/store/mutation-types'
 import { cloneDeep } from 'lodash'
 import { myDevicesStoreModule } from '@/store/mydevices'
 import { pnpStoreModule } from '@/store/pnp'
@@ -94,9 +94,9 @@ describe('Device Notifications Config View tests', () => {
 
   test('should edit and save custom IFTTT key when connected', async () => {
     // mock edgeAPI instance
-    store.state.pnp.edgeAPI = jest.fn()
-    store.state.pnp.edgeAPI.setIftttKey = jest.fn()
-    store.state.pnp.edgeAPI.getEdgeStatus = jest.fn().mockImplementation(async () => {
+    const edgeAPI = jest.fn()
+    edgeAPI.setIftttKey = jest.fn()
+    edgeAPI.getEdgeStatus = jest.fn().mockImplementation(async () => {
       return {
         status: 'OK',
         version: '1.2.3.test',
@@ -111,6 +111,7 @@ describe('Device Notifications Config View tests', () => {
     newDeviceCard.displayName = 'New Device'
     newDeviceCard.version = '1.2.3.test'
     wrapper.vm.$store.commit(NEW_REMOTE_PEER_ID, remotePeerId)
+    wrapper.vm.$store.commit(EDGE_API, { peerID: remotePeerId, edgeAPI })
     await wrapper.vm.$store.dispatch('myDevices/add', newDeviceCard)
     await wrapper.vm.$store.dispatch('myDevices/setCurrent', remotePeerId)
     wrapper.vm.$store.commit(PEER_CONNECTED)
@@ -144,14 +145,14 @@ describe('Device Notifications Config View tests', () => {
 
   test('should handle save errors for custom edge display name', async () => {
     // mock edgeAPI instance
-    store.state.pnp.edgeAPI = jest.fn()
+    const edgeAPI = jest.fn()
     const errorMessage = 'Testing Remote API error while saving IFTTT key'
-    store.state.pnp.edgeAPI.getEdgeStatus = jest.fn().mockResolvedValue({
+    edgeAPI.getEdgeStatus = jest.fn().mockResolvedValue({
       status: 'OK',
       version: 'Oct.4.2021.testing',
       display_name: 'Remote Device Name'
     })
-    store.state.pnp.edgeAPI.setIftttKey = jest.fn().mockImplementation(() => {
+    edgeAPI.setIftttKey = jest.fn().mockImplementation(() => {
       throw new Error(errorMessage)
     })
     const remotePeerId = '0da0d142-9859-4371-96b7-decb180fcd37'
@@ -160,6 +161,7 @@ describe('Device Notifications Config View tests', () => {
     wrapper = await mount(DeviceNotificationsConfig, options)
     await Vue.nextTick()
     wrapper.vm.$store.commit(NEW_REMOTE_PEER_ID, remotePeerId)
+    wrapper.vm.$store.commit(EDGE_API, { peerID: remotePeerId, edgeAPI })
     await wrapper.vm.$store.dispatch('myDevices/add', newDeviceCard)
     await wrapper.vm.$store.dispatch('myDevices/setCurrent', remotePeerId)
     wrapper.vm.$store.commit(PEER_CONNECTED)
@@ -202,12 +204,17 @@ describe('Device Notifications Config View tests', () => {
   })
 
   test('Test button triggers API request only when notifications are enabled', async () => {
+    // mock edgeAPI instance
+    const edgeAPI = jest.fn()
+    edgeAPI.testNotifications = jest.fn()
+    edgeAPI.enableNotifications = jest.fn()
     const remotePeerId = '0da0d142-9859-4371-96b7-decb180fcd37'
     const newDeviceCard = new EdgeDeviceCard()
     newDeviceCard.peerID = remotePeerId
     wrapper = await mount(DeviceNotificationsConfig, options)
     await Vue.nextTick()
     wrapper.vm.$store.commit(NEW_REMOTE_PEER_ID, remotePeerId)
+    wrapper.vm.$store.commit(EDGE_API, { peerID: remotePeerId, edgeAPI })
     await wrapper.vm.$store.dispatch('myDevices/add', newDeviceCard)
     await wrapper.vm.$store.dispatch('myDevices/setCurrent', remotePeerId)
     wrapper.vm.$store.commit(PEER_CONNECTED)
@@ -215,10 +222,6 @@ describe('Device Notifications Config View tests', () => {
     // which trigger other events. Remote API, watchers, computed, etc.
     // That is why we need to add some sleep or else implement a complex vuex internal state tracking machine.
     await sleep(100)
-    // mock edgeAPI instance
-    store.state.pnp.edgeAPI = jest.fn()
-    store.state.pnp.edgeAPI.testNotifications = jest.fn()
-    store.state.pnp.edgeAPI.enableNotifications = jest.fn()
     wrapper = await mount(DeviceNotificationsConfig, options)
     await Vue.nextTick()
     const testBtn = wrapper.findComponent({ ref: 'test-btn' })
@@ -245,4 +248,38 @@ describe('Device Notifications Config View tests', () => {
     await Vue.nextTick()
     expect(testApi).toHaveBeenCalledTimes(1)
   })
+  test('should send notification settings to a connected device other than the current one', async () => {
+    const otherPeerId = 'b1a9e3c0-5d6f-4b7a-8c2d-0e1f2a3b4c5d'
+    const edgeAPI = jest.fn()
+    edgeAPI.setIftttKey = jest.fn()
+    edgeAPI.testNotifications = jest.fn()
+    edgeAPI.enableNotifications = jest.fn()
+    const otherDeviceCard = new EdgeDeviceCard()
+    otherDeviceCard.peerID = otherPeerId
+    otherDeviceCard.notificationsEnabled = true
+    await store.dispatch('myDevices/add', otherDeviceCard)
+    store.commit(EDGE_API, { peerID: otherPeerId, edgeAPI })
+    store.commit(PEER_CONNECTED, { peer: otherPeerId })
+    // the current device stays disconnected
+    store.commit(NEW_REMOTE_PEER_ID, '0da0d142-9859-4371-96b7-decb180fcd37')
+    // the current device has an API of its own which must not be used
+    const currentEdgeAPI = jest.fn()
+    currentEdgeAPI.enableNotifications = jest.fn()
+    store.state.pnp.edgeAPI = currentEdgeAPI
+    wrapper = await mount(DeviceNotificationsConfig, { ...options, propsData: { peerId: otherPeerId } })
+    await Vue.nextTick()
+    expect(wrapper.vm.isEdgeConnected).toBeTrue()
+    expect(wrapper.vm.notificationsEnabled).toBeTrue()
+    expect(wrapper.findComponent({ ref: 'no-connection-card' }).exists()).toBeFalse()
+    await wrapper.vm.onIftttKeyChanged('96KE0qGYSC4emUtIpRpNJ')
+    expect(edgeAPI.setIftttKey).toHaveBeenCalledWith('96KE0qGYSC4emUtIpRpNJ')
+    await wrapper.vm.onTestNotifications()
+    expect(edgeAPI.testNotifications).toHaveBeenCalledTimes(1)
+    wrapper.vm.notificationsEnabled = false
+    await wrapper.vm.onEnableNotifications()
+    expect(edgeAPI.enableNotifications).toHaveBeenCalledWith(false)
+    expect(currentEdgeAPI.enableNotifications).not.toHaveBeenCalled()
+    expect(store.state.myDevices.allDeviceCards.get(otherPeerId).notificationsEnabled).toBeFalse()
+    await store.dispatch('myDevices/forget', otherPeerId)
+  })
 })
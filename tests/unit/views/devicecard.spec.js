@@ -5,12 +5,13 @@ import VueX from 'vuex'
 import VueRouter from 'vue-router'
 import DeviceCard from '@/views/DeviceCard.vue'
 import { PEER_DISCOVER } from '@/store/action-types'
-import { PEER_CONNECTED, NEW_REMOTE_PEER_ID, PEER_DISCONNECTED } from '@/store/mutation-types'
+import { PEER_CONNECTED, NEW_REMOTE_PEER_ID, PEER_DISCONNECTED, EDGE_API } from '@/store/mutation-types'
 import { cloneDeep } from 'lodash'
 import { myDevicesStoreModule } from '@/store/mydevices'
 import { pnpStoreModule } from '../../../src/store/pnp'
 import snackBarModule from '@/store/status-snackbar'
-import { EdgeDeviceCard } from '../../../src/store/localdb'
+import { writeQueueStoreModule } from '@/store/write-queue'
+import { EdgeDeviceCard, localdb } from '../../../src/store/localdb'
 import flushPromises from 'flush-promises'
 import sleep from 'sleep-promise'
 
@@ -57,6 +58,7 @@ describe('Device Card tests', () => {
         {
           pnp: cloneDeep(pnpStoreModule),
           myDevices: cloneDeep(myDevicesStoreModule),
+          writeQueue: cloneDeep(writeQueueStoreModule),
           snackBar: cloneDeep(snackBarModule)
         }
       }
@@ -74,10 +76,10 @@ describe('Device Card tests', () => {
     await wrapper.destroy()
   })
 
-  test('should show current device info in read only mode when disconnected', async () => {
+  test('should show current device info and allow offline edits when disconnected', async () => {
     // mock edgeAPI instance
-    store.state.pnp.edgeAPI = jest.fn()
-    store.state.pnp.edgeAPI.setDeviceDisplayName = jest.fn()
+    const edgeAPI = jest.fn()
+    edgeAPI.setDeviceDisplayName = jest.fn()
     wrapper = await mount(DeviceCard, options)
     await Vue.nextTick()
     expect(state.pnp.peerConnectionStatus).toBe(PEER_DISCONNECTED)
@@ -87,6 +89,7 @@ describe('Device Card tests', () => {
     newDeviceCard.displayName = 'New Device'
     newDeviceCard.version = '1.2.3.test'
     wrapper.vm.$store.commit(NEW_REMOTE_PEER_ID, remotePeerId)
+    wrapper.vm.$store.commit(EDGE_API, { peerID: remotePeerId, edgeAPI })
     await wrapper.vm.$store.dispatch('myDevices/add', newDeviceCard)
     await wrapper.vm.$store.dispatch('myDevices/setCurrent', remotePeerId)
     console.debug('state.myDevices.allDeviceCards: ', state.myDevices.allDeviceCards)
@@ -112,18 +115,48 @@ describe('Device Card tests', () => {
       iconName: 'tag',
       twoLine: false,
       copyOption: false,
-      editOption: false,
+      editOption: true,
       error: undefined,
       onSubmit: expect.any(Function),
       rules: [expect.anything(), expect.anything()]
     })
   })
 
+  test('should queue display name changes while disconnected', async () => {
+    await localdb.pendingWrites.clear()
+    const edgeAPI = jest.fn()
+    edgeAPI.setDeviceDisplayName = jest.fn()
+    wrapper = await mount(DeviceCard, options)
+    const remotePeerId = '0da0d142-9859-4371-96b7-decb180fcd37'
+    const newDeviceCard = new EdgeDeviceCard()
+    newDeviceCard.peerID = remotePeerId
+    newDeviceCard.displayName = 'New Device'
+    wrapper.vm.$store.commit(NEW_REMOTE_PEER_ID, remotePeerId)
+    wrapper.vm.$store.commit(EDGE_API, { peerID: remotePeerId, edgeAPI })
+    await wrapper.vm.$store.dispatch('myDevices/add', newDeviceCard)
+    await wrapper.vm.$store.dispatch('myDevices/setCurrent', remotePeerId)
+    const updated = await wrapper.vm.onDisplayNameChanged('Kitchen Monitor')
+    await flushPromises()
+    expect(updated).toBeTrue()
+    expect(store.state.pnp.edgeAPI.setDeviceDisplayName).not.toHaveBeenCalled()
+    expect(store.state.myDevices.currentDeviceCard.displayName).toEqual('Kitchen Monitor')
+    expect(store.state.writeQueue.writes).toEqual([
+      expect.objectContaining({
+        deviceId: remotePeerId,
+        kind: 'displayName',
+        value: 'Kitchen Monitor',
+        baseValue: 'New Device'
+      })
+    ])
+    expect(wrapper.findComponent({ ref: 'pending-writes' }).exists()).toBeTrue()
+    await localdb.pendingWrites.clear()
+  })
+
   test('should edit and save custom edge display name when connected', async () => {
     // mock edgeAPI instance
-    store.state.pnp.edgeAPI = jest.fn()
-    store.state.pnp.edgeAPI.setDeviceDisplayName = jest.fn()
-    store.state.pnp.edgeAPI.getEdgeStatus = jest.fn().mockImplementation(async () => {
+    const edgeAPI = jest.fn()
+    edgeAPI.setDeviceDisplayName = jest.fn()
+    edgeAPI.getEdgeStatus = jest.fn().mockImplementation(async () => {
       return {
         status: 'OK',
         version: '1.2.3.test',
@@ -138,6 +171,7 @@ describe('Device Card tests', () => {
     newDeviceCard.displayName = 'New Device'
     newDeviceCard.version = '1.2.3.test'
     wrapper.vm.$store.commit(NEW_REMOTE_PEER_ID, remotePeerId)
+    wrapper.vm.$store.commit(EDGE_API, { peerID: remotePeerId, edgeAPI })
     await wrapper.vm.$store.dispatch('myDevices/add', newDeviceCard)
     await wrapper.vm.$store.dispatch('myDevices/setCurrent', remotePeerId)
     wrapper.vm.$store.commit(PEER_CONNECTED)
@@ -205,14 +239,14 @@ describe('Device Card tests', () => {
 
   test('should handle save errors for custom edge display name', async () => {
     // mock edgeAPI instance
-    store.state.pnp.edgeAPI = jest.fn()
+    const edgeAPI = jest.fn()
     const errorMessage = 'Remote API error while saving new device name'
-    store.state.pnp.edgeAPI.getEdgeStatus = jest.fn().mockResolvedValue({
+    edgeAPI.getEdgeStatus = jest.fn().mockResolvedValue({
       status: 'OK',
       version: 'Oct.4.2021.testing',
       display_name: 'Remote Device Name'
     })
-    store.state.pnp.edgeAPI.setDeviceDisplayName = jest.fn().mockImplementation(() => {
+    edgeAPI.setDeviceDisplayName = jest.fn().mockImplementation(() => {
       throw new Error(errorMessage)
     })
     const remotePeerId = '0da0d142-9859-4371-96b7-decb180fcd37'
@@ -222,6 +256,7 @@ describe('Device Card tests', () => {
     wrapper = await mount(DeviceCard, options)
     await Vue.nextTick()
     wrapper.vm.$store.commit(NEW_REMOTE_PEER_ID, remotePeerId)
+    wrapper.vm.$store.commit(EDGE_API, { peerID: remotePeerId, edgeAPI })
     await wrapper.vm.$store.dispatch('myDevices/add', newDeviceCard)
     await wrapper.vm.$store.dispatch('myDevices/setCurrent', remotePeerId)
     wrapper.vm.$store.commit(PEER_CONNECTED)
@@ -269,6 +304,35 @@ describe('Device Card tests', () => {
     expect(errorBox.html()).toContain('Error updating display name.')
   })
 
+  test('should address a connected device other than the current one', async () => {
+    const otherPeerId = 'b1a9e3c0-5d6f-4b7a-8c2d-0e1f2a3b4c5d'
+    const edgeAPI = jest.fn()
+    edgeAPI.getEdgeStatus = jest.fn().mockResolvedValue({
+      status: 'OK',
+      version: '1.2.3.test',
+      display_name: 'Garage Monitor'
+    })
+    edgeAPI.setDeviceDisplayName = jest.fn()
+    const otherDeviceCard = new EdgeDeviceCard()
+    otherDeviceCard.peerID = otherPeerId
+    otherDeviceCard.displayName = 'Garage'
+    await store.dispatch('myDevices/add', otherDeviceCard)
+    store.commit(EDGE_API, { peerID: otherPeerId, edgeAPI })
+    store.commit(PEER_CONNECTED, { peer: otherPeerId })
+    // the current device stays disconnected
+    store.commit(NEW_REMOTE_PEER_ID, '0da0d142-9859-4371-96b7-decb180fcd37')
+    wrapper = await mount(DeviceCard, { ...options, propsData: { peerId: otherPeerId } })
+    // wait for the device details fetched on mount to be saved
+    await sleep(100)
+    expect(wrapper.vm.isEdgeConnected).toBeTrue()
+    expect(wrapper.findComponent({ ref: 'edge-device-connected' }).exists()).toBeTrue()
+    expect(edgeAPI.getEdgeStatus).toHaveBeenCalledTimes(1)
+    await wrapper.vm.onDisplayNameChanged('Garage Door')
+    expect(edgeAPI.setDeviceDisplayName).toHaveBeenCalledWith('Garage Door')
+    expect((await localdb.myDevices.get(otherPeerId)).displayName).toBe('Garage Door')
+    await store.dispatch('myDevices/forget', otherPeerId)
+  })
+
   test('`fetchEdgeDetails` method handles missing edge version response', async () => {
     store.state.pnp.peerConnectionStatus = PEER_CONNECTED
     store.state.pnp.remotePeerId = '0da0d142-9859-4371-96b7-decb180fcd37'
@@ -3,7 +3,7 @@ import { pnpStoreModule } from '@/store/pnp.js'
 import snackBarModule from '@/store/status-snackbar'
 import { myDevicesStoreModule } from '@/store/mydevices'
 import { cloneDeep } from 'lodash'
-import { PEER_CONNECTED, PEER_DISCONNECTED } from '@/store/mutation-types'
+import { PEER_CONNECTED, PEER_DISCONNECTED, EDGE_API } from '@/store/mutation-types'
 import Event from '@/views/Event.vue'
 import Vuetify from 'vuetify'
 import Vuex from 'vuex'
@@ -127,8 +127,10 @@ describe('Single Event View Page', () => {
       }
     }
 
-    store.state.pnp.edgeAPI = jest.fn()
-    store.state.pnp.edgeAPI.getLocalImageURL = jest.fn()
+    store.commit(EDGE_API, {
+      peerID: 'cdbb3227-dabd-4f6f-9cae-a820079f2165',
+      edgeAPI: { getLocalImageURL: jest.fn() }
+    })
 
     store.state.myDevices.allDeviceCards = new Map()
     store.state.myDevices.allDeviceCards.set('cdbb3227-dabd-4f6f-9cae-a820079f2165', {
@@ -139,7 +141,8 @@ describe('Single Event View Page', () => {
 
     await router.push({ path: '/event', query })
 
-    store.state.pnp.peerConnectionStatus = PEER_CONNECTED
+    // emulate the device the event came from is connected
+    store.commit(PEER_CONNECTED, { peer: 'cdbb3227-dabd-4f6f-9cae-a820079f2165' })
 
     wrapper = mount(Event, {
       router,
@@ -180,8 +183,10 @@ describe('Single Event View Page', () => {
       }
     }
 
-    store.state.pnp.edgeAPI = jest.fn()
-    store.state.pnp.edgeAPI.getLocalImageURL = jest.fn()
+    store.commit(EDGE_API, {
+      peerID: 'cdbb3227-dabd-4f6f-9cae-a820079f2165',
+      edgeAPI: { getLocalImageURL: jest.fn() }
+    })
 
     store.state.myDevices.allDeviceCards = new Map()
     store.state.myDevices.allDeviceCards.set('cdbb3227-dabd-4f6f-9cae-a820079f2165', {
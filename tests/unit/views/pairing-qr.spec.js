@@ -0,0 +1,117 @@
+import Vue from 'vue'
+import { mount, createLocalVue } from '@vue/test-utils'
+import Vuetify from 'vuetify'
+import VueX from 'vuex'
+import VueRouter from 'vue-router'
+import QRCode from 'qrcode'
+import PairingQR from '@/views/PairingQR.vue'
+import { NEW_REMOTE_PEER_ID } from '@/store/mutation-types'
+import { cloneDeep } from 'lodash'
+import { pnpStoreModule } from '@/store/pnp'
+import { myDevicesStoreModule } from '@/store/mydevices'
+import { EdgeDeviceCard } from '@/store/localdb'
+import flushPromises from 'flush-promises'
+import { TextEncoder } from 'util'
+
+// jsdom does not implement TextEncoder, which qrcode needs
+global.TextEncoder = TextEncoder
+
+describe('PairingQR View', () => {
+  let wrapper
+
+  Vue.use(Vuetify)
+
+  const localVue = createLocalVue()
+  localVue.use(VueX)
+  localVue.use(VueRouter)
+
+  const vuetify = new Vuetify()
+  const router = new VueRouter()
+
+  const PEER_ID = '0da0d142-9859-4371-96b7-decb180fcd37'
+
+  let store
+
+  beforeEach(() => {
+    store = new VueX.Store({
+      modules: {
+        pnp: cloneDeep(pnpStoreModule),
+        myDevices: cloneDeep(myDevicesStoreModule)
+      }
+    })
+  })
+
+  afterEach(() => {
+    wrapper.destroy()
+  })
+
+  function mountView (propsData) {
+    wrapper = mount(PairingQR, {
+      propsData,
+      localVue,
+      vuetify,
+      router,
+      store,
+      stubs: {
+        AmbAppFrame: { template: '<div><slot /></div>' }
+      }
+    })
+  }
+
+  test('shows the pairing code of the current device', async () => {
+    const toString = jest.spyOn(QRCode, 'toString')
+    store.commit(NEW_REMOTE_PEER_ID, PEER_ID)
+    const deviceCard = new EdgeDeviceCard()
+    deviceCard.peerID = PEER_ID
+    deviceCard.displayName = 'Front Door'
+    deviceCard.publicKey = 'a_public_key'
+    store.state.myDevices.currentDeviceCard = deviceCard
+    mountView()
+    await flushPromises()
+    expect(JSON.parse(toString.mock.calls[0][0])).toEqual({
+      type: 'ambianic-pairing',
+      v: 1,
+      peer_id: PEER_ID,
+      public_key: 'a_public_key',
+      name: 'Front Door'
+    })
+    expect(wrapper.vm.qrImageURL).toStartWith('data:image/svg+xml')
+    await Vue.nextTick()
+    expect(wrapper.findComponent({ ref: 'pairing-qr' }).exists()).toBeTrue()
+    expect(wrapper.findComponent({ ref: 'pairing-qr-no-key' }).exists()).toBeFalse()
+    toString.mockRestore()
+  })
+
+  test('shows the pairing code of the device given in the route', async () => {
+    const toString = jest.spyOn(QRCode, 'toString')
+    const otherPeerId = 'b1a9e3c0-5d6f-4b7a-8c2d-0e1f2a3b4c5d'
+    store.commit(NEW_REMOTE_PEER_ID, PEER_ID)
+    const currentDeviceCard = new EdgeDeviceCard()
+    currentDeviceCard.peerID = PEER_ID
+    currentDeviceCard.displayName = 'Front Door'
+    currentDeviceCard.publicKey = 'a_public_key'
+    store.state.myDevices.currentDeviceCard = currentDeviceCard
+    const otherDeviceCard = new EdgeDeviceCard()
+    otherDeviceCard.peerID = otherPeerId
+    otherDeviceCard.displayName = 'Garage'
+    otherDeviceCard.publicKey = 'another_public_key'
+    store.state.myDevices.allDeviceCards = new Map([[otherPeerId, otherDeviceCard]])
+    mountView({ peerId: otherPeerId })
+    await flushPromises()
+    expect(JSON.parse(toString.mock.calls[0][0])).toEqual({
+      type: 'ambianic-pairing',
+      v: 1,
+      peer_id: otherPeerId,
+      public_key: 'another_public_key',
+      name: 'Garage'
+    })
+    toString.mockRestore()
+  })
+
+  test('asks for a device when none is selected', async () => {
+    mountView()
+    await flushPromises()
+    expect(wrapper.vm.qrImageURL).toBeUndefined()
+    expect(wrapper.text()).toContain('No device selected')
+  })
+})
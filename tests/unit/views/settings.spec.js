@@ -263,7 +263,7 @@ describe('Settings View', () => {
       async function (peerID) {
         // mock connection error
         const peerConnection = jest.fn()
-        peerConnection.peer = jest.fn()
+        peerConnection.peer = peerID
         await wrapper.vm.$store.dispatch(HANDLE_PEER_CONNECTION_ERROR, { peerConnection, errMsg })
       }
     )
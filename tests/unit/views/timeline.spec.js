@@ -1,8 +1,9 @@
 import { createLocalVue, mount } from '@vue/test-utils'
 import { pnpStoreModule } from '@/store/pnp.js'
 import snackBarModule from '@/store/status-snackbar'
+import { myDevicesStoreModule } from '@/store/mydevices'
 import { cloneDeep } from 'lodash'
-import { PEER_CONNECTED } from '@/store/mutation-types'
+import { EDGE_API, PEER_CONNECTED } from '@/store/mutation-types'
 import Timeline from '@/views/Timeline.vue'
 import MockData from '@/assets/mock-data/timeline.json'
 import Vuetify from 'vuetify'
@@ -37,6 +38,7 @@ describe('Timeline', () => {
     store = new Vuex.Store({
       modules: {
         pnp: cloneDeep(pnpStoreModule),
+        myDevices: cloneDeep(myDevicesStoreModule),
         snackBar: cloneDeep(snackBarModule)
       }
     })
@@ -66,6 +68,7 @@ describe('Timeline', () => {
     wrapper.vm.clearTimeline = false
     wrapper.vm.$store.state.pnp.edgeAPI = jest.fn()
     wrapper.vm.$store.state.pnp.edgeAPI.getLocalImageURL = jest.fn()
+    wrapper.vm.$store.state.pnp.edgeAPI.subscribeTimeline = jest.fn()
 
     // wait for the view to load async data and finish rendering
     await Vue.nextTick()
@@ -75,4 +78,129 @@ describe('Timeline', () => {
     const timelineEvents = wrapper.findAllComponents({ ref: 'timeline-data' })
     expect(timelineEvents).toHaveLength(8)
   })
+
+  test('Timeline shows events pushed by the edge device', async () => {
+    store.state.pnp.peerConnectionStatus = PEER_CONNECTED
+    const unsubscribe = jest.fn()
+    let pushEvent, subscription
+    store.state.pnp.edgeAPI = {
+      getLocalImageURL: jest.fn(),
+      getTimelinePage: jest.fn().mockResolvedValue({ timeline: [] }),
+      subscribeTimeline: jest.fn().mockImplementation((listener, options) => {
+        pushEvent = listener
+        subscription = options
+        return unsubscribe
+      })
+    }
+    const div = document.createElement('div')
+    document.body.appendChild(div)
+    wrapper = mount(Timeline, {
+      router,
+      store,
+      vuetify,
+      localVue,
+      attachTo: div
+    })
+    // events are not live until the event channel opens
+    expect(wrapper.vm.isLive).toBeFalse()
+    subscription.onOpen()
+    expect(wrapper.vm.isLive).toBeTrue()
+    const latest = MockData[0]
+    const newer = cloneDeep(latest)
+    newer.args.datetime = new Date(Date.parse(latest.args.datetime) + 1000).toISOString()
+    // events that arrive before the first page are shown with it
+    pushEvent(newer)
+    expect(wrapper.vm.timeline).toHaveLength(0)
+    wrapper.vm.timeline = MockData
+    wrapper.vm.clearTimeline = false
+    wrapper.vm.mergeLiveEvents()
+    expect(wrapper.vm.timeline).toHaveLength(MockData.length + 1)
+    expect(wrapper.vm.timeline[0]).toBe(newer)
+    // events already shown are skipped
+    pushEvent(latest)
+    expect(wrapper.vm.timeline).toHaveLength(MockData.length + 1)
+    wrapper.destroy()
+    expect(unsubscribe).toHaveBeenCalledTimes(1)
+  })
+
+  test('Timeline keeps polling when the edge device cannot push events', async () => {
+    store.state.pnp.peerConnectionStatus = PEER_CONNECTED
+    store.state.pnp.edgeAPI = {
+      getTimelinePage: jest.fn().mockResolvedValue({ timeline: [] }),
+      subscribeTimeline: jest.fn().mockReturnValue(undefined)
+    }
+    const div = document.createElement('div')
+    document.body.appendChild(div)
+    wrapper = mount(Timeline, { router, store, vuetify, localVue, attachTo: div })
+    expect(wrapper.vm.isLive).toBeFalse()
+    const $state = { loaded: jest.fn(), complete: jest.fn() }
+    await wrapper.vm.infiniteHandlerTop($state)
+    expect($state.loaded).toHaveBeenCalledTimes(1)
+    expect($state.complete).not.toHaveBeenCalled()
+    wrapper.vm.isLive = true
+    await wrapper.vm.infiniteHandlerTop($state)
+    expect($state.complete).toHaveBeenCalledTimes(1)
+    wrapper.destroy()
+  })
+
+  test('Timeline shows a connected device other than the current one', async () => {
+    const otherPeerId = 'b1a9e3c0-5d6f-4b7a-8c2d-0e1f2a3b4c5d'
+    const edgeAPI = {
+      getTimelinePage: jest.fn().mockResolvedValue({ timeline: [] }),
+      subscribeTimeline: jest.fn().mockReturnValue(undefined)
+    }
+    store.commit(EDGE_API, { peerID: otherPeerId, edgeAPI })
+    store.commit(PEER_CONNECTED, { peer: otherPeerId })
+    const div = document.createElement('div')
+    document.body.appendChild(div)
+    wrapper = mount(Timeline, {
+      router,
+      store,
+      vuetify,
+      localVue,
+      attachTo: div,
+      propsData: { peerId: otherPeerId }
+    })
+    expect(wrapper.vm.isEdgeConnected).toBeTrue()
+    expect(edgeAPI.subscribeTimeline).toHaveBeenCalledTimes(1)
+    const $state = { loaded: jest.fn(), complete: jest.fn() }
+    await wrapper.vm.infiniteHandlerTop($state)
+    expect(edgeAPI.getTimelinePage).toHaveBeenCalledWith(1, expect.anything())
+    wrapper.destroy()
+  })
+
+  test('Timeline polls again while the event channel is closed', async () => {
+    store.state.pnp.peerConnectionStatus = PEER_CONNECTED
+    const subscriptions = []
+    const edgeAPI = {
+      getLocalImageURL: jest.fn(),
+      getTimelinePage: jest.fn().mockResolvedValue({ timeline: [] }),
+      subscribeTimeline: jest.fn().mockImplementation((listener, options) => {
+        subscriptions.push({ listener, options })
+        return jest.fn()
+      })
+    }
+    store.state.pnp.edgeAPI = edgeAPI
+    const div = document.createElement('div')
+    document.body.appendChild(div)
+    wrapper = mount(Timeline, { router, store, vuetify, localVue, attachTo: div })
+    expect(subscriptions[0].options.lastEventId).toBeUndefined()
+    subscriptions[0].options.onOpen()
+    subscriptions[0].listener(cloneDeep(MockData[0]), { eventId: 'e5' })
+    const topLoaderId = wrapper.vm.topLoaderId
+    // the channel closes, e.g. when the connection drops
+    subscriptions[0].options.onClose()
+    expect(wrapper.vm.isLive).toBeFalse()
+    // the top loader restarts to poll for new events
+    expect(wrapper.vm.topLoaderId).not.toBe(topLoaderId)
+    const $state = { loaded: jest.fn(), complete: jest.fn() }
+    await wrapper.vm.infiniteHandlerTop($state)
+    expect($state.loaded).toHaveBeenCalledTimes(1)
+    expect(edgeAPI.getTimelinePage).toHaveBeenCalledWith(1, expect.anything())
+    // the new connection resumes after the last event seen
+    store.state.pnp.edgeAPI = { ...edgeAPI }
+    await Vue.nextTick()
+    expect(subscriptions[1].options.lastEventId).toBe('e5')
+    wrapper.destroy()
+  })
 })